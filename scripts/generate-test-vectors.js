@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+import { writeFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import RustCore from '../src/core/rustCore.js';
+import JsCrypto from '../src/core/jsCrypto.js';
+import TEST_VECTORS from '../src/core/testVectors.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const OUTPUT_PATH = path.join(__dirname, '../src/core/testVectorsExpected.js');
+
+/**
+ * Regenerate the expected outputs of the shared crypto test vectors
+ *
+ *   node scripts/generate-test-vectors.js              # from platarium-cli (the reference)
+ *   node scripts/generate-test-vectors.js --backend js # from JsCrypto, only to bootstrap
+ *
+ * Writes src/core/testVectorsExpected.js. Outputs taken from JsCrypto only
+ * show that JsCrypto agrees with itself, so EXPECTED_SOURCE records which
+ * backend produced them and verify-setup reports vectors not taken from
+ * platarium-cli.
+ */
+
+/**
+ * Read --backend from the command line
+ * @param {Array<string>} args - Command line arguments
+ * @returns {string} 'rust' or 'js'
+ */
+function readBackend(args) {
+  const index = args.indexOf('--backend');
+  const backend = index === -1 ? 'rust' : args[index + 1];
+  if (!['rust', 'js'].includes(backend)) {
+    throw new Error(`--backend must be rust or js, got ${backend}`);
+  }
+  return backend;
+}
+
+/**
+ * Crypto backend the outputs are taken from, and a description of it
+ * @param {string} name - 'rust' or 'js'
+ * @returns {Promise<Object>} { backend, source }
+ */
+async function openBackend(name) {
+  if (name === 'js') {
+    return { backend: new JsCrypto({}), source: 'JsCrypto (not confirmed by platarium-cli)' };
+  }
+
+  const rustCore = new RustCore({ rustCore: { worker: false } });
+  if (!rustCore.isAvailable()) {
+    throw new Error('platarium-cli not found, run `npm run setup` first');
+  }
+  const info = await rustCore.compatibility;
+  if (info && !info.compatible) {
+    throw new Error(`platarium-cli is not supported: ${info.reason}`);
+  }
+  return { backend: rustCore, source: `platarium-cli ${info?.version || '(unknown version)'}` };
+}
+
+/**
+ * Expected outputs of one vector
+ * @param {Object} backend - Crypto backend
+ * @param {Object} vector - Test vector inputs
+ * @returns {Promise<Object>} { keys, messageHash, signature }
+ */
+async function expectedOutputs(backend, vector) {
+  const keys = {};
+  for (const seedIndex of vector.seedIndexes) {
+    const { privateKey, publicKey } = await backend.restoreKeys(vector.mnemonic, vector.alphanumeric, seedIndex);
+    keys[seedIndex] = { privateKey, publicKey };
+  }
+  const signed = await backend.signMessage(vector.message, vector.mnemonic, vector.alphanumeric, 0);
+  return {
+    keys,
+    messageHash: signed.hash,
+    signature: signed.signatures[0].signature_compact,
+  };
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const { backend, source } = await openBackend(readBackend(process.argv.slice(2)));
+  try {
+    const expected = [];
+    for (const vector of TEST_VECTORS) {
+      expected.push(await expectedOutputs(backend, vector));
+    }
+
+    const text = [
+      '// Generated by scripts/generate-test-vectors.js, do not edit.',
+      '// Expected outputs of the vectors in testVectors.js (signature: seed index 0).',
+      '',
+      `export const EXPECTED_SOURCE = ${JSON.stringify(source)};`,
+      '',
+      `const EXPECTED = ${JSON.stringify(expected, null, 2)};`,
+      '',
+      'export default EXPECTED;',
+      '',
+    ].join('\n');
+    await writeFile(OUTPUT_PATH, text);
+    console.log(`✓ Wrote ${path.relative(process.cwd(), OUTPUT_PATH)} from ${source}`);
+  } finally {
+    await backend.close();
+  }
+}
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
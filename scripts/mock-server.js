@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+import { Command, InvalidArgumentError } from 'commander';
+import chalk from 'chalk';
+import MockServer from '../src/dev/mockServer.js';
+
+/**
+ * Local mock Platarium node for development: npm start -- --network local talks to it
+ * (the local network profile points at http://127.0.0.1:8080 and ws://127.0.0.1:8080/ws/)
+ */
+
+/**
+ * Collect repeated --fund <address=amount> options
+ * @param {string} value - "address=amount"
+ * @param {Object} balances - Balances collected so far
+ * @returns {Object} Balances
+ */
+function collectBalance(value, balances) {
+  const [address, amount] = value.split('=');
+  if (!address || !amount) {
+    throw new InvalidArgumentError(`expected <address>=<amount>, got "${value}"`);
+  }
+  return { ...balances, [address]: amount };
+}
+
+const program = new Command();
+
+program
+  .name('mock-server')
+  .description('Local stand-in for a Platarium RPC node (REST and WebSocket) with an in-memory ledger')
+  .option('-p, --port <port>', 'Port', '8080')
+  .option('--host <host>', 'Interface to listen on', '127.0.0.1')
+  .option('--fund <address=amount>', 'Genesis balance (repeatable)', collectBalance, {})
+  .option('--initial-balance <amount>', 'Balance of every other address', '0')
+  .option('--block-time <ms>', 'Produce blocks every <ms> (default: include transactions immediately)', '0')
+  .option('--latency <ms>', 'Delay every response by <ms>', '0')
+  .option('--error-rate <rate>', 'Answer this share of REST requests (0-1) with --error-status', '0')
+  .option('--error-status <status>', 'HTTP status of injected errors', '503')
+  .option('--no-subscriptions', 'Ignore account event subscriptions (server without support)')
+  .option('--no-verify', 'Accept transactions without checking their signature')
+  .option('-q, --quiet', 'Do not log transactions and messages')
+  .action(async (options) => {
+    const server = new MockServer({
+      port: Number(options.port),
+      host: options.host,
+      balances: options.fund,
+      initialBalance: options.initialBalance,
+      blockTime: Number(options.blockTime),
+      verifySignatures: options.verify,
+      faults: {
+        latency: Number(options.latency),
+        errorRate: Number(options.errorRate),
+        errorStatus: Number(options.errorStatus),
+        subscriptions: options.subscriptions,
+      },
+      log: options.quiet ? undefined : message => console.log(chalk.gray(`[${new Date().toISOString()}] ${message}`)),
+    });
+
+    try {
+      const urls = await server.start();
+      console.log(chalk.green('✓ Mock Platarium node running'));
+      console.log(chalk.cyan(`  REST API: ${urls.rest}`));
+      console.log(chalk.cyan(`  WebSocket: ${urls.websocket}`));
+      console.log(chalk.gray(`  Faults: POST ${urls.rest}/__mock/faults (e.g. {"failNext":3} or {"latency":500})`));
+      console.log(chalk.gray(`  Faucet: POST ${urls.rest}/__mock/fund {"address":"Px...","amount":"100"}`));
+      console.log(chalk.gray('  Press Ctrl+C to stop\n'));
+    } catch (error) {
+      console.error(chalk.red(`✗ Failed to start mock server: ${error.message}`));
+      process.exit(1);
+    }
+
+    const shutdown = async () => {
+      await server.stop();
+      process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+  });
+
+await program.parseAsync();
@@ -7,6 +7,7 @@ import { existsSync, mkdirSync, accessSync, constants } from 'fs';
 import { createInterface } from 'readline';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { SUPPORTED_CORE_RANGE, checkCoreVersion } from '../src/core/compat.js';
 
 const execAsync = promisify(exec);
 const __filename = fileURLToPath(import.meta.url);
@@ -14,6 +15,8 @@ const __dirname = path.dirname(__filename);
 
 const PLATARIUM_CORE_REPO = 'https://github.com/PlatariumNetwork/PlatariumCore.git';
 const PLATARIUM_CORE_DIR = path.join(__dirname, '../PlatariumCore');
+// Branch or tag to build (override to pin a release compatible with this wallet)
+const PLATARIUM_CORE_REF = process.env.PLATARIUM_CORE_REF || 'main';
 
 // Detect OS
 const isWindows = process.platform === 'win32';
@@ -401,6 +404,21 @@ async function checkGit() {
   return await commandExists(gitCmd);
 }
 
+/**
+ * Check whether a ref names a branch of origin (as opposed to a tag or commit)
+ * Run inside the repository after fetching.
+ * @param {string} ref - Branch, tag or commit
+ * @returns {Promise<boolean>}
+ */
+async function isRemoteBranch(ref) {
+  try {
+    await execAsync(`git rev-parse --verify --quiet refs/remotes/origin/${ref}`, { shell: isWindows });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
 /**
  * Clone or update PlatariumCore repository
  */
@@ -436,12 +454,21 @@ async function setupRepository() {
     
     try {
       process.chdir(PLATARIUM_CORE_DIR);
-      await execAsync('git fetch origin', { shell: isWindows });
+      await execAsync('git fetch origin --tags --force', { shell: isWindows });
+      
+      if (!(await isRemoteBranch(PLATARIUM_CORE_REF))) {
+        // Tags and commits are checked out detached; there is nothing to pull
+        await execAsync(`git checkout --detach ${PLATARIUM_CORE_REF}`, { shell: isWindows });
+        console.log(chalk.green(`✓ Checked out ${PLATARIUM_CORE_REF}`));
+        return;
+      }
+      
+      await execAsync(`git checkout ${PLATARIUM_CORE_REF}`, { shell: isWindows });
       const { stdout: status } = await execAsync('git status -sb', { shell: isWindows });
       
       if (status.includes('behind')) {
-        console.log(chalk.yellow('   Updating repository...'));
-        await execAsync('git pull origin main', { shell: isWindows });
+        console.log(chalk.yellow(`   Updating repository (${PLATARIUM_CORE_REF})...`));
+        await execAsync(`git pull --ff-only origin ${PLATARIUM_CORE_REF}`, { shell: isWindows });
         console.log(chalk.green('✓ Repository updated'));
       } else {
         console.log(chalk.green('✓ Repository is up to date'));
@@ -459,7 +486,7 @@ async function setupRepository() {
     
     try {
       const gitCmd = isWindows ? 'git.exe' : 'git';
-      await execAsync(`"${gitCmd}" clone ${PLATARIUM_CORE_REPO} "${PLATARIUM_CORE_DIR}"`, {
+      await execAsync(`"${gitCmd}" clone --branch ${PLATARIUM_CORE_REF} ${PLATARIUM_CORE_REPO} "${PLATARIUM_CORE_DIR}"`, {
         shell: isWindows,
       });
       console.log(chalk.green('✓ Repository cloned'));
@@ -596,6 +623,19 @@ function checkBinary(binaryPath) {
   }
 }
 
+/**
+ * Check the binary version against the range supported by the wallet
+ * @param {string} binaryPath - Path to platarium-cli
+ * @returns {Promise<Object>} { supported, reason, version }
+ */
+async function checkBinaryVersion(binaryPath) {
+  const { stdout } = await execAsync(`"${binaryPath}" --version`, {
+    shell: isWindows,
+  });
+  const version = stdout.trim();
+  return { ...checkCoreVersion(version), version };
+}
+
 /**
  * Main setup function
  */
@@ -626,13 +666,15 @@ async function main() {
       
       // Test binary
       try {
-        await execAsync(`"${binaryPath}" --version`, {
-          shell: isWindows,
-        });
-        console.log(chalk.green('✓ Binary is working'));
-        console.log(chalk.green('\n✅ Setup complete!'));
-        console.log(chalk.gray('   Using existing binary\n'));
-        return;
+        const { supported, reason, version } = await checkBinaryVersion(binaryPath);
+        console.log(chalk.green(`✓ Binary is working (${version})`));
+        if (supported) {
+          console.log(chalk.green('\n✅ Setup complete!'));
+          console.log(chalk.gray('   Using existing binary\n'));
+          return;
+        }
+        console.log(chalk.yellow(`   Binary is not compatible: ${reason}`));
+        console.log(chalk.yellow(`   Wallet supports Platarium Core ${SUPPORTED_CORE_RANGE}, will rebuild...`));
       } catch (error) {
         console.log(chalk.yellow('   Binary found but may be corrupted, will rebuild...'));
       }
@@ -660,6 +702,14 @@ async function main() {
     // Build binary
     binaryPath = await buildPlatariumCore();
     
+    const { supported, reason } = await checkBinaryVersion(binaryPath);
+    if (!supported) {
+      console.log(chalk.red(`\n❌ Built Platarium Core (${PLATARIUM_CORE_REF}) is not compatible: ${reason}`));
+      console.log(chalk.yellow(`   Wallet supports ${SUPPORTED_CORE_RANGE}. Set PLATARIUM_CORE_REF to a compatible release tag and run setup again.`));
+      console.log(chalk.yellow('   The wallet will refuse to sign with this binary.\n'));
+      process.exit(1);
+    }
+    
     console.log(chalk.green('\n✅ Setup complete!'));
     console.log(chalk.gray(`   Binary location: ${binaryPath}\n`));
     
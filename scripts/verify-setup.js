@@ -5,6 +5,9 @@ import { promisify } from 'util';
 import { existsSync, accessSync, constants } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import RustCore from '../src/core/rustCore.js';
+import JsCrypto from '../src/core/jsCrypto.js';
+import TEST_VECTORS, { EXPECTED_SOURCE } from '../src/core/testVectors.js';
 
 const execAsync = promisify(exec);
 const __filename = fileURLToPath(import.meta.url);
@@ -175,6 +178,81 @@ async function testGenerateKeys() {
   return false;
 }
 
+/**
+ * Cross-check the pure-JS crypto backend against the Rust binary
+ */
+async function testCryptoVectors() {
+  setupRustPath();
+  
+  const rustCore = new RustCore({ rustCore: { worker: false } });
+  const jsCrypto = new JsCrypto({});
+  
+  if (!rustCore.isAvailable()) {
+    log(colors.red, '❌ platarium-cli not found, cannot cross-check backends');
+    return false;
+  }
+  
+  let passed = true;
+  
+  for (const vector of TEST_VECTORS) {
+    for (const seedIndex of vector.seedIndexes) {
+      const label = `${vector.mnemonic.split(' ')[0]}... #${seedIndex}`;
+      try {
+        const rustKeys = await rustCore.restoreKeys(vector.mnemonic, vector.alphanumeric, seedIndex);
+        const jsKeys = await jsCrypto.restoreKeys(vector.mnemonic, vector.alphanumeric, seedIndex);
+        
+        for (const field of ['publicKey', 'privateKey']) {
+          if (rustKeys[field] !== jsKeys[field]) {
+            log(colors.red, `❌ ${label}: ${field} differs (rust ${rustKeys[field]}, js ${jsKeys[field]})`);
+            passed = false;
+          }
+          if (rustKeys[field] !== vector.expected.keys[seedIndex][field]) {
+            log(colors.red, `❌ ${label}: ${field} differs from the recorded vector (rust ${rustKeys[field]}, expected ${vector.expected.keys[seedIndex][field]})`);
+            passed = false;
+          }
+        }
+        if (rustKeys.derivationPaths.mainPath !== jsKeys.derivationPaths.mainPath) {
+          log(colors.red, `❌ ${label}: derivation path differs`);
+          passed = false;
+        }
+        
+        // Each backend must accept the other's signatures
+        const rustSignature = await rustCore.signMessage(vector.message, vector.mnemonic, vector.alphanumeric, seedIndex);
+        const jsSignature = await jsCrypto.signMessage(vector.message, vector.mnemonic, vector.alphanumeric, seedIndex);
+        if (rustSignature.hash !== vector.expected.messageHash) {
+          log(colors.red, `❌ ${label}: message hash differs from the recorded vector (rust ${rustSignature.hash})`);
+          passed = false;
+        }
+        const jsAcceptsRust = await jsCrypto.verifySignature(
+          vector.message,
+          rustSignature.signatures[0].signature_compact,
+          rustKeys.signatureKey || rustKeys.publicKey
+        );
+        const rustAcceptsJs = await rustCore.verifySignature(
+          vector.message,
+          jsSignature.signatures[0].signature_compact,
+          jsKeys.signatureKey
+        );
+        if (!jsAcceptsRust || !rustAcceptsJs) {
+          log(colors.red, `❌ ${label}: signature cross-verification failed (js accepts rust: ${jsAcceptsRust}, rust accepts js: ${rustAcceptsJs})`);
+          passed = false;
+        }
+      } catch (error) {
+        log(colors.red, `❌ ${label}: ${error.message}`);
+        passed = false;
+      }
+    }
+  }
+  
+  if (passed) {
+    log(colors.green, '✓ Rust and JavaScript backends agree on all test vectors');
+  }
+  if (!EXPECTED_SOURCE.startsWith('platarium-cli')) {
+    log(colors.yellow, `⚠️  Recorded vectors come from ${EXPECTED_SOURCE}; run \`node scripts/generate-test-vectors.js\` to take them from platarium-cli`);
+  }
+  return passed;
+}
+
 /**
  * Main verification function
  */
@@ -204,6 +282,13 @@ async function main() {
     allPassed = false;
   }
   
+  // Test 4: Cross-check crypto backends
+  log(colors.cyan, '\n4. Cross-checking JavaScript crypto backend...');
+  const vectorsOk = await testCryptoVectors();
+  if (!vectorsOk) {
+    allPassed = false;
+  }
+  
   console.log('');
   if (allPassed) {
     log(colors.green, '✅ All tests passed!\n');
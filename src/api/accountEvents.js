@@ -0,0 +1,256 @@
+const DEFAULT_POLL_INTERVAL_MS = 15000;
+
+// Events requested from the server for every watched address
+export const ACCOUNT_EVENTS = ['transaction', 'balance', 'block'];
+
+/**
+ * Key identifying a transaction across WebSocket events and REST listings
+ * @param {Object} transaction - Transaction
+ * @returns {string} Key
+ */
+function transactionKey(transaction) {
+  return transaction.hash || `${transaction.from}:${transaction.nonce}:${transaction.timestamp}`;
+}
+
+/**
+ * Account Events - Transaction, balance and block notifications for watched addresses
+ *
+ * Addresses are subscribed on the WebSocket. Servers that do not confirm the
+ * subscription, and any time the WebSocket is down, are covered by polling
+ * getBalance/getTransactions; new blocks are only reported over the WebSocket.
+ *
+ * Events (see on()):
+ *   'transaction' - { address, direction: 'incoming'|'outgoing', transaction, source }
+ *   'balance'     - { address, balance, previous, source }
+ *   'block'       - { height, hash }
+ * source is 'websocket' or 'polling'.
+ */
+class AccountEvents {
+  /**
+   * @param {ServerClient} serverClient - Server client
+   * @param {Object} options - { pollInterval } in milliseconds
+   */
+  constructor(serverClient, options = {}) {
+    this.serverClient = serverClient;
+    this.pollInterval = options.pollInterval || DEFAULT_POLL_INTERVAL_MS;
+    this.listeners = new Map();
+    this.accounts = new Map(); // address -> { address, mode, balance, seen }
+    this.pollTimer = null;
+    this.polling = false;
+
+    serverClient.on('connectionState', event => this.handleConnectionState(event));
+    serverClient.on('transaction', data => this.handleTransaction(data, 'websocket'));
+    serverClient.on('balance', data => this.handleBalance(data, 'websocket'));
+    serverClient.on('block', data => this.emit('block', { height: data?.height ?? null, hash: data?.hash ?? null }));
+  }
+
+  /**
+   * Subscribe to account events
+   * @param {string} eventType - 'transaction', 'balance' or 'block'
+   * @param {Function} callback - Callback function
+   */
+  on(eventType, callback) {
+    if (!this.listeners.has(eventType)) {
+      this.listeners.set(eventType, []);
+    }
+    this.listeners.get(eventType).push(callback);
+  }
+
+  /**
+   * Notify listeners of an event
+   * @param {string} eventType - Event type
+   * @param {Object} event - Event data
+   */
+  emit(eventType, event) {
+    (this.listeners.get(eventType) || []).forEach(listener => listener(event));
+  }
+
+  /**
+   * Start watching an address
+   * The current balance and transactions are the baseline; only later changes are reported.
+   * @param {string} address - Account address
+   * @returns {Promise<string>} How events are received: 'websocket' or 'polling'
+   */
+  async watch(address) {
+    if (this.accounts.has(address)) {
+      return this.accounts.get(address).mode;
+    }
+    const account = { address, mode: 'polling', balance: null, seen: null };
+    this.accounts.set(address, account);
+
+    try {
+      await this.pollAccount(account);
+    } catch (error) {
+      // Server unreachable: the baseline is taken by the first successful poll
+    }
+    await this.subscribe(account);
+    return account.mode;
+  }
+
+  /**
+   * Stop watching an address
+   * @param {string} address - Account address
+   */
+  unwatch(address) {
+    const account = this.accounts.get(address);
+    if (!account) {
+      return;
+    }
+    this.accounts.delete(address);
+    if (account.mode === 'websocket') {
+      this.serverClient.unsubscribeAccount(address);
+    }
+    this.updatePolling();
+  }
+
+  /**
+   * Stop watching all addresses (e.g. before switching networks)
+   */
+  unwatchAll() {
+    [...this.accounts.keys()].forEach(address => this.unwatch(address));
+  }
+
+  /**
+   * Subscribe an account on the WebSocket, or poll it if that is not possible
+   * @param {Object} account - Watched account
+   */
+  async subscribe(account) {
+    try {
+      await this.serverClient.subscribeAccount(account.address, ACCOUNT_EVENTS);
+      if (this.accounts.get(account.address) === account) {
+        account.mode = 'websocket';
+      }
+    } catch (error) {
+      account.mode = 'polling';
+    }
+    this.updatePolling();
+  }
+
+  /**
+   * Follow the WebSocket: poll while it is down, subscribe again when it is back
+   * @param {Object} event - ServerClient 'connectionState' event
+   */
+  handleConnectionState({ state, previous }) {
+    if (state === 'open') {
+      this.accounts.forEach((account) => {
+        // Catch up on what happened while the connection was down, then go back to push
+        this.pollAccount(account)
+          .then(() => this.subscribe(account))
+          .catch(() => {});
+      });
+    } else if (previous === 'open') {
+      this.accounts.forEach((account) => {
+        account.mode = 'polling';
+      });
+      this.updatePolling();
+    }
+  }
+
+  /**
+   * Run the poll timer only while an account needs it
+   */
+  updatePolling() {
+    const needed = [...this.accounts.values()].some(account => account.mode === 'polling');
+    if (needed && !this.pollTimer) {
+      this.pollTimer = setInterval(() => this.poll(), this.pollInterval);
+      // Polling alone must not keep the process alive
+      this.pollTimer.unref();
+    } else if (!needed && this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  /**
+   * Poll every account that is not subscribed on the WebSocket
+   * @returns {Promise<void>}
+   */
+  async poll() {
+    if (this.polling) {
+      return;
+    }
+    this.polling = true;
+    try {
+      for (const account of this.accounts.values()) {
+        if (account.mode === 'polling') {
+          await this.pollAccount(account).catch(() => {});
+        }
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Fetch balance and transactions of an account and report what changed
+   * The first call only records the baseline.
+   * @param {Object} account - Watched account
+   * @returns {Promise<void>}
+   */
+  async pollAccount(account) {
+    const [balance, transactions] = await Promise.all([
+      this.serverClient.getBalance(account.address),
+      this.serverClient.getTransactions(account.address),
+    ]);
+    const list = Array.isArray(transactions) ? transactions : [];
+
+    if (account.seen === null) {
+      account.balance = String(balance);
+      account.seen = new Set(list.map(transactionKey));
+      return;
+    }
+
+    list.forEach(transaction => this.handleTransaction(transaction, 'polling', account));
+    this.handleBalance({ address: account.address, balance }, 'polling');
+  }
+
+  /**
+   * Report a transaction of a watched account once
+   * @param {Object} transaction - Transaction ({ hash, from, to, value })
+   * @param {string} source - 'websocket' or 'polling'
+   * @param {Object|null} only - Only consider this account (polling)
+   */
+  handleTransaction(transaction, source, only = null) {
+    if (!transaction) {
+      return;
+    }
+    const key = transactionKey(transaction);
+    const accounts = only ? [only] : [...this.accounts.values()];
+
+    accounts
+      .filter(account => account.seen && (transaction.to === account.address || transaction.from === account.address))
+      .forEach((account) => {
+        if (account.seen.has(key)) {
+          return;
+        }
+        account.seen.add(key);
+        this.emit('transaction', {
+          address: account.address,
+          direction: transaction.to === account.address ? 'incoming' : 'outgoing',
+          transaction,
+          source,
+        });
+      });
+  }
+
+  /**
+   * Report a balance change of a watched account
+   * @param {Object} data - { address, balance }
+   * @param {string} source - 'websocket' or 'polling'
+   */
+  handleBalance(data, source) {
+    const account = data && this.accounts.get(data.address);
+    if (!account || account.balance === null || data.balance === undefined) {
+      return;
+    }
+    const balance = String(data.balance);
+    if (balance === account.balance) {
+      return;
+    }
+    const previous = account.balance;
+    account.balance = balance;
+    this.emit('balance', { address: account.address, balance, previous, source });
+  }
+}
+
+export default AccountEvents;
@@ -0,0 +1,137 @@
+import chalk from 'chalk';
+
+const DEFAULT_POLL_INTERVAL_MS = 3000;
+const DEFAULT_TIMEOUT_MS = 120000;
+
+const FAILED_STATUSES = ['failed', 'rejected', 'reverted', 'error', 'dropped'];
+const PENDING_STATUSES = ['pending', 'queued', 'mempool', 'unconfirmed'];
+
+/**
+ * Interpret a transaction returned by ServerClient.getTransaction()
+ * The explorer only returns stored transactions, so a transaction without
+ * an explicit pending/failed status counts as included.
+ * @param {Object|null} transaction - Transaction or null if unknown
+ * @returns {string} 'confirmed', 'failed', 'pending' or 'unknown'
+ */
+export function transactionState(transaction) {
+  if (!transaction) {
+    return 'unknown';
+  }
+  const status = String(transaction.status || '').toLowerCase();
+  if (FAILED_STATUSES.includes(status)) {
+    return 'failed';
+  }
+  if (PENDING_STATUSES.includes(status)) {
+    return 'pending';
+  }
+  return 'confirmed';
+}
+
+/**
+ * Confirmation Tracker - Waits for submitted transactions to be included
+ */
+class ConfirmationTracker {
+  /**
+   * @param {ServerClient} serverClient - Server client
+   * @param {NonceTracker} nonceTracker - Persisted pending transactions
+   * @param {Object} options - { pollInterval, confirmationTimeout } in milliseconds
+   */
+  constructor(serverClient, nonceTracker, options = {}) {
+    this.serverClient = serverClient;
+    this.nonceTracker = nonceTracker;
+    this.pollInterval = options.pollInterval || DEFAULT_POLL_INTERVAL_MS;
+    this.timeout = options.confirmationTimeout || DEFAULT_TIMEOUT_MS;
+  }
+
+  /**
+   * Poll until the transaction is included, fails or the timeout expires
+   * Network errors while polling are retried until the timeout.
+   * @param {Object} transaction - Submitted transaction ({ from, nonce })
+   * @param {string} hash - Transaction hash
+   * @param {Object} options - { timeout, onPoll(attempt, elapsedMs, error) }
+   * @returns {Promise<Object>} { state: 'confirmed'|'failed'|'timeout', transaction, lastError }
+   */
+  async waitForConfirmation(transaction, hash, { timeout, onPoll } = {}) {
+    // A missing or unusable timeout (NaN would never expire) falls back to the configured one
+    const limit = Number.isFinite(timeout) ? timeout : this.timeout;
+    const startedAt = Date.now();
+    let lastError = null;
+
+    for (let attempt = 1; ; attempt++) {
+      let found = null;
+      try {
+        found = await this.serverClient.getTransaction(hash);
+        lastError = null;
+      } catch (error) {
+        lastError = error;
+      }
+
+      const state = transactionState(found);
+      if (state === 'confirmed' || state === 'failed') {
+        await this.removePending(transaction, state);
+        return { state, transaction: found, lastError: null };
+      }
+
+      const elapsed = Date.now() - startedAt;
+      if (onPoll) {
+        onPoll(attempt, elapsed, lastError);
+      }
+      if (elapsed + this.pollInterval > limit) {
+        // Still pending: it stays in the pending list and is reconciled later
+        return { state: 'timeout', transaction: found, lastError };
+      }
+      await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+    }
+  }
+
+  /**
+   * Drop a settled transaction from the pending list
+   * The outcome is known either way, so a failure only warns; the entry is
+   * checked again by the next reconcilePending().
+   * @param {Object} transaction - Submitted transaction ({ from, nonce })
+   * @param {string} state - 'confirmed' or 'failed'
+   */
+  async removePending(transaction, state) {
+    try {
+      await this.nonceTracker.remove(transaction.from, transaction.nonce);
+    } catch (error) {
+      console.warn(chalk.yellow(`⚠️  Transaction ${state}, but it could not be removed from the pending list: ${error.message}`));
+    }
+  }
+
+  /**
+   * Check the locally pending transactions of the active network once (run at startup)
+   * Confirmed and failed transactions are removed from the pending list.
+   * @returns {Promise<Object>} { confirmed, failed, pending, errors } lists of entries
+   */
+  async reconcilePending() {
+    const result = { confirmed: [], failed: [], pending: [], errors: [] };
+    const all = await this.nonceTracker.loadNetwork();
+
+    for (const [address, entries] of Object.entries(all)) {
+      for (const entry of entries) {
+        const item = { address, ...entry };
+        if (!entry.hash) {
+          result.pending.push(item);
+          continue;
+        }
+
+        try {
+          const state = transactionState(await this.serverClient.getTransaction(entry.hash));
+          if (state === 'confirmed' || state === 'failed') {
+            await this.nonceTracker.remove(address, entry.nonce);
+            result[state].push(item);
+          } else {
+            result.pending.push(item);
+          }
+        } catch (error) {
+          result.errors.push({ ...item, error: error.message });
+        }
+      }
+    }
+
+    return result;
+  }
+}
+
+export default ConfirmationTracker;
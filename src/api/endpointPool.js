@@ -0,0 +1,193 @@
+const DEFAULT_HEALTH_INTERVAL_MS = 30000;
+// An endpoint answering /rpc/status slower than this is demoted
+const DEFAULT_SLOW_LATENCY_MS = 2000;
+// Weight of the newest sample in the latency moving average
+const LATENCY_SMOOTHING = 0.3;
+
+/**
+ * Order endpoints by preference: healthy first, then faster, then config order
+ * @param {Object} a - Endpoint state
+ * @param {Object} b - Endpoint state
+ * @returns {number} Sort order
+ */
+function compareEndpoints(a, b) {
+  if (Boolean(a.demoted) !== Boolean(b.demoted)) {
+    return a.demoted ? 1 : -1;
+  }
+  if (a.latency !== null && b.latency !== null && a.latency !== b.latency) {
+    return a.latency - b.latency;
+  }
+  return a.priority - b.priority;
+}
+
+/**
+ * Endpoint Pool - RPC nodes of a network with health scoring
+ *
+ * Requests go to the active endpoint. It stays active until it is demoted
+ * (a failed request or probe, or a probe slower than slowLatency); the best
+ * healthy endpoint then takes over. A successful probe restores a demoted
+ * endpoint.
+ */
+class EndpointPool {
+  /**
+   * @param {Array<Object>} endpoints - [{ rest, websocket }] in config order
+   * @param {Object} options - { healthInterval, slowLatency } in milliseconds
+   */
+  constructor(endpoints, options = {}) {
+    if (!endpoints || endpoints.length === 0) {
+      throw new Error('No endpoints configured');
+    }
+    this.endpoints = endpoints.map((endpoint, priority) => ({
+      rest: endpoint.rest,
+      websocket: endpoint.websocket || null,
+      priority,
+      latency: null,
+      failures: 0,
+      lastError: null,
+      lastCheckedAt: null,
+      demoted: null,
+    }));
+    this.active = this.endpoints[0];
+    this.lastSwitch = null;
+    this.healthInterval = options.healthInterval || DEFAULT_HEALTH_INTERVAL_MS;
+    this.slowLatency = options.slowLatency || DEFAULT_SLOW_LATENCY_MS;
+    this.healthTimer = null;
+  }
+
+  /**
+   * Endpoints in the order a request should try them (active first)
+   * @returns {Array<Object>} Endpoint states
+   */
+  candidates() {
+    const others = this.endpoints.filter(e => e !== this.active).sort(compareEndpoints);
+    return [this.active, ...others];
+  }
+
+  /**
+   * Hand over to the best endpoint if the active one was demoted
+   */
+  select() {
+    if (!this.active.demoted) {
+      return;
+    }
+    const best = [...this.endpoints].sort(compareEndpoints)[0];
+    if (best !== this.active && !best.demoted) {
+      this.lastSwitch = {
+        from: this.active.rest,
+        to: best.rest,
+        reason: this.active.demoted,
+        at: new Date().toISOString(),
+      };
+      this.active = best;
+    }
+  }
+
+  /**
+   * Record a successful request or probe
+   * @param {Object} endpoint - Endpoint state
+   * @param {number|null} latency - Probe latency in ms (null for ordinary requests)
+   */
+  reportSuccess(endpoint, latency = null) {
+    endpoint.failures = 0;
+    endpoint.lastError = null;
+
+    if (latency === null) {
+      // Ordinary requests vary in cost, so only probes judge speed
+      if (endpoint.demoted && !endpoint.demoted.startsWith('slow')) {
+        endpoint.demoted = null;
+      }
+      return;
+    }
+
+    endpoint.lastCheckedAt = new Date().toISOString();
+    endpoint.latency = endpoint.latency === null
+      ? latency
+      : endpoint.latency * (1 - LATENCY_SMOOTHING) + latency * LATENCY_SMOOTHING;
+    endpoint.demoted = endpoint.latency > this.slowLatency
+      ? `slow: ${Math.round(endpoint.latency)} ms average response time (limit ${this.slowLatency} ms)`
+      : null;
+    this.select();
+  }
+
+  /**
+   * Record a failed request or probe (demotes the endpoint)
+   * @param {Object} endpoint - Endpoint state
+   * @param {Error} error - Failure
+   * @param {boolean} probe - Whether the failure comes from a health probe
+   */
+  reportFailure(endpoint, error, probe = false) {
+    endpoint.failures++;
+    endpoint.lastError = error.message;
+    endpoint.demoted = `error: ${error.message}`;
+    if (probe) {
+      endpoint.lastCheckedAt = new Date().toISOString();
+    }
+    this.select();
+  }
+
+  /**
+   * Probe every endpoint once
+   * @param {Function} probe - async (endpoint) => void, throws if unhealthy
+   * @returns {Promise<Object>} Pool status
+   */
+  async checkHealth(probe) {
+    await Promise.all(this.endpoints.map(async (endpoint) => {
+      const startedAt = Date.now();
+      try {
+        await probe(endpoint);
+        this.reportSuccess(endpoint, Date.now() - startedAt);
+      } catch (error) {
+        this.reportFailure(endpoint, error, true);
+      }
+    }));
+    return this.status();
+  }
+
+  /**
+   * Probe all endpoints now and then every healthInterval ms
+   * @param {Function} probe - async (endpoint) => void
+   */
+  startHealthChecks(probe) {
+    if (this.healthTimer) {
+      return;
+    }
+    this.checkHealth(probe).catch(() => {});
+    this.healthTimer = setInterval(() => this.checkHealth(probe).catch(() => {}), this.healthInterval);
+    // Health checks alone must not keep the process alive
+    this.healthTimer.unref();
+  }
+
+  /**
+   * Stop periodic health checks
+   */
+  stopHealthChecks() {
+    if (this.healthTimer) {
+      clearInterval(this.healthTimer);
+      this.healthTimer = null;
+    }
+  }
+
+  /**
+   * Current state of all endpoints
+   * @returns {Object} { active, lastSwitch, endpoints: [{ rest, websocket, active, healthy, latency, failures, lastError, demoted, lastCheckedAt }] }
+   */
+  status() {
+    return {
+      active: this.active.rest,
+      lastSwitch: this.lastSwitch,
+      endpoints: this.endpoints.map(e => ({
+        rest: e.rest,
+        websocket: e.websocket,
+        active: e === this.active,
+        healthy: !e.demoted,
+        latency: e.latency === null ? null : Math.round(e.latency),
+        failures: e.failures,
+        lastError: e.lastError,
+        demoted: e.demoted,
+        lastCheckedAt: e.lastCheckedAt,
+      })),
+    };
+  }
+}
+
+export default EndpointPool;
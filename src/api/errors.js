@@ -0,0 +1,152 @@
+/**
+ * Request errors - Typed failures of REST calls made by ServerClient
+ */
+
+// Errors raised before a request reached the server: safe to repeat,
+// even for requests that must not be sent twice
+const CONNECT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+// Certificate and handshake failures (including pin mismatches, see tls.js)
+const TLS_ERROR_CODE = /CERT|ERR_TLS/;
+
+/**
+ * Base error for all failed requests (also used for rejected requests, 4xx)
+ */
+export class RequestError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string} code - Machine-readable error code
+   * @param {Object} details - { status, url }
+   */
+  constructor(message, code = 'request_rejected', details = {}) {
+    super(message);
+    this.name = 'RequestError';
+    this.code = code;
+    this.status = details.status ?? null;
+    this.url = details.url ?? null;
+  }
+}
+
+/**
+ * Server did not answer within the timeout
+ */
+export class TimeoutError extends RequestError {
+  constructor(message = 'Request timed out', details = {}) {
+    super(message, 'timeout', details);
+    this.name = 'TimeoutError';
+  }
+}
+
+/**
+ * Requested resource does not exist (404)
+ */
+export class NotFoundError extends RequestError {
+  constructor(message = 'Not found', details = {}) {
+    super(message, 'not_found', details);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * Server failed to process the request (5xx)
+ */
+export class ServerError extends RequestError {
+  constructor(message = 'Server error', details = {}) {
+    super(message, 'server_error', details);
+    this.name = 'ServerError';
+  }
+}
+
+/**
+ * Server could not be reached (connection refused, DNS, connection reset)
+ */
+export class NetworkError extends RequestError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - { url, unsent } - unsent: the request never reached the server
+   */
+  constructor(message = 'Network error', details = {}) {
+    super(message, 'network_error', details);
+    this.name = 'NetworkError';
+    this.unsent = Boolean(details.unsent);
+  }
+}
+
+/**
+ * Server's certificate was rejected (untrusted, expired, wrong host or not pinned)
+ * Not retried and not failed over: another attempt or endpoint would hide
+ * a misconfiguration or an interception attempt.
+ */
+export class TlsError extends RequestError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - { url }
+   */
+  constructor(message = 'TLS error', details = {}) {
+    super(message, 'tls_error', details);
+    this.name = 'TlsError';
+    this.unsent = true;
+  }
+}
+
+/**
+ * Whether an axios error was raised before a connection was established
+ * @param {Error} error - Axios error
+ * @returns {boolean}
+ */
+export function isConnectError(error) {
+  return CONNECT_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Whether an axios error is a certificate or TLS handshake failure
+ * @param {Error} error - Axios error
+ * @returns {boolean}
+ */
+export function isTlsError(error) {
+  return error instanceof TlsError || TLS_ERROR_CODE.test(error.code || '');
+}
+
+/**
+ * Whether a failed request may succeed when repeated
+ * @param {Error} error - Request error
+ * @returns {boolean} True for timeouts, server errors and network errors
+ */
+export function isRetryable(error) {
+  return error instanceof TimeoutError || error instanceof ServerError || error instanceof NetworkError;
+}
+
+/**
+ * Create a typed error from an axios error
+ * @param {Error} error - Axios error
+ * @param {string} label - Operation description (e.g. 'Failed to get balance')
+ * @returns {RequestError} Typed error
+ */
+export function toRequestError(error, label) {
+  if (error instanceof RequestError) {
+    return error;
+  }
+
+  const url = error.config?.url ?? null;
+  const status = error.response?.status;
+
+  if (isTlsError(error)) {
+    return new TlsError(`${label}: ${error.message}`, { url });
+  }
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return new TimeoutError(`${label}: timeout of ${error.config?.timeout}ms exceeded`, { url });
+  }
+  if (!error.response) {
+    return new NetworkError(`${label}: ${error.message}`, { url, unsent: isConnectError(error) });
+  }
+
+  // Prefer the reason given by the server over axios' generic message
+  const reason = typeof error.response.data?.error === 'string' ? error.response.data.error : error.message;
+  if (status === 404) {
+    return new NotFoundError(`${label}: ${reason}`, { status, url });
+  }
+  if (status >= 500) {
+    return new ServerError(`${label}: ${reason}`, { status, url });
+  }
+  return new RequestError(`${label}: ${reason}`, 'request_rejected', { status, url });
+}
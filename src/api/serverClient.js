@@ -2,50 +2,276 @@ import axios from 'axios';
 import WebSocket from 'ws';
 import https from 'https';
 import chalk from 'chalk';
+import { createTlsOptions } from './tls.js';
+import EndpointPool from './endpointPool.js';
+import { NotFoundError, isConnectError, isTlsError, isRetryable, toRequestError } from './errors.js';
+
+// Time limit of a health probe (GET /rpc/status)
+const PROBE_TIMEOUT_MS = 5000;
+
+// Retries of idempotent requests, and the backoff before them (doubling, with full jitter)
+const DEFAULT_RETRIES = 3;
+const DEFAULT_BACKOFF_MS = 500;
+const DEFAULT_MAX_BACKOFF_MS = 8000;
+
+// WebSocket reconnects after a lost connection (doubling, with full jitter, no limit on attempts)
+const DEFAULT_RECONNECT_BACKOFF_MS = 1000;
+const DEFAULT_MAX_RECONNECT_BACKOFF_MS = 60000;
+
+// Message types with their own branch in handleWebSocketMessage (not dispatched again)
+const MESSAGING_TYPES = ['message', 'registered', 'messageSent', 'messageError'];
+
+// Account events pushed by the server after subscribeAccount
+const ACCOUNT_EVENT_TYPES = ['transaction', 'balance', 'block'];
+
+// Time to wait for the server to confirm a subscription
+const SUBSCRIBE_TIMEOUT_MS = 5000;
+
+// REST operations: message prefix and default timeout (config requests.timeouts.<operation>)
+const OPERATIONS = {
+  health: { label: 'Server health check failed', timeout: 30000 },
+  network: { label: 'Failed to get network status', timeout: 30000 },
+  status: { label: 'Failed to get detailed status', timeout: 30000 },
+  balance: { label: 'Failed to get balance', timeout: 10000 },
+  transaction: { label: 'Failed to get transaction', timeout: 10000 },
+  transactions: { label: 'Failed to get transactions', timeout: 10000 },
+  send: { label: 'Failed to send transaction', timeout: 30000 },
+};
+
+/**
+ * Whether a failed request says something about the endpoint (rather than the request)
+ * @param {Error} error - Axios error
+ * @returns {boolean} True for network errors, timeouts and 5xx responses
+ */
+function isEndpointFailure(error) {
+  return !error.response || error.response.status >= 500;
+}
+
+/**
+ * Delay before a retry: random, up to backoff doubled per attempt (capped at maxBackoff)
+ * @param {number} attempt - Retry number (0 for the first retry)
+ * @param {Object} policy - { backoff, maxBackoff } in milliseconds
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(attempt, policy) {
+  return Math.random() * Math.min(policy.maxBackoff, policy.backoff * 2 ** attempt);
+}
+
+/**
+ * Wait before a retry
+ * @param {number} attempt - Retry number (0 for the first retry)
+ * @param {Object} policy - { backoff, maxBackoff } in milliseconds
+ * @returns {Promise<void>}
+ */
+function backoff(attempt, policy) {
+  return new Promise(resolve => setTimeout(resolve, backoffDelay(attempt, policy)));
+}
 
 /**
  * Go RPC Server Client
  */
 class ServerClient {
-  constructor(config) {
-    this.restBaseUrl = config.server.rest.baseUrl;
-    this.wsUrl = config.server.websocket.url;
+  /**
+   * @param {Object} network - Network profile (see core/networks.js)
+   * @param {Object} options - { health: { interval, slowLatency }, requests: { retries, backoff, maxBackoff, timeouts },
+   *   reconnect: { backoff, maxBackoff } }
+   */
+  constructor(network, options = {}) {
+    this.health = options.health || {};
+    this.retryPolicy = {
+      retries: options.requests?.retries ?? DEFAULT_RETRIES,
+      backoff: options.requests?.backoff || DEFAULT_BACKOFF_MS,
+      maxBackoff: options.requests?.maxBackoff || DEFAULT_MAX_BACKOFF_MS,
+    };
+    this.timeouts = options.requests?.timeouts || {};
+    this.reconnectPolicy = {
+      backoff: options.reconnect?.backoff || DEFAULT_RECONNECT_BACKOFF_MS,
+      maxBackoff: options.reconnect?.maxBackoff || DEFAULT_MAX_RECONNECT_BACKOFF_MS,
+    };
+    this.pool = null;
     this.wsConnection = null;
     this.wsListeners = new Map();
     this.pingInterval = null;
-    this.connecting = false; // Flag to prevent multiple simultaneous connections
+    // Connection state machine: connecting -> open -> backing-off -> connecting ... / closed
+    this.wsState = 'closed';
+    this.wsStateDetails = {};
+    this.connectPromise = null; // Attempt in progress, shared by concurrent callers
+    this.reconnecting = false;
+    this.reconnectAttempt = 0;
+    this.reconnectTimer = null;
+    this.wsGeneration = 0; // Incremented by closeWebSocket to abandon attempts in progress
+    // Addresses registered via registerAddress, registered again after every reconnect
+    this.registeredAddresses = new Set();
+    this.setNetwork(network);
+  }
+
+  /**
+   * Point the client at a network profile
+   * An open WebSocket belongs to the previous network and is closed.
+   * @param {Object} network - Network profile
+   * @throws {Error} If the network's TLS policy is invalid
+   */
+  setNetwork(network) {
+    // Same TLS policy for every REST call and the WebSocket
+    const tlsOptions = createTlsOptions(network);
+    const pool = new EndpointPool(network.endpoints, {
+      healthInterval: this.health.interval,
+      slowLatency: this.health.slowLatency,
+    });
+    
+    const healthChecks = Boolean(this.pool?.healthTimer);
+    this.stopHealthChecks();
+    this.closeWebSocket();
+    this.registeredAddresses.clear();
+    this.network = network;
+    this.pool = pool;
+    this.tlsOptions = tlsOptions;
+    this.http = axios.create({ httpsAgent: new https.Agent(tlsOptions) });
+    if (healthChecks) {
+      this.startHealthChecks();
+    }
+  }
+
+  /**
+   * REST base URL of the endpoint in use
+   * @returns {string}
+   */
+  get restBaseUrl() {
+    return this.pool.active.rest;
+  }
+
+  /**
+   * WebSocket URL of the endpoint in use (or of the first one that has one)
+   * @returns {string|null}
+   */
+  get wsUrl() {
+    return this.pool.candidates().find(e => e.websocket)?.websocket || null;
+  }
+
+  /**
+   * REST request (shared by all REST methods)
+   * GET requests are retried with exponential backoff after timeouts, network
+   * and server errors; other methods are sent once. Every attempt fails over
+   * through the endpoints of the network.
+   * @param {string} operation - Operation (key of OPERATIONS, selects message and timeout)
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below the REST base URL
+   * @param {Object} options - Axios options, plus `failover` (see requestEndpoints) and `retries`
+   * @returns {Promise<Object>} Axios response
+   * @throws {RequestError} TimeoutError, NotFoundError, ServerError, NetworkError or RequestError
+   */
+  async request(operation, method, path, options = {}) {
+    const { label, timeout } = OPERATIONS[operation];
+    const idempotent = method === 'get';
+    const { retries = idempotent ? this.retryPolicy.retries : 0, ...axiosOptions } = options;
+    axiosOptions.timeout = axiosOptions.timeout || this.timeouts[operation] || timeout;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.requestEndpoints(method, path, axiosOptions);
+      } catch (error) {
+        const requestError = toRequestError(error, label);
+        if (attempt >= retries || !isRetryable(requestError)) {
+          throw requestError;
+        }
+        await backoff(attempt, this.retryPolicy);
+      }
+    }
+  }
+
+  /**
+   * Send a request with failover: tries the endpoints in pool order until one answers
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below the REST base URL
+   * @param {Object} options - Axios options, plus `failover`:
+   *   'all' (default) - move on after network errors, timeouts and 5xx responses;
+   *   'unsent' - move on only if the request never reached the server (for non-idempotent calls)
+   * A rejected certificate is never failed over.
+   * @returns {Promise<Object>} Axios response
+   */
+  async requestEndpoints(method, path, { failover = 'all', ...options } = {}) {
+    let lastError;
+    for (const endpoint of this.pool.candidates()) {
+      try {
+        const response = await this.http.request({ method, url: `${endpoint.rest}${path}`, ...options });
+        this.pool.reportSuccess(endpoint);
+        return response;
+      } catch (error) {
+        if (isTlsError(error)) {
+          throw error;
+        }
+        if (!isEndpointFailure(error)) {
+          // The node answered; the request itself was rejected
+          this.pool.reportSuccess(endpoint);
+          throw error;
+        }
+        this.pool.reportFailure(endpoint, error);
+        lastError = error;
+        if (failover === 'unsent' && !isConnectError(error)) {
+          throw error;
+        }
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * Probe one endpoint (GET /rpc/status)
+   * @param {Object} endpoint - Endpoint state
+   * @returns {Promise<void>}
+   * @throws {Error} If the endpoint is unreachable or answers with a 5xx status
+   */
+  async probeEndpoint(endpoint) {
+    await this.http.get(`${endpoint.rest}/rpc/status`, {
+      timeout: PROBE_TIMEOUT_MS,
+      validateStatus: (status) => status < 500,
+    });
+  }
+
+  /**
+   * Probe the endpoints of the network periodically (config health.interval)
+   */
+  startHealthChecks() {
+    this.pool.startHealthChecks(endpoint => this.probeEndpoint(endpoint));
+  }
+
+  /**
+   * Stop periodic health checks
+   */
+  stopHealthChecks() {
+    this.pool?.stopHealthChecks();
+  }
+
+  /**
+   * Probe all endpoints now and report their state
+   * @returns {Promise<Object>} { active, lastSwitch, endpoints: [...] } (see EndpointPool#status)
+   */
+  async getEndpointStatus() {
+    return this.pool.checkHealth(endpoint => this.probeEndpoint(endpoint));
   }
 
   /**
    * Health check - uses REST API (domain)
+   * A probe, so it is not retried.
    * @returns {Promise<Object>}
    */
   async healthCheck() {
-    // For HTTPS connections to testnet, configure agent to handle SSL
-    const httpsAgent = new https.Agent({
-      rejectUnauthorized: false, // Allow self-signed certificates for testnet
-    });
-    
-    const axiosConfig = {
-      timeout: 30000,
+    const options = {
+      retries: 0,
       validateStatus: (status) => status < 500,
-      httpsAgent: this.restBaseUrl.startsWith('https://') ? httpsAgent : undefined,
     };
     
     try {
       // Try /rpc/status first (more reliable endpoint)
-      const response = await axios.get(`${this.restBaseUrl}/rpc/status`, axiosConfig);
+      const response = await this.request('health', 'get', '/rpc/status', options);
       return response.data;
     } catch (error) {
       // Fallback to /api if /rpc/status fails
       try {
-        const response = await axios.get(`${this.restBaseUrl}/api`, axiosConfig);
+        const response = await this.request('health', 'get', '/api', options);
         return response.data;
       } catch (fallbackError) {
-        if (error.code === 'ECONNABORTED' || fallbackError.code === 'ECONNABORTED') {
-          throw new Error(`Server health check failed: timeout of 30000ms exceeded`);
-        }
-        throw new Error(`Server health check failed: ${error.message || fallbackError.message}`);
+        throw error;
       }
     }
   }
@@ -55,17 +281,8 @@ class ServerClient {
    * @returns {Promise<Object>}
    */
   async getNetworkStatus() {
-    try {
-      const response = await axios.get(`${this.restBaseUrl}/network`, {
-        timeout: 30000, // Increased timeout for domain requests
-      });
-      return response.data;
-    } catch (error) {
-      if (error.code === 'ECONNABORTED') {
-        throw new Error(`Failed to get network status: timeout of ${error.config.timeout}ms exceeded`);
-      }
-      throw new Error(`Failed to get network status: ${error.message}`);
-    }
+    const response = await this.request('network', 'get', '/network');
+    return response.data;
   }
 
   /**
@@ -73,18 +290,10 @@ class ServerClient {
    * @returns {Promise<Object>}
    */
   async getDetailedStatus() {
-    try {
-      const response = await axios.get(`${this.restBaseUrl}/rpc/status`, {
-        timeout: 30000, // Increased timeout for domain requests
-        validateStatus: (status) => status < 500, // Accept any status < 500
-      });
-      return response.data;
-    } catch (error) {
-      if (error.code === 'ECONNABORTED') {
-        throw new Error(`Failed to get detailed status: timeout of ${error.config.timeout}ms exceeded`);
-      }
-      throw new Error(`Failed to get detailed status: ${error.message}`);
-    }
+    const response = await this.request('status', 'get', '/rpc/status', {
+      validateStatus: (status) => status < 500, // Accept any status < 500
+    });
+    return response.data;
   }
 
   /**
@@ -93,32 +302,24 @@ class ServerClient {
    * @returns {Promise<string>}
    */
   async getBalance(address) {
-    try {
-      const response = await axios.get(`${this.restBaseUrl}/pg-bal/${address}`, {
-        timeout: 10000,
-      });
-      return response.data.balance || '0';
-    } catch (error) {
-      throw new Error(`Failed to get balance: ${error.message}`);
-    }
+    const response = await this.request('balance', 'get', `/pg-bal/${address}`);
+    return response.data.balance || '0';
   }
 
   /**
    * Get transaction by hash
    * @param {string} hash - Transaction hash
-   * @returns {Promise<Object>}
+   * @returns {Promise<Object|null>} Transaction, or null if the server does not know it
    */
   async getTransaction(hash) {
     try {
-      const response = await axios.get(`${this.restBaseUrl}/pg-tx/${hash}`, {
-        timeout: 10000,
-      });
+      const response = await this.request('transaction', 'get', `/pg-tx/${hash}`);
       return response.data;
     } catch (error) {
-      if (error.response?.status === 404) {
+      if (error instanceof NotFoundError) {
         return null;
       }
-      throw new Error(`Failed to get transaction: ${error.message}`);
+      throw error;
     }
   }
 
@@ -128,82 +329,266 @@ class ServerClient {
    * @returns {Promise<Array>}
    */
   async getTransactions(address) {
+    const response = await this.request('transactions', 'get', `/pg-alltx/${address}`);
+    return response.data || [];
+  }
+
+  /**
+   * Get the next nonce for an address (derived from its outgoing transactions)
+   * @param {string} address - Wallet address
+   * @returns {Promise<number>} Next nonce (nonces start at 1)
+   */
+  async getNextNonce(address) {
+    const transactions = await this.getTransactions(address);
+    const outgoing = (Array.isArray(transactions) ? transactions : []).filter(tx => tx.from === address);
+    const nonces = outgoing.map(tx => Number(tx.nonce)).filter(Number.isInteger);
+
+    if (nonces.length > 0) {
+      return Math.max(...nonces) + 1;
+    }
+    // Servers that do not report nonces: every outgoing transaction used one
+    return outgoing.length + 1;
+  }
+
+  /**
+   * Check that the server has no record of a transaction
+   * Only a hash lookup can tell: a missing nonce in the sender's history may just
+   * mean the node accepted the transaction but has not listed it yet.
+   * @param {Object} transaction - Signed transaction ({ hash })
+   * @returns {Promise<boolean>} True only if the node does not know the hash
+   */
+  async isTransactionAbsent(transaction) {
+    if (!transaction.hash) {
+      return false;
+    }
     try {
-      const response = await axios.get(`${this.restBaseUrl}/pg-alltx/${address}`, {
-        timeout: 10000,
-      });
-      return response.data || [];
+      return (await this.getTransaction(transaction.hash)) === null;
     } catch (error) {
-      throw new Error(`Failed to get transactions: ${error.message}`);
+      return false;
     }
   }
 
   /**
    * Send transaction
+   * A failed submission is repeated only if it never reached a node, or if a
+   * lookup of its hash confirms the node does not have it, so it is never sent twice.
+   * A rejected certificate fails right away (TlsError).
    * @param {Object} transaction - Transaction data
    * @returns {Promise<Object>}
+   * @throws {RequestError} If the submission failed (typed, see api/errors.js)
    */
   async sendTransaction(transaction) {
-    try {
-      const response = await axios.post(`${this.restBaseUrl}/pg-sendtx`, transaction, {
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        timeout: 30000, // Longer timeout for transaction submission
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await this.request('send', 'post', '/pg-sendtx', {
+          data: transaction,
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          // A submission that may have reached a node is not repeated on another one
+          failover: 'unsent',
+        });
+        return response.data;
+      } catch (error) {
+        if (attempt >= this.retryPolicy.retries || !isRetryable(error)) {
+          throw error;
+        }
+        if (!error.unsent && !(await this.isTransactionAbsent(transaction))) {
+          throw error;
+        }
+        await backoff(attempt, this.retryPolicy);
+      }
+    }
+  }
+
+  /**
+   * Change the WebSocket connection state and notify 'connectionState' listeners
+   * @param {string} state - 'connecting', 'open', 'backing-off' or 'closed'
+   * @param {Object} details - { url, attempt, retryAt, error }
+   */
+  setConnectionState(state, details = {}) {
+    const previous = this.wsState;
+    this.wsState = state;
+    this.wsStateDetails = details;
+    const listeners = this.wsListeners.get('connectionState') || [];
+    listeners.forEach(listener => listener({ state, previous, ...details }));
+  }
+
+  /**
+   * Current WebSocket connection state
+   * @returns {Object} { state, url, attempt, retryAt, error }
+   */
+  getConnectionState() {
+    return { state: this.wsState, ...this.wsStateDetails };
+  }
+
+  /**
+   * Connect to WebSocket, failing over to the next endpoint that has one
+   * Concurrent calls share one attempt; a pending reconnect is started right away.
+   * @returns {Promise<void>}
+   */
+  connectWebSocket() {
+    if (!this.connectPromise) {
+      this.cancelReconnect();
+      const attempt = this.connectAnyEndpoint().finally(() => {
+        if (this.connectPromise === attempt) {
+          this.connectPromise = null;
+        }
       });
-      return response.data;
+      this.connectPromise = attempt;
+    }
+    return this.connectPromise;
+  }
+
+  /**
+   * Open a connection to the first WebSocket endpoint that accepts it and
+   * register the known addresses again
+   * @returns {Promise<void>}
+   */
+  async connectAnyEndpoint() {
+    const endpoints = this.pool.candidates().filter(e => e.websocket);
+    if (endpoints.length === 0) {
+      throw new Error(`No WebSocket endpoint configured for ${this.network.name}`);
+    }
+    const generation = this.wsGeneration;
+    this.setConnectionState('connecting', { attempt: this.reconnectAttempt });
+    
+    let lastError;
+    for (const endpoint of endpoints) {
+      if (generation !== this.wsGeneration) {
+        throw new Error('WebSocket connection closed');
+      }
+      try {
+        await this.openWebSocket(endpoint.websocket);
+        await this.reregisterAddresses();
+        this.reconnectAttempt = 0;
+        this.setConnectionState('open', { url: endpoint.websocket });
+        return;
+      } catch (error) {
+        this.dropConnection();
+        this.pool.reportFailure(endpoint, error);
+        lastError = error;
+      }
+    }
+    
+    if (!this.reconnecting && generation === this.wsGeneration) {
+      this.setConnectionState('closed', { error: lastError.message });
+    }
+    throw lastError;
+  }
+
+  /**
+   * Register every known address on a new connection
+   * @returns {Promise<void>}
+   */
+  async reregisterAddresses() {
+    for (const address of this.registeredAddresses) {
+      await this.sendRegistration(address);
+    }
+  }
+
+  /**
+   * Connection was lost: try again after a jittered, growing delay
+   * @param {Error} error - Why the connection was lost or the last attempt failed
+   */
+  scheduleReconnect(error) {
+    const delay = backoffDelay(this.reconnectAttempt, this.reconnectPolicy);
+    this.reconnectAttempt++;
+    this.setConnectionState('backing-off', {
+      attempt: this.reconnectAttempt,
+      retryAt: Date.now() + delay,
+      error: error.message,
+    });
+    this.reconnectTimer = setTimeout(() => this.reconnect(), delay);
+    // A pending reconnect alone must not keep the process alive
+    this.reconnectTimer.unref();
+  }
+
+  /**
+   * Reconnect attempt (run by the backoff timer)
+   * @returns {Promise<void>}
+   */
+  async reconnect() {
+    this.reconnectTimer = null;
+    this.reconnecting = true;
+    try {
+      await this.connectWebSocket();
     } catch (error) {
-      throw new Error(`Failed to send transaction: ${error.message}`);
+      if (this.wsState !== 'closed') {
+        this.scheduleReconnect(error);
+      }
+    } finally {
+      this.reconnecting = false;
     }
   }
 
   /**
-   * Connect to WebSocket
+   * Cancel a scheduled reconnect
+   */
+  cancelReconnect() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+  }
+
+  /**
+   * Close the current socket without triggering a reconnect
+   */
+  dropConnection() {
+    if (this.pingInterval) {
+      clearInterval(this.pingInterval);
+      this.pingInterval = null;
+    }
+    if (this.wsConnection) {
+      const socket = this.wsConnection;
+      // Detached first, so its close handler does not schedule a reconnect
+      this.wsConnection = null;
+      try {
+        socket.close();
+      } catch (e) {
+        // Ignore close errors
+      }
+    }
+  }
+
+  /**
+   * Open the WebSocket connection to one endpoint
+   * @param {string} url - WebSocket URL
    * @returns {Promise<void>}
    */
-  async connectWebSocket() {
+  openWebSocket(url) {
     return new Promise((resolve, reject) => {
       try {
         // Close existing connection if any
-        if (this.wsConnection) {
-          try {
-            this.wsConnection.close();
-          } catch (e) {
-            // Ignore close errors
-          }
-          this.wsConnection = null;
-        }
+        this.dropConnection();
         
-        // Create WebSocket connection
-        // For WSS connections, configure options to handle SSL certificates
-        const wsOptions = {};
-        if (this.wsUrl.startsWith('wss://')) {
-          // For testnet, allow self-signed certificates
-          wsOptions.rejectUnauthorized = false;
-        }
-        this.wsConnection = new WebSocket(this.wsUrl, wsOptions);
+        // Create WebSocket connection (WSS uses the network's TLS policy)
+        const wsOptions = url.startsWith('wss://') ? { ...this.tlsOptions } : {};
+        const socket = new WebSocket(url, wsOptions);
+        this.wsConnection = socket;
+        let opened = false;
         
         const timeout = setTimeout(() => {
-          if (this.wsConnection && this.wsConnection.readyState !== WebSocket.OPEN) {
-            this.connecting = false;
-            if (this.wsConnection) {
-              this.wsConnection.close();
+          if (!opened) {
+            if (this.wsConnection === socket) {
+              this.wsConnection = null;
             }
-            this.wsConnection = null;
+            socket.close();
             reject(new Error('WebSocket connection timeout'));
           }
         }, 10000); // 10 second timeout
         
-        this.wsConnection.on('open', () => {
+        socket.on('open', () => {
           clearTimeout(timeout);
-          this.connecting = false;
+          opened = true;
           // WebSocket server automatically registers clients on connection
           // The server will see this as a new client connection
           // Send a ping message (not ping frame) to keep connection alive
-          if (this.wsConnection && this.wsConnection.readyState === WebSocket.OPEN) {
+          if (this.wsConnection === socket && socket.readyState === WebSocket.OPEN) {
             try {
               // Send ping message to keep connection alive
-              this.wsConnection.send(JSON.stringify({
+              socket.send(JSON.stringify({
                 type: 'ping',
                 timestamp: Date.now()
               }));
@@ -231,7 +616,7 @@ class ServerClient {
           resolve();
         });
         
-        this.wsConnection.on('message', (data) => {
+        socket.on('message', (data) => {
           try {
             const message = JSON.parse(data.toString());
             this.handleWebSocketMessage(message);
@@ -240,42 +625,39 @@ class ServerClient {
           }
         });
         
-        this.wsConnection.on('error', (error) => {
+        socket.on('error', (error) => {
           clearTimeout(timeout);
-          this.connecting = false;
-          // Don't reject if connection is already open (might be a minor error)
-          if (this.wsConnection && this.wsConnection.readyState !== WebSocket.OPEN) {
+          // Errors on an open connection are followed by 'close'
+          if (!opened) {
             reject(new Error(`WebSocket error: ${error.message || 'Connection failed'}`));
           }
         });
         
-        this.wsConnection.on('close', () => {
+        socket.on('close', () => {
           clearTimeout(timeout);
-          this.connecting = false;
-          // Clear ping interval
+          if (!opened) {
+            if (this.wsConnection === socket) {
+              this.wsConnection = null;
+            }
+            reject(new Error('WebSocket closed before the connection was established'));
+            return;
+          }
+          // A socket replaced by a newer connection or closed on purpose
+          if (this.wsConnection !== socket) {
+            return;
+          }
           if (this.pingInterval) {
             clearInterval(this.pingInterval);
             this.pingInterval = null;
           }
           this.wsConnection = null;
-          // Try to reconnect after 5 seconds if we're in interactive mode
-          if (process.stdin.isTTY && !this.connecting) {
-            setTimeout(() => {
-              if (!this.wsConnection || (this.wsConnection && this.wsConnection.readyState === WebSocket.CLOSED)) {
-                this.connectWebSocket().catch(() => {
-                  // Silent reconnect failure
-                });
-              }
-            }, 5000);
-          }
+          this.scheduleReconnect(new Error('Connection lost'));
         });
         
         // Handle pong for keepalive (if ping is supported)
-        if (typeof this.wsConnection.on === 'function') {
-          this.wsConnection.on('pong', () => {
-            // Connection is alive
-          });
-        }
+        socket.on('pong', () => {
+          // Connection is alive
+        });
       } catch (error) {
         reject(error);
       }
@@ -321,8 +703,15 @@ class ServerClient {
       listeners.forEach(listener => listener(message.data));
     }
     
+    // Handle account events (subscribeAccount)
+    if (ACCOUNT_EVENT_TYPES.includes(message.type) && message.data) {
+      const listeners = this.wsListeners.get(message.type) || [];
+      listeners.forEach(listener => listener(message.data));
+      return;
+    }
+    
     // Handle other event types
-    if (message.type && this.wsListeners.has(message.type)) {
+    if (message.type && !MESSAGING_TYPES.includes(message.type) && this.wsListeners.has(message.type)) {
       const listeners = this.wsListeners.get(message.type);
       listeners.forEach(listener => listener(message.data || message));
     }
@@ -368,44 +757,32 @@ class ServerClient {
       return;
     }
     
-    // If already connecting, wait for it
-    if (this.connecting) {
-      // Wait up to 10 seconds for connection to complete
-      for (let i = 0; i < 20; i++) {
-        await new Promise(resolve => setTimeout(resolve, 500));
-        if (this.wsConnection && this.wsConnection.readyState === WebSocket.OPEN) {
-          return;
-        }
-        if (!this.connecting) {
-          break;
-        }
-      }
-      // If still not connected after waiting, try to connect again
-      if (!this.wsConnection || this.wsConnection.readyState !== WebSocket.OPEN) {
-        this.connecting = false;
-      }
-    }
-    
-    // Try to connect
-    if (!this.connecting) {
-      this.connecting = true;
-      try {
-        await this.connectWebSocket();
-      } catch (error) {
-        this.connecting = false;
-        throw new Error(`Failed to connect WebSocket: ${error.message}`);
-      }
+    // Joins an attempt in progress, or connects now (also while backing off)
+    try {
+      await this.connectWebSocket();
+    } catch (error) {
+      throw new Error(`Failed to connect WebSocket: ${error.message}`);
     }
   }
 
   /**
    * Register wallet address with server
+   * The address is registered again whenever the connection is re-established.
    * @param {string} address - Wallet address
    * @returns {Promise<void>}
    */
   async registerAddress(address) {
     await this.ensureConnected();
+    this.registeredAddresses.add(address);
+    return this.sendRegistration(address);
+  }
 
+  /**
+   * Send the register message for an address on the current connection
+   * @param {string} address - Wallet address
+   * @returns {Promise<void>} Resolves when the server confirms the registration
+   */
+  sendRegistration(address) {
     return new Promise((resolve, reject) => {
       const timeout = setTimeout(() => {
         this.off('registered', handler);
@@ -431,6 +808,77 @@ class ServerClient {
     });
   }
 
+  /**
+   * Subscribe to the account events of an address on the current connection
+   * The server then pushes { type: 'transaction' | 'balance' | 'block', data }
+   * messages, delivered to on('transaction'), on('balance') and on('block').
+   * @param {string} address - Account address
+   * @param {Array<string>} events - Event types
+   * @returns {Promise<void>} Resolves when the server confirms the subscription
+   * @throws {Error} If the WebSocket is not connected or the server does not confirm (no support)
+   */
+  subscribeAccount(address, events) {
+    if (!this.wsConnection || this.wsConnection.readyState !== WebSocket.OPEN) {
+      return Promise.reject(new Error('WebSocket not connected'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        clearTimeout(timeout);
+        this.off('subscribed', successHandler);
+        this.off('subscribeError', errorHandler);
+        this.off('error', errorHandler);
+      };
+
+      const timeout = setTimeout(() => {
+        cleanup();
+        reject(new Error('Server does not support account subscriptions'));
+      }, SUBSCRIBE_TIMEOUT_MS);
+
+      const successHandler = (data) => {
+        if (data && data.address === address) {
+          cleanup();
+          resolve();
+        }
+      };
+
+      const errorHandler = (data) => {
+        if (data && data.address && data.address !== address) {
+          return;
+        }
+        cleanup();
+        reject(new Error(data && data.error ? data.error : 'Subscription rejected'));
+      };
+
+      this.on('subscribed', successHandler);
+      this.on('subscribeError', errorHandler);
+      this.on('error', errorHandler);
+
+      this.wsConnection.send(JSON.stringify({
+        type: 'subscribe',
+        data: {
+          address: address,
+          events: events,
+        },
+      }));
+    });
+  }
+
+  /**
+   * Cancel the account event subscription of an address (if connected)
+   * @param {string} address - Account address
+   */
+  unsubscribeAccount(address) {
+    if (this.wsConnection && this.wsConnection.readyState === WebSocket.OPEN) {
+      this.wsConnection.send(JSON.stringify({
+        type: 'unsubscribe',
+        data: {
+          address: address,
+        },
+      }));
+    }
+  }
+
   /**
    * Send message to recipient
    * @param {string} from - Sender address
@@ -482,16 +930,15 @@ class ServerClient {
   }
 
   /**
-   * Close WebSocket connection
+   * Close WebSocket connection (no reconnect)
    */
   closeWebSocket() {
-    if (this.pingInterval) {
-      clearInterval(this.pingInterval);
-      this.pingInterval = null;
-    }
-    if (this.wsConnection) {
-      this.wsConnection.close();
-      this.wsConnection = null;
+    this.wsGeneration++;
+    this.cancelReconnect();
+    this.dropConnection();
+    this.reconnectAttempt = 0;
+    if (this.wsState !== 'closed') {
+      this.setConnectionState('closed');
     }
   }
 }
@@ -0,0 +1,93 @@
+import { readFileSync } from 'fs';
+import { createHash, X509Certificate } from 'crypto';
+import tls from 'tls';
+import chalk from 'chalk';
+
+/**
+ * TLS policy - Certificate verification for the REST API and the WebSocket
+ *
+ * Configured per network (networks.<name>.tls):
+ *   caFile   - PEM bundle trusted in addition to the built-in root certificates
+ *   pins     - SPKI pins ("sha256/<base64>"); one certificate of the chain must match
+ *   insecure - Disable verification altogether (explicit opt-in, warns loudly)
+ */
+
+export const PIN_PATTERN = /^sha256\/[A-Za-z0-9+/]{43}=$/;
+
+// Networks already warned about (the warning is printed once per process)
+const warnedInsecure = new Set();
+
+/**
+ * SPKI pin of a certificate
+ * @param {Object} certificate - Peer certificate (tls.TLSSocket#getPeerCertificate)
+ * @returns {string} Pin ("sha256/<base64>")
+ */
+export function spkiPin(certificate) {
+  const spki = new X509Certificate(certificate.raw).publicKey.export({ type: 'spki', format: 'der' });
+  return `sha256/${createHash('sha256').update(spki).digest('base64')}`;
+}
+
+/**
+ * Pins of every certificate in a peer certificate chain
+ * @param {Object} certificate - Leaf certificate with issuerCertificate links
+ * @returns {Array<string>} Pins, leaf first
+ */
+function chainPins(certificate) {
+  const pins = [];
+  const seen = new Set();
+  for (let cert = certificate; cert && cert.raw && !seen.has(cert); cert = cert.issuerCertificate) {
+    seen.add(cert);
+    pins.push(spkiPin(cert));
+  }
+  return pins;
+}
+
+/**
+ * Build the TLS options of a network (for https.Agent and ws)
+ * @param {Object} network - Network profile
+ * @returns {Object} Options: { rejectUnauthorized, ca, checkServerIdentity }
+ * @throws {Error} If the CA file cannot be read or the policy is contradictory
+ */
+export function createTlsOptions(network) {
+  const policy = network.tls || {};
+  const pins = policy.pins || [];
+
+  if (policy.insecure) {
+    if (pins.length > 0) {
+      throw new Error(`networks.${network.name}.tls: pins cannot be checked with insecure enabled (use caFile for self-signed certificates)`);
+    }
+    if (!warnedInsecure.has(network.name)) {
+      warnedInsecure.add(network.name);
+      console.warn(chalk.red.bold(`⚠️  TLS certificate verification is DISABLED for ${network.name} (networks.${network.name}.tls.insecure).`));
+      console.warn(chalk.red.bold('   Anyone on the network path can read and alter requests, including transactions.'));
+    }
+    return { rejectUnauthorized: false };
+  }
+
+  const options = { rejectUnauthorized: true };
+
+  if (policy.caFile) {
+    try {
+      options.ca = [...tls.rootCertificates, readFileSync(policy.caFile, 'utf-8')];
+    } catch (error) {
+      throw new Error(`Failed to read CA file ${policy.caFile}: ${error.message}`);
+    }
+  }
+
+  if (pins.length > 0) {
+    options.checkServerIdentity = (hostname, certificate) => {
+      const error = tls.checkServerIdentity(hostname, certificate);
+      if (error) {
+        return error;
+      }
+      if (!chainPins(certificate).some(pin => pins.includes(pin))) {
+        const pinError = new Error(`Certificate of ${hostname} does not match the pinned keys of ${network.name} (server key: ${spkiPin(certificate)})`);
+        pinError.code = 'ERR_TLS_PIN_MISMATCH';
+        return pinError;
+      }
+      return undefined;
+    };
+  }
+
+  return options;
+}
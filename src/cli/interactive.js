@@ -1,7 +1,11 @@
 import inquirer from 'inquirer';
 import chalk from 'chalk';
 import ora from 'ora';
-import MessageStorage from '../messaging/messageStorage.js';
+import { parsePositiveAmount, formatBalance } from '../wallet/amount.js';
+import { InvalidMnemonicError, InvalidSeedIndexError } from '../core/errors.js';
+import { RequestError, TimeoutError, NotFoundError, ServerError, NetworkError, TlsError, isRetryable } from '../api/errors.js';
+import { listNetworks, networkEndpoints } from '../core/networks.js';
+import { trackSentTransaction } from './output.js';
 
 /**
  * Print ASCII art header
@@ -13,15 +17,69 @@ function printAsciiArt() {
 `));
 }
 
+/**
+ * Advice for a failed server request
+ * @param {Error} error - Error thrown by ServerClient
+ * @returns {string} Hint for the user
+ */
+function requestHint(error) {
+  if (error instanceof TimeoutError) {
+    return 'The server did not answer in time. Try again, or raise requests.timeouts in the configuration.';
+  }
+  if (error instanceof ServerError) {
+    return 'The server failed to process the request. Try again later.';
+  }
+  if (error instanceof NotFoundError) {
+    return 'The server has no record of it.';
+  }
+  if (error instanceof TlsError) {
+    return 'The server certificate was rejected. Check networks.<name>.tls in the configuration.';
+  }
+  if (error instanceof RequestError && !(error instanceof NetworkError)) {
+    return 'The server rejected the request.';
+  }
+  return 'Make sure the server is running and accessible.';
+}
+
+/**
+ * Connection indicator for the main menu
+ * @param {Object} connection - ServerClient#getConnectionState()
+ * @returns {string} Coloured indicator
+ */
+function connectionIndicator(connection) {
+  switch (connection.state) {
+    case 'open':
+      return chalk.green('● online');
+    case 'connecting':
+      return chalk.yellow('◌ connecting');
+    case 'backing-off': {
+      const seconds = Math.max(0, Math.ceil((connection.retryAt - Date.now()) / 1000));
+      return chalk.yellow(`↻ reconnecting in ${seconds}s (attempt ${connection.attempt})`);
+    }
+    default:
+      return chalk.gray('○ offline');
+  }
+}
+
 /**
  * Interactive CLI interface
  */
 class InteractiveCLI {
-  constructor(walletManager, serverClient, messageStorage = null) {
-    this.walletManager = walletManager;
-    this.serverClient = serverClient;
-    this.messageStorage = messageStorage || new MessageStorage();
+  /**
+   * @param {PlatariumClient} client - Client whose components the menu works with
+   */
+  constructor(client) {
+    this.client = client; // Switches networks for every component at once
+    this.walletManager = client.walletManager;
+    this.serverClient = client.serverClient;
+    this.decimals = client.decimals;
+    this.messageStorage = client.messageStorage;
+    this.nonceTracker = client.nonceTracker;
+    this.confirmationTracker = client.confirmationTracker;
     this.pendingMessage = null; // Store pending message to open dialog
+    this.accountEvents = client.accountEvents; // Optional: notifications for the loaded wallet
+    this.watchedAccount = null; // "<network>:<address>" watched by accountEvents
+    this.latestBlock = null;
   }
 
   /**
@@ -52,11 +110,136 @@ class InteractiveCLI {
     }
   }
 
+  /**
+   * Called on account events of the watched wallet (see api/accountEvents.js)
+   * @param {string} type - 'transaction', 'balance' or 'block'
+   * @param {Object} event - Event data
+   */
+  onAccountEvent(type, event) {
+    // Blocks arrive every few seconds: remembered for the network status, not announced
+    if (type === 'block') {
+      this.latestBlock = event;
+      return;
+    }
+    
+    const currentWallet = this.walletManager.getCurrentWallet();
+    if (!currentWallet || event.address !== currentWallet.address) {
+      return;
+    }
+    
+    if (type === 'transaction') {
+      const tx = event.transaction;
+      const amount = formatBalance(tx.value ?? tx.amount ?? 0, this.decimals);
+      if (event.direction === 'incoming') {
+        console.log(chalk.green('\n💸 Incoming transaction!'));
+        console.log(chalk.cyan(`  From: ${tx.from || 'Unknown'}`));
+      } else {
+        console.log(chalk.green('\n📤 Outgoing transaction'));
+        console.log(chalk.cyan(`  To: ${tx.to || 'Unknown'}`));
+      }
+      console.log(chalk.cyan(`  Amount: ${amount} PLT`));
+      console.log(chalk.gray(`  Hash: ${tx.hash || 'N/A'}\n`));
+    } else if (type === 'balance') {
+      console.log(chalk.green(`\n💰 Balance changed: ${formatBalance(event.previous, this.decimals)} → ${formatBalance(event.balance, this.decimals)} PLT\n`));
+    }
+  }
+
+  /**
+   * Watch the loaded wallet for account events (and stop watching the previous one)
+   */
+  syncAccountEvents() {
+    if (!this.accountEvents) {
+      return;
+    }
+    const wallet = this.walletManager.getCurrentWallet();
+    const key = wallet ? `${this.serverClient.network.name}:${wallet.address}` : null;
+    if (key === this.watchedAccount) {
+      return;
+    }
+    
+    this.accountEvents.unwatchAll();
+    this.watchedAccount = key;
+    if (wallet) {
+      // In the background: the menu must not wait for the server
+      this.accountEvents.watch(wallet.address).catch(() => {});
+    }
+  }
+
+  /**
+   * Prompt for a new wallet password (with confirmation)
+   * @returns {Promise<string>}
+   */
+  async promptNewPassword() {
+    const { password } = await inquirer.prompt([
+      {
+        type: 'password',
+        name: 'password',
+        message: 'Wallet password:',
+        mask: '*',
+        validate: (input) => input.length >= 8 || 'Password must be at least 8 characters',
+      },
+      {
+        type: 'password',
+        name: 'confirm',
+        message: 'Confirm password:',
+        mask: '*',
+        validate: (input, answers) => input === answers.password || 'Passwords do not match',
+      },
+    ]);
+    
+    return password;
+  }
+
+  /**
+   * Register address with WebSocket server for messaging
+   * @param {string} address - Wallet address
+   */
+  async registerForMessaging(address) {
+    try {
+      // Ensure WebSocket is connected first
+      await this.serverClient.ensureConnected();
+      await this.serverClient.registerAddress(address);
+      console.log(chalk.green('✓ Address registered for messaging'));
+    } catch (regError) {
+      // Try to reconnect and register
+      try {
+        console.log(chalk.yellow('   Attempting to reconnect...'));
+        await this.serverClient.connectWebSocket();
+        await this.serverClient.registerAddress(address);
+        console.log(chalk.green('✓ Address registered for messaging'));
+      } catch (retryError) {
+        console.log(chalk.yellow(`⚠️  Address registration failed: ${retryError.message}`));
+      }
+    }
+  }
+
+  /**
+   * Check transactions left pending by an earlier session
+   */
+  async reconcilePendingTransactions() {
+    try {
+      const { confirmed, failed, pending, errors } = await this.confirmationTracker.reconcilePending();
+      
+      confirmed.forEach(tx => console.log(chalk.green(`✓ Transaction confirmed: ${tx.amount} PLT to ${tx.to} (nonce ${tx.nonce})`)));
+      failed.forEach(tx => console.log(chalk.red(`✗ Transaction failed: ${tx.amount} PLT to ${tx.to} (nonce ${tx.nonce}, ${tx.hash})`)));
+      if (pending.length + errors.length > 0) {
+        console.log(chalk.yellow(`⏳ ${pending.length + errors.length} transaction(s) still pending`));
+      }
+      if (confirmed.length + failed.length + pending.length + errors.length > 0) {
+        console.log('');
+      }
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️  Could not check pending transactions: ${error.message}\n`));
+    }
+  }
+
   /**
    * Show main menu
    * @returns {Promise<string>}
    */
   async showMainMenu() {
+    this.syncAccountEvents();
+    
     // Get unread count for current wallet
     let unreadCount = 0;
     const currentWallet = this.walletManager.getCurrentWallet();
@@ -72,21 +255,26 @@ class InteractiveCLI {
       ? `💬 Messages (${unreadCount} new)`
       : '💬 Messages';
     
+    const network = this.serverClient.network;
+    
     const { action } = await inquirer.prompt([
       {
         type: 'list',
         name: 'action',
-        message: 'What would you like to do?',
+        message: `What would you like to do? ${chalk.gray(`[${network.label}]`)} ${connectionIndicator(this.serverClient.getConnectionState())}`,
         choices: [
           { name: '📝 Create new wallet', value: 'create' },
           { name: '🔑 Restore wallet from mnemonic', value: 'restore' },
           { name: '📂 Load existing wallet', value: 'load' },
+          { name: '👁️  Add watch-only wallet', value: 'watch' },
           { name: '📋 List all wallets', value: 'list' },
+          { name: '👥 Accounts', value: 'accounts' },
           { name: '💰 Check balance', value: 'balance' },
           { name: '📤 Send transaction', value: 'send' },
           { name: '📜 View transactions', value: 'transactions' },
           { name: messagesLabel, value: 'messages' },
           { name: '🌐 Network status', value: 'network' },
+          { name: '🔀 Switch network', value: 'switchNetwork' },
           { name: '❌ Exit', value: 'exit' },
         ],
       },
@@ -113,11 +301,12 @@ class InteractiveCLI {
         default: 0,
       },
     ]);
+    const password = await this.promptNewPassword();
     
     const spinner = ora('Creating wallet...').start();
     
     try {
-      const wallet = await this.walletManager.createWallet(name, seedIndex);
+      const wallet = await this.walletManager.createWallet(name, seedIndex, password);
       spinner.succeed('Wallet created successfully!');
       
       console.log(chalk.green('\n✓ Wallet Details:'));
@@ -174,11 +363,12 @@ class InteractiveCLI {
         default: 0,
       },
     ]);
+    const password = await this.promptNewPassword();
     
     const spinner = ora('Restoring wallet...').start();
     
     try {
-      const wallet = await this.walletManager.restoreWallet(name, mnemonic, alphanumeric, seedIndex);
+      const wallet = await this.walletManager.restoreWallet(name, mnemonic, alphanumeric, seedIndex, password);
       spinner.succeed('Wallet restored successfully!');
       
       console.log(chalk.green('\n✓ Wallet Details:'));
@@ -198,24 +388,14 @@ class InteractiveCLI {
       }
       
       // Register address with WebSocket server
-      try {
-        // Ensure WebSocket is connected first
-        await this.serverClient.ensureConnected();
-        await this.serverClient.registerAddress(wallet.address);
-        console.log(chalk.green('✓ Address registered for messaging'));
-      } catch (regError) {
-        // Try to reconnect and register
-        try {
-          console.log(chalk.yellow('   Attempting to reconnect...'));
-          await this.serverClient.connectWebSocket();
-          await this.serverClient.registerAddress(wallet.address);
-          console.log(chalk.green('✓ Address registered for messaging'));
-        } catch (retryError) {
-          console.log(chalk.yellow(`⚠️  Address registration failed: ${retryError.message}`));
-        }
-      }
+      await this.registerForMessaging(wallet.address);
     } catch (error) {
       spinner.fail(`Failed to restore wallet: ${error.message}`);
+      if (error instanceof InvalidMnemonicError) {
+        console.log(chalk.yellow('   Check the spelling and order of the mnemonic words and the alphanumeric code.'));
+      } else if (error instanceof InvalidSeedIndexError) {
+        console.log(chalk.yellow('   Seed index must be a non-negative whole number.'));
+      }
     }
   }
 
@@ -223,10 +403,15 @@ class InteractiveCLI {
    * Handle load wallet
    */
   async handleLoadWallet() {
-    const wallets = await this.walletManager.listWallets();
+    const allWallets = await this.walletManager.listWallets();
+    const network = this.walletManager.network;
+    const wallets = allWallets.filter(w => w.network === network);
     
     if (wallets.length === 0) {
-      console.log(chalk.yellow('No wallets found. Create one first.'));
+      console.log(chalk.yellow(`No wallets found on ${network}. Create one first.`));
+      if (allWallets.length > 0) {
+        console.log(chalk.gray(`   ${allWallets.length} wallet(s) belong to other networks, use "Switch network" to load them.`));
+      }
       return;
     }
     
@@ -236,22 +421,41 @@ class InteractiveCLI {
         name: 'filename',
         message: 'Select wallet to load:',
         choices: wallets.map(w => ({
-          name: `${w.name} (${w.address.substring(0, 20)}...)`,
+          name: `${w.name}${w.watchOnly ? ' [watch-only]' : ''} (${w.address.substring(0, 20)}...)`,
           value: w.filename,
         })),
       },
     ]);
     
+    // Encrypted wallets need the password to decrypt their secrets
+    let password;
+    const selected = wallets.find(w => w.filename === filename);
+    if (selected && selected.encrypted) {
+      ({ password } = await inquirer.prompt([
+        {
+          type: 'password',
+          name: 'password',
+          message: 'Wallet password:',
+          mask: '*',
+        },
+      ]));
+    }
+    
     const spinner = ora('Loading wallet...').start();
     
     try {
-      const wallet = await this.walletManager.loadWallet(filename);
+      const wallet = await this.walletManager.loadWallet(filename, password);
       spinner.succeed('Wallet loaded successfully!');
       
       console.log(chalk.green('\n✓ Wallet Details:'));
       console.log(chalk.cyan(`  Name: ${wallet.name}`));
       console.log(chalk.cyan(`  Address: ${wallet.address}`));
       
+      if (wallet.watchOnly) {
+        console.log(chalk.magenta('  👁️  Watch-only: balance and history only, signing is disabled'));
+        return;
+      }
+      
       // Get unread messages count
       try {
         const unreadCount = await this.messageStorage.getUnreadCount(wallet.address);
@@ -265,27 +469,41 @@ class InteractiveCLI {
       }
       
       // Register address with WebSocket server
-      try {
-        // Ensure WebSocket is connected first
-        await this.serverClient.ensureConnected();
-        await this.serverClient.registerAddress(wallet.address);
-        console.log(chalk.green('✓ Address registered for messaging'));
-      } catch (regError) {
-        // Try to reconnect and register
-        try {
-          console.log(chalk.yellow('   Attempting to reconnect...'));
-          await this.serverClient.connectWebSocket();
-          await this.serverClient.registerAddress(wallet.address);
-          console.log(chalk.green('✓ Address registered for messaging'));
-        } catch (retryError) {
-          console.log(chalk.yellow(`⚠️  Address registration failed: ${retryError.message}`));
-        }
-      }
+      await this.registerForMessaging(wallet.address);
     } catch (error) {
       spinner.fail(`Failed to load wallet: ${error.message}`);
     }
   }
 
+  /**
+   * Handle add watch-only wallet
+   */
+  async handleWatchWallet() {
+    const { name, address } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'name',
+        message: 'Label:',
+        validate: (input) => input.length > 0 || 'Label cannot be empty',
+      },
+      {
+        type: 'input',
+        name: 'address',
+        message: 'Address to watch:',
+        validate: (input) => input.trim().length > 0 || 'Address cannot be empty',
+      },
+    ]);
+    
+    try {
+      const wallet = await this.walletManager.addWatchWallet(name, address);
+      console.log(chalk.green('\n✓ Watch-only wallet added and loaded!'));
+      console.log(chalk.cyan(`  Name: ${wallet.name}`));
+      console.log(chalk.cyan(`  Address: ${wallet.address}`));
+    } catch (error) {
+      console.log(chalk.red(`✗ Failed to add watch-only wallet: ${error.message}`));
+    }
+  }
+
   /**
    * Handle list wallets
    */
@@ -293,25 +511,119 @@ class InteractiveCLI {
     const spinner = ora('Loading wallets...').start();
     
     try {
-      const wallets = await this.walletManager.listWallets();
+      const { wallets, corrupted } = await this.walletManager.scanWallets();
       spinner.stop();
       
       if (wallets.length === 0) {
         console.log(chalk.yellow('No wallets found.'));
-        return;
+      } else {
+        console.log(chalk.green('\n📂 Wallets:'));
+        wallets.forEach((w, i) => {
+          const marker = w.watchOnly
+            ? chalk.magenta(' (watch-only)')
+            : (w.encrypted ? '' : chalk.yellow(' (unencrypted)'));
+          console.log(chalk.cyan(`  ${i + 1}. ${w.name}${marker}`));
+          console.log(chalk.white(`     Address: ${w.address}`));
+          console.log(chalk.gray(`     Network: ${w.network}`));
+          console.log(chalk.gray(`     Created: ${w.createdAt}`));
+        });
       }
       
-      console.log(chalk.green('\n📂 Wallets:'));
-      wallets.forEach((w, i) => {
-        console.log(chalk.cyan(`  ${i + 1}. ${w.name}`));
-        console.log(chalk.white(`     Address: ${w.address}`));
-        console.log(chalk.gray(`     Created: ${w.createdAt}`));
-      });
+      if (corrupted.length > 0) {
+        console.log(chalk.red(`\n⚠️  ${corrupted.length} wallet file(s) could not be read:`));
+        corrupted.forEach(c => console.log(chalk.red(`     ${c.filename}: ${c.error}`)));
+      }
     } catch (error) {
       spinner.fail(`Failed to list wallets: ${error.message}`);
     }
   }
 
+  /**
+   * Handle accounts menu (switch, add and rename derived accounts)
+   */
+  async handleAccounts() {
+    const wallet = this.walletManager.getCurrentWallet();
+    
+    if (!wallet) {
+      console.log(chalk.yellow('No wallet loaded. Please load a wallet first.'));
+      return;
+    }
+    
+    if (wallet.watchOnly) {
+      console.log(chalk.yellow(`Wallet "${wallet.name}" is watch-only and has no derived accounts.`));
+      return;
+    }
+    
+    while (true) {
+      const accounts = await this.walletManager.listAccounts();
+      
+      const { action } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'action',
+          message: 'Select account to use or action:',
+          choices: [
+            ...accounts.map(a => ({
+              name: `${a.active ? '● ' : '  '}${a.label} (#${a.index}) ${a.address.substring(0, 20)}...`,
+              value: a.index,
+            })),
+            new inquirer.Separator(),
+            { name: '➕ Add account', value: 'add' },
+            { name: '✏️  Rename account', value: 'rename' },
+            { name: '⬅️  Back', value: 'back' },
+          ],
+        },
+      ]);
+      
+      if (action === 'back') {
+        break;
+      }
+      
+      try {
+        if (action === 'add') {
+          const { label } = await inquirer.prompt([
+            {
+              type: 'input',
+              name: 'label',
+              message: 'Account label (optional):',
+            },
+          ]);
+          const spinner = ora('Deriving account...').start();
+          try {
+            const account = await this.walletManager.addAccount(label.trim());
+            spinner.succeed(`Account #${account.index} added: ${account.address}`);
+          } catch (error) {
+            spinner.fail(`Failed to add account: ${error.message}`);
+          }
+        } else if (action === 'rename') {
+          const { index, label } = await inquirer.prompt([
+            {
+              type: 'list',
+              name: 'index',
+              message: 'Account to rename:',
+              choices: accounts.map(a => ({ name: `${a.label} (#${a.index})`, value: a.index })),
+            },
+            {
+              type: 'input',
+              name: 'label',
+              message: 'New label:',
+              validate: (input) => input.trim().length > 0 || 'Label cannot be empty',
+            },
+          ]);
+          await this.walletManager.labelAccount(index, label.trim());
+          console.log(chalk.green('✓ Account renamed'));
+        } else {
+          const account = await this.walletManager.selectAccount(action);
+          console.log(chalk.green(`✓ Active account: ${account.label} (#${account.index})`));
+          console.log(chalk.cyan(`  Address: ${account.address}`));
+          await this.registerForMessaging(account.address);
+        }
+      } catch (error) {
+        console.log(chalk.red(`✗ ${error.message}`));
+      }
+    }
+  }
+
   /**
    * Handle check balance
    */
@@ -329,11 +641,11 @@ class InteractiveCLI {
       const balance = await this.serverClient.getBalance(wallet.address);
       spinner.succeed('Balance retrieved!');
       
-      console.log(chalk.green(`\n💰 Balance: ${balance} PLT`));
+      console.log(chalk.green(`\n💰 Balance: ${formatBalance(balance, this.decimals)} PLT`));
       console.log(chalk.cyan(`   Address: ${wallet.address}`));
     } catch (error) {
       spinner.fail(`Failed to check balance: ${error.message}`);
-      console.log(chalk.yellow('   Make sure the server is running and accessible.'));
+      console.log(chalk.yellow(`   ${requestHint(error)}`));
     }
   }
 
@@ -348,6 +660,31 @@ class InteractiveCLI {
       return;
     }
     
+    if (wallet.watchOnly) {
+      console.log(chalk.yellow(`Wallet "${wallet.name}" is watch-only and cannot send transactions.`));
+      return;
+    }
+    
+    // Next nonce from the chain plus locally pending transactions
+    let nextNonce;
+    const nonceSpinner = ora('Fetching next nonce...').start();
+    try {
+      const chainNonce = await this.serverClient.getNextNonce(wallet.address);
+      const status = await this.nonceTracker.reconcile(wallet.address, chainNonce);
+      nextNonce = status.nextNonce;
+      nonceSpinner.succeed(`Next nonce: ${nextNonce}${status.pending.length > 0 ? ` (${status.pending.length} pending)` : ''}`);
+      
+      if (status.gaps.length > 0) {
+        console.log(chalk.yellow(`⚠️  Nonce gap: ${status.gaps.join(', ')} never reached the chain, later transactions are blocked`));
+        console.log(chalk.yellow(`   Use nonce ${status.gaps[0]} to fill the gap`));
+      }
+      status.stuck.forEach((entry) => {
+        console.log(chalk.yellow(`⚠️  Transaction with nonce ${entry.nonce} pending since ${entry.submittedAt}: ${entry.hash || 'no hash'}`));
+      });
+    } catch (error) {
+      nonceSpinner.warn(`Could not fetch next nonce: ${error.message}`);
+    }
+    
     const { to, amount, nonce } = await inquirer.prompt([
       {
         type: 'input',
@@ -360,15 +697,20 @@ class InteractiveCLI {
         name: 'amount',
         message: 'Amount:',
         validate: (input) => {
-          const num = parseFloat(input);
-          return !isNaN(num) && num > 0 || 'Amount must be a positive number';
+          try {
+            parsePositiveAmount(input, this.decimals);
+            return true;
+          } catch (error) {
+            return error.message;
+          }
         },
       },
       {
         type: 'number',
         name: 'nonce',
         message: 'Nonce:',
-        default: 1,
+        default: nextNonce,
+        validate: (input) => Number.isInteger(input) && input >= 0 || 'Nonce must be a non-negative integer',
       },
     ]);
     
@@ -382,21 +724,54 @@ class InteractiveCLI {
     };
     
     const spinner = ora('Signing and sending transaction...').start();
+    let signedTx = null;
+    let result;
     
     try {
-      const signedTx = await this.walletManager.signTransaction(transaction);
-      const result = await this.serverClient.sendTransaction(signedTx);
-      
-      spinner.succeed('Transaction sent successfully!');
-      
-      console.log(chalk.green('\n✓ Transaction Details:'));
-      console.log(chalk.cyan(`  Hash: ${result.transaction?.hash || 'N/A'}`));
-      console.log(chalk.cyan(`  From: ${signedTx.from}`));
-      console.log(chalk.cyan(`  To: ${signedTx.to}`));
-      console.log(chalk.cyan(`  Amount: ${signedTx.amount} PLT`));
+      signedTx = await this.walletManager.signTransaction(transaction);
+      result = await this.serverClient.sendTransaction(signedTx);
     } catch (error) {
       spinner.fail(`Failed to send transaction: ${error.message}`);
-      console.log(chalk.yellow('   Make sure the server is running and accessible.'));
+      if (signedTx && isRetryable(error) && !error.unsent) {
+        // A node may have accepted it: keep the nonce reserved until the chain shows the outcome
+        try {
+          await this.nonceTracker.track(signedTx);
+        } catch (trackError) {
+          console.log(chalk.yellow(`   Nonce ${signedTx.nonce} could not be reserved locally: ${trackError.message}`));
+        }
+        console.log(chalk.yellow(`   The transaction may still reach the chain. Check the transactions before sending nonce ${signedTx.nonce} again.`));
+      } else {
+        console.log(chalk.yellow(`   ${requestHint(error)}`));
+      }
+      return;
+    }
+    
+    // Sent: from here on nothing may suggest sending it again
+    const hash = result.transaction?.hash;
+    spinner.succeed('Transaction sent successfully!');
+    await trackSentTransaction(this.nonceTracker, signedTx, hash);
+    
+    console.log(chalk.green('\n✓ Transaction Details:'));
+    console.log(chalk.cyan(`  Hash: ${hash || 'N/A'}`));
+    console.log(chalk.cyan(`  From: ${signedTx.from}`));
+    console.log(chalk.cyan(`  To: ${signedTx.to}`));
+    console.log(chalk.cyan(`  Amount: ${signedTx.amount} PLT`));
+    
+    if (hash) {
+      const confirmSpinner = ora('Waiting for confirmation...').start();
+      const confirmation = await this.confirmationTracker.waitForConfirmation(signedTx, hash, {
+        onPoll: (attempt, elapsed) => {
+          confirmSpinner.text = `Waiting for confirmation... (${Math.round(elapsed / 1000)}s)`;
+        },
+      });
+      
+      if (confirmation.state === 'confirmed') {
+        confirmSpinner.succeed('Transaction confirmed!');
+      } else if (confirmation.state === 'failed') {
+        confirmSpinner.fail(`Transaction failed: ${confirmation.transaction?.error || confirmation.transaction?.status}`);
+      } else {
+        confirmSpinner.warn('Not confirmed yet, it will be checked again on next start');
+      }
     }
   }
 
@@ -427,12 +802,12 @@ class InteractiveCLI {
         console.log(chalk.cyan(`\n  ${i + 1}. ${tx.hash || 'N/A'}`));
         console.log(chalk.white(`     From: ${tx.from}`));
         console.log(chalk.white(`     To: ${tx.to}`));
-        console.log(chalk.white(`     Amount: ${tx.value} PLT`));
+        console.log(chalk.white(`     Amount: ${formatBalance(tx.value, this.decimals)} PLT`));
         console.log(chalk.gray(`     Time: ${new Date(tx.timestamp * 1000).toLocaleString()}`));
       });
     } catch (error) {
       spinner.fail(`Failed to load transactions: ${error.message}`);
-      console.log(chalk.yellow('   Make sure the server is running and accessible.'));
+      console.log(chalk.yellow(`   ${requestHint(error)}`));
     }
   }
 
@@ -448,9 +823,13 @@ class InteractiveCLI {
       
       console.log(chalk.green('\n🌐 Network Status:'));
       console.log(chalk.cyan(`  Status: ${status.status}`));
+      console.log(chalk.cyan(`  Endpoint: ${this.serverClient.restBaseUrl}`));
       console.log(chalk.cyan(`  Node ID: ${status.nodeId}`));
       console.log(chalk.cyan(`  Connected Peers: ${status.connectedPeers}`));
       console.log(chalk.cyan(`  Connected Clients: ${status.summary?.connectedClients || 0}`));
+      if (this.latestBlock?.height !== null && this.latestBlock?.height !== undefined) {
+        console.log(chalk.cyan(`  Latest Block: #${this.latestBlock.height}`));
+      }
       
       if (status.components) {
         console.log(chalk.yellow('\n  Components:'));
@@ -462,7 +841,70 @@ class InteractiveCLI {
       }
     } catch (error) {
       spinner.fail(`Failed to get network status: ${error.message}`);
-      console.log(chalk.yellow('   Make sure the server is running and accessible.'));
+      console.log(chalk.yellow(`   ${requestHint(error)}`));
+    }
+  }
+
+  /**
+   * Handle switch network
+   * Wallets, pending transactions and messages of the previous network stay
+   * on disk but are no longer used.
+   */
+  async handleSwitchNetwork() {
+    const config = this.client.config;
+    const current = this.serverClient.network;
+    
+    const { name } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'name',
+        message: 'Select network:',
+        default: current.name,
+        choices: listNetworks(config).map(n => ({
+          name: `${n.name === current.name ? '● ' : '  '}${n.label || n.name} (${n.name})${networkEndpoints(n).length > 0 ? '' : ' - no endpoints configured'}`,
+          value: n.name,
+        })),
+      },
+    ]);
+    
+    if (name === current.name) {
+      return;
+    }
+    
+    const previousWallet = this.walletManager.getCurrentWallet();
+    let network;
+    try {
+      network = this.client.setNetwork(name);
+    } catch (error) {
+      console.log(chalk.red(`✗ ${error.message}`));
+      return;
+    }
+    
+    // The client stopped watching the accounts of the previous network
+    this.watchedAccount = null;
+    this.latestBlock = null;
+    
+    console.log(chalk.green(`\n✓ Switched to ${network.label} (${network.name})`));
+    console.log(chalk.cyan(`  Chain ID: ${network.chainId}`));
+    console.log(chalk.cyan(`  REST API: ${this.serverClient.restBaseUrl}`));
+    if (previousWallet && !this.walletManager.getCurrentWallet()) {
+      console.log(chalk.yellow(`  Wallet "${previousWallet.name}" belongs to ${current.name} and was unloaded`));
+    }
+    
+    const spinner = ora('Connecting...').start();
+    try {
+      await this.serverClient.healthCheck();
+      spinner.succeed('REST API is accessible!');
+    } catch (error) {
+      spinner.warn(`REST API connection failed: ${error.message}`);
+      return;
+    }
+    
+    await this.reconcilePendingTransactions();
+    
+    const wallet = this.walletManager.getCurrentWallet();
+    if (wallet && !wallet.watchOnly) {
+      await this.registerForMessaging(wallet.address);
     }
   }
 
@@ -480,12 +922,17 @@ class InteractiveCLI {
       console.log(chalk.yellow(`⚠️  Message storage initialization failed: ${error.message}`));
     }
     
+    // Keep scoring the endpoints so requests fail over before they time out
+    this.serverClient.startHealthChecks();
+    
     while (true) {
       // Update menu to show unread count
       const action = await this.showMainMenu();
       
       if (action === 'exit') {
         console.log(chalk.yellow('\n👋 Goodbye!'));
+        this.serverClient.stopHealthChecks();
+        this.accountEvents?.unwatchAll();
         break;
       }
       
@@ -500,9 +947,15 @@ class InteractiveCLI {
           case 'load':
             await this.handleLoadWallet();
             break;
+          case 'watch':
+            await this.handleWatchWallet();
+            break;
           case 'list':
             await this.handleListWallets();
             break;
+          case 'accounts':
+            await this.handleAccounts();
+            break;
           case 'balance':
             await this.handleCheckBalance();
             break;
@@ -515,6 +968,9 @@ class InteractiveCLI {
           case 'network':
             await this.handleNetworkStatus();
             break;
+          case 'switchNetwork':
+            await this.handleSwitchNetwork();
+            break;
           case 'messages':
             await this.handleMessages();
             break;
@@ -761,9 +1217,9 @@ class InteractiveCLI {
           continue; // Go back to start of loop to refresh dialog
         } catch (error) {
           spinner.fail(`Failed to send message: ${error.message}`);
-          // If connection error, suggest reconnecting
+          // If connection error, the client is reconnecting in the background
           if (error.message.includes('WebSocket not connected') || error.message.includes('connect')) {
-            console.log(chalk.yellow('   Try: Restart the application to reconnect to server.'));
+            console.log(chalk.yellow('   The connection is re-established automatically, try again in a moment.'));
           }
         }
       }
@@ -0,0 +1,133 @@
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+
+/**
+ * Command output - Human-readable prose or a single JSON document (--json)
+ *
+ * In JSON mode stdout carries exactly one document:
+ *   { "ok": true, "data": { ... } }
+ *   { "ok": false, "error": { "message", "code", "exitCode", ... } }
+ * Everything else (progress, warnings, prompts) goes to stderr, so commands
+ * print their human-readable output with print() instead of console.log().
+ */
+
+let jsonOutput = false;
+let stderrPrompt = null;
+
+/**
+ * Switch to JSON output
+ * For the command line entry point only: colours are turned off for the
+ * whole process.
+ */
+export function enableJsonOutput() {
+  jsonOutput = true;
+  chalk.level = 0;
+}
+
+/**
+ * Whether JSON output is enabled
+ * @returns {boolean}
+ */
+export function isJsonOutput() {
+  return jsonOutput;
+}
+
+/**
+ * Print human-readable output: stdout, or stderr in JSON mode
+ * @param {...*} args - Values to print (as console.log)
+ */
+export function print(...args) {
+  if (jsonOutput) {
+    console.error(...args);
+  } else {
+    console.log(...args);
+  }
+}
+
+/**
+ * Write a JSON document to stdout
+ * @param {Object} document - Document
+ * @param {Function} callback - Called once the document is flushed
+ */
+function writeDocument(document, callback) {
+  process.stdout.write(JSON.stringify(document, null, 2) + '\n', callback);
+}
+
+/**
+ * Report a command result
+ * @param {Object} data - Result data (the JSON document's `data`)
+ * @param {Function} printHuman - Prints the human-readable version
+ */
+export function emit(data, printHuman) {
+  if (jsonOutput) {
+    writeDocument({ ok: true, data });
+  } else if (printHuman) {
+    printHuman();
+  }
+}
+
+/**
+ * Report a failure and exit
+ * Resolves never: the process exits once the output is flushed.
+ * @param {string} label - Failure message prefix
+ * @param {Error} error - Error
+ * @param {number} exitCode - Process exit code
+ * @param {Object} details - Extra fields for the JSON error object
+ * @returns {Promise<never>}
+ */
+export function fail(label, error, exitCode = 1, details = {}) {
+  const message = `${label}: ${error.message}`;
+
+  if (jsonOutput) {
+    console.error(message);
+    writeDocument({
+      ok: false,
+      error: {
+        message,
+        code: error.code || null,
+        exitCode,
+        ...details,
+      },
+    }, () => process.exit(exitCode));
+  } else {
+    console.error(chalk.red(message));
+    process.exit(exitCode);
+  }
+
+  return new Promise(() => {});
+}
+
+/**
+ * Prompt the user (inquirer), on stderr in JSON mode
+ * @param {Array} questions - inquirer questions
+ * @returns {Promise<Object>} Answers
+ */
+export function prompt(questions) {
+  if (!jsonOutput) {
+    return inquirer.prompt(questions);
+  }
+  if (!stderrPrompt) {
+    stderrPrompt = inquirer.createPromptModule({ output: process.stderr });
+  }
+  return stderrPrompt(questions);
+}
+
+/**
+ * Remember a broadcast transaction until it is confirmed (NonceTracker#track)
+ * The transaction is already on its way, so a failure only costs the local
+ * bookkeeping and is reported as a warning instead of a failed send.
+ * @param {NonceTracker} nonceTracker - Pending transaction store
+ * @param {Object} signedTx - Broadcast transaction
+ * @param {string|null} hash - Transaction hash
+ * @returns {Promise<boolean>} Whether the transaction was recorded
+ */
+export async function trackSentTransaction(nonceTracker, signedTx, hash) {
+  try {
+    await nonceTracker.track(signedTx, hash);
+    return true;
+  } catch (error) {
+    print(chalk.yellow(`⚠️  Transaction sent, but it could not be added to the pending list: ${error.message}`));
+    print(chalk.yellow(`   Nonce ${signedTx.nonce} is not reserved locally; check the transactions of ${signedTx.from} before sending again.`));
+    return false;
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * Platarium Core compatibility - Range of platarium-cli versions this wallet supports
+ */
+
+// Inclusive minimum, exclusive maximum
+export const MIN_CORE_VERSION = '0.1.0';
+export const MAX_CORE_VERSION = '1.0.0';
+
+export const SUPPORTED_CORE_RANGE = `>=${MIN_CORE_VERSION} <${MAX_CORE_VERSION}`;
+
+/**
+ * Parse a semantic version out of a string (e.g. "platarium-cli 0.3.1")
+ * @param {string} text - Version string
+ * @returns {Array<number>|null} [major, minor, patch] or null
+ */
+export function parseVersion(text) {
+  const match = /(\d+)\.(\d+)\.(\d+)/.exec(text || '');
+  return match ? match.slice(1, 4).map(Number) : null;
+}
+
+/**
+ * Compare two versions
+ * @param {Array<number>} a - Parsed version
+ * @param {Array<number>} b - Parsed version
+ * @returns {number} Negative if a < b, 0 if equal, positive if a > b
+ */
+export function compareVersions(a, b) {
+  for (let i = 0; i < 3; i++) {
+    if (a[i] !== b[i]) {
+      return a[i] - b[i];
+    }
+  }
+  return 0;
+}
+
+/**
+ * Check a platarium-cli version against the supported range
+ * @param {string} version - Version string reported by the binary
+ * @returns {Object} { supported, reason }
+ */
+export function checkCoreVersion(version) {
+  const parsed = parseVersion(version);
+  if (!parsed) {
+    return { supported: false, reason: 'binary did not report a version' };
+  }
+  if (compareVersions(parsed, parseVersion(MIN_CORE_VERSION)) < 0) {
+    return { supported: false, reason: `version ${parsed.join('.')} is older than ${MIN_CORE_VERSION}` };
+  }
+  if (compareVersions(parsed, parseVersion(MAX_CORE_VERSION)) >= 0) {
+    return { supported: false, reason: `version ${parsed.join('.')} is not supported yet (must be below ${MAX_CORE_VERSION})` };
+  }
+  return { supported: true, reason: null };
+}
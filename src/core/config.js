@@ -0,0 +1,610 @@
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { LEGACY_NETWORK, networkEndpoints } from './networks.js';
+import { PIN_PATTERN } from '../api/tls.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Configuration - Layered settings
+ *
+ * Later layers override earlier ones:
+ *   built-in defaults (config/default.json)
+ *   system file (/etc/platarium/config.json)
+ *   user file ($XDG_CONFIG_HOME/platarium/config.json)
+ *   environment variables (PLATARIUM_*)
+ *   command line flags
+ */
+
+const isWindows = process.platform === 'win32';
+
+// Directory the wallet is installed in (wallets used to be stored here)
+const INSTALL_DIR = path.resolve(__dirname, '../..');
+
+export const DEFAULT_CONFIG_PATH = path.join(INSTALL_DIR, 'config', 'default.json');
+
+// Environment variables and the setting each one overrides
+// ({network} stands for the active network)
+export const ENV_SETTINGS = {
+  PLATARIUM_NETWORK: 'network',
+  PLATARIUM_REST_URL: 'networks.{network}.rest.baseUrl',
+  PLATARIUM_WS_URL: 'networks.{network}.websocket.url',
+  PLATARIUM_CA_FILE: 'networks.{network}.tls.caFile',
+  PLATARIUM_DATA_DIR: 'paths.data',
+  PLATARIUM_WALLETS_DIR: 'paths.wallets',
+  PLATARIUM_MESSAGES_DIR: 'paths.messages',
+  PLATARIUM_CRYPTO_BACKEND: 'crypto.backend',
+};
+
+// Command line flags (camelCase, as parsed by commander) and the setting each one overrides
+const FLAG_SETTINGS = {
+  network: 'network',
+  restUrl: 'networks.{network}.rest.baseUrl',
+  wsUrl: 'networks.{network}.websocket.url',
+  dataDir: 'paths.data',
+};
+
+const STRING = { type: 'string' };
+const BOOLEAN = { type: 'boolean' };
+const POSITIVE_INTEGER = { type: 'integer', min: 1 };
+const PATH = { type: 'path' };
+const REST_URL = { type: 'url', protocols: ['http:', 'https:'] };
+const WS_URL = { type: 'url', protocols: ['ws:', 'wss:'] };
+
+const NETWORK_SCHEMA = {
+  type: 'object',
+  properties: {
+    label: STRING,
+    chainId: STRING,
+    rest: {
+      type: 'object',
+      properties: { baseUrl: REST_URL },
+    },
+    websocket: {
+      type: 'object',
+      properties: { url: WS_URL },
+    },
+    endpoints: {
+      type: 'list',
+      items: { type: 'object', properties: { rest: REST_URL, websocket: WS_URL } },
+    },
+    tls: {
+      type: 'object',
+      properties: {
+        caFile: PATH,
+        pins: { type: 'list', items: { type: 'pattern', pattern: PIN_PATTERN, description: 'an SPKI pin (sha256/<base64>)' } },
+        insecure: BOOLEAN,
+      },
+    },
+  },
+};
+
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    network: STRING,
+    networks: { type: 'object', additionalProperties: NETWORK_SCHEMA },
+    paths: {
+      type: 'object',
+      properties: { data: PATH, wallets: PATH, messages: PATH, transactions: PATH },
+    },
+    crypto: {
+      type: 'object',
+      properties: { backend: { type: 'enum', values: ['auto', 'rust', 'js'] } },
+    },
+    rustCore: {
+      type: 'object',
+      properties: { worker: BOOLEAN, requestTimeout: POSITIVE_INTEGER, skipVersionCheck: BOOLEAN },
+    },
+    token: {
+      type: 'object',
+      properties: { decimals: { type: 'integer', min: 0, max: 36 } },
+    },
+    health: {
+      type: 'object',
+      properties: { interval: POSITIVE_INTEGER, slowLatency: POSITIVE_INTEGER },
+    },
+    notifications: {
+      type: 'object',
+      properties: { enabled: BOOLEAN, pollInterval: POSITIVE_INTEGER },
+    },
+    reconnect: {
+      type: 'object',
+      properties: { backoff: POSITIVE_INTEGER, maxBackoff: POSITIVE_INTEGER },
+    },
+    requests: {
+      type: 'object',
+      properties: {
+        retries: { type: 'integer', min: 0, max: 10 },
+        backoff: POSITIVE_INTEGER,
+        maxBackoff: POSITIVE_INTEGER,
+        timeouts: {
+          type: 'object',
+          properties: {
+            health: POSITIVE_INTEGER,
+            network: POSITIVE_INTEGER,
+            status: POSITIVE_INTEGER,
+            balance: POSITIVE_INTEGER,
+            transaction: POSITIVE_INTEGER,
+            transactions: POSITIVE_INTEGER,
+            send: POSITIVE_INTEGER,
+          },
+        },
+      },
+    },
+    transactions: {
+      type: 'object',
+      properties: { stuckAfter: POSITIVE_INTEGER, pollInterval: POSITIVE_INTEGER, confirmationTimeout: POSITIVE_INTEGER },
+    },
+  },
+};
+
+/**
+ * Configuration file or setting is invalid
+ */
+export class ConfigError extends Error {
+  /**
+   * @param {string} message - Error message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+    this.code = 'invalid_config';
+  }
+}
+
+/**
+ * Whether a value is a plain object (a section of the configuration)
+ * @param {*} value - Value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Describe the values a schema accepts (for error messages)
+ * @param {Object} schema - Schema node
+ * @returns {string} Description
+ */
+function describe(schema) {
+  switch (schema.type) {
+    case 'string':
+      return 'a non-empty string';
+    case 'boolean':
+      return 'true or false';
+    case 'integer':
+      if (schema.max !== undefined) {
+        return `an integer from ${schema.min} to ${schema.max}`;
+      }
+      return schema.min === 1 ? 'a positive integer' : 'an integer';
+    case 'enum':
+      return `one of ${schema.values.join(', ')}`;
+    case 'url':
+      return `a ${schema.protocols.map(p => p.replace(':', '')).join('/')} URL or null`;
+    case 'path':
+      return 'a path or null';
+    case 'pattern':
+      return schema.description;
+    case 'list':
+      return 'a list (JSON array)';
+    default:
+      return 'a section (JSON object)';
+  }
+}
+
+/**
+ * Check a single value against a schema node (not its children)
+ * @param {*} value - Value
+ * @param {Object} schema - Schema node
+ * @returns {boolean}
+ */
+function matches(value, schema) {
+  switch (schema.type) {
+    case 'string':
+      return typeof value === 'string' && value.length > 0;
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'integer':
+      return Number.isInteger(value) &&
+        (schema.min === undefined || value >= schema.min) &&
+        (schema.max === undefined || value <= schema.max);
+    case 'enum':
+      return schema.values.includes(value);
+    case 'url':
+      if (value === null) {
+        return true;
+      }
+      try {
+        return schema.protocols.includes(new URL(value).protocol);
+      } catch (error) {
+        return false;
+      }
+    case 'path':
+      return value === null || (typeof value === 'string' && value.length > 0);
+    case 'pattern':
+      return typeof value === 'string' && schema.pattern.test(value);
+    case 'list':
+      return Array.isArray(value);
+    default:
+      return isPlainObject(value);
+  }
+}
+
+/**
+ * Validate a (partial) configuration against the schema
+ * @param {*} value - Configuration or part of it
+ * @param {Object} schema - Schema node
+ * @param {string} key - Dotted key of the value
+ * @param {string} source - Where the value comes from (file path, variable name, flag)
+ * @throws {ConfigError} On the first invalid or unknown setting
+ */
+function validate(value, schema, key, source) {
+  if (!matches(value, schema)) {
+    throw new ConfigError(`${source}: ${key || 'configuration'} must be ${describe(schema)} (got ${JSON.stringify(value)})`);
+  }
+  if (schema.type === 'list') {
+    value.forEach((item, i) => validate(item, schema.items, `${key}[${i}]`, source));
+    return;
+  }
+  if (schema.type !== 'object') {
+    return;
+  }
+  for (const [name, child] of Object.entries(value)) {
+    const childKey = key ? `${key}.${name}` : name;
+    const childSchema = schema.properties?.[name] || schema.additionalProperties;
+    if (!childSchema) {
+      throw new ConfigError(`${source}: unknown setting "${childKey}"`);
+    }
+    validate(child, childSchema, childKey, source);
+  }
+}
+
+/**
+ * Check rules that involve more than one setting
+ * @param {Object} config - Configuration or layer
+ * @param {string} source - Where the settings come from
+ * @throws {ConfigError} If settings contradict each other
+ */
+function checkConsistency(config, source) {
+  for (const [name, profile] of Object.entries(config.networks || {})) {
+    if (profile?.tls?.insecure && profile.tls.pins?.length > 0) {
+      throw new ConfigError(`${source}: networks.${name}.tls.pins cannot be checked with tls.insecure enabled (use tls.caFile for self-signed certificates)`);
+    }
+  }
+}
+
+/**
+ * Look up the schema of a setting
+ * @param {string} key - Dotted key (e.g. "transactions.pollInterval")
+ * @returns {Object|null} Schema node or null if the setting does not exist
+ */
+function schemaFor(key) {
+  let schema = SCHEMA;
+  for (const name of key.split('.')) {
+    schema = schema?.properties?.[name] || schema?.additionalProperties;
+    if (!schema) {
+      return null;
+    }
+  }
+  return schema;
+}
+
+/**
+ * Convert a setting given as text (environment, flag, `config set`) to its type
+ * @param {string} key - Dotted key
+ * @param {string} text - Value as text
+ * @param {string} source - Where the value comes from
+ * @returns {*} Typed value
+ * @throws {ConfigError} If the setting does not exist or the value is invalid
+ */
+function parseSetting(key, text, source) {
+  const schema = schemaFor(key);
+  if (!schema) {
+    throw new ConfigError(`${source}: unknown setting "${key}"`);
+  }
+
+  let value = text;
+  if ((schema.type === 'url' || schema.type === 'path') && text === 'null') {
+    value = null;
+  } else if (schema.type === 'boolean' && (text === 'true' || text === 'false')) {
+    value = text === 'true';
+  } else if (schema.type === 'integer' && /^-?\d+$/.test(text)) {
+    value = Number(text);
+  } else if (schema.type === 'list' && text === 'null') {
+    value = [];
+  } else if (schema.type === 'list' && !text.startsWith('[')) {
+    // Comma-separated list
+    value = text.split(',').map(item => item.trim()).filter(Boolean);
+  } else if (schema.type === 'object' || schema.type === 'list') {
+    try {
+      value = JSON.parse(text);
+    } catch (error) {
+      throw new ConfigError(`${source}: ${key} must be ${describe(schema)}`);
+    }
+  }
+
+  validate(value, schema, key, source);
+  return value;
+}
+
+/**
+ * Set a dotted key in a configuration object, creating sections as needed
+ * @param {Object} target - Configuration object (modified in place)
+ * @param {string} key - Dotted key
+ * @param {*} value - Value
+ */
+function setPath(target, key, value) {
+  const names = key.split('.');
+  let node = target;
+  for (const name of names.slice(0, -1)) {
+    if (!isPlainObject(node[name])) {
+      node[name] = {};
+    }
+    node = node[name];
+  }
+  node[names[names.length - 1]] = value;
+}
+
+/**
+ * Deep-merge a layer into the configuration, recording where each setting came from
+ * @param {Object} target - Merged configuration (modified in place)
+ * @param {Object} layer - Layer to apply
+ * @param {string} source - Layer description
+ * @param {Object} sources - Map of dotted key -> source (modified in place)
+ * @param {string} prefix - Dotted key of target
+ */
+function mergeLayer(target, layer, source, sources, prefix = '') {
+  for (const [name, value] of Object.entries(layer)) {
+    const key = prefix ? `${prefix}.${name}` : name;
+    if (isPlainObject(value)) {
+      if (!isPlainObject(target[name])) {
+        target[name] = {};
+      }
+      mergeLayer(target[name], value, source, sources, key);
+    } else {
+      target[name] = value;
+      sources[key] = source;
+    }
+  }
+}
+
+/**
+ * Read and validate a configuration file
+ * @param {string} filepath - File path
+ * @returns {Promise<Object|null>} Layer or null if the file does not exist
+ * @throws {ConfigError} If the file is not valid JSON or fails validation
+ */
+async function readLayer(filepath) {
+  if (!existsSync(filepath)) {
+    return null;
+  }
+
+  let text;
+  try {
+    text = await readFile(filepath, 'utf-8');
+  } catch (error) {
+    throw new ConfigError(`${filepath}: ${error.message}`);
+  }
+
+  let layer;
+  try {
+    layer = JSON.parse(text);
+  } catch (error) {
+    throw new ConfigError(`${filepath}: invalid JSON (${error.message})`);
+  }
+  validate(layer, SCHEMA, '', filepath);
+  return layer;
+}
+
+/**
+ * Build a layer from text values (environment variables or flags)
+ * @param {Object} values - Map of name -> text value
+ * @param {Object} settings - Map of name -> dotted key template
+ * @param {string} network - Active network (fills in {network})
+ * @param {Function} describeSource - Name -> source description
+ * @returns {Object} Layer
+ */
+function overrideLayer(values, settings, network, describeSource) {
+  const layer = {};
+  for (const [name, template] of Object.entries(settings)) {
+    const text = values[name];
+    if (text === undefined || text === '') {
+      continue;
+    }
+    const key = template.replace('{network}', network);
+    setPath(layer, key, parseSetting(key, text, describeSource(name)));
+  }
+  return layer;
+}
+
+/**
+ * Expand ~ and make a configured path absolute
+ * @param {string|null} value - Configured path
+ * @returns {string|null} Absolute path
+ */
+function expandPath(value) {
+  if (!value) {
+    return null;
+  }
+  if (value === '~' || value.startsWith('~/')) {
+    value = path.join(os.homedir(), value.slice(1));
+  }
+  return path.resolve(value);
+}
+
+/**
+ * Default data directory
+ * Installs that already keep wallets next to the code continue to use them.
+ * @param {Object} env - Environment variables
+ * @returns {string} Directory
+ */
+function defaultDataDir(env) {
+  if (existsSync(path.join(INSTALL_DIR, 'wallets'))) {
+    return INSTALL_DIR;
+  }
+  const base = env.XDG_DATA_HOME || (isWindows && env.LOCALAPPDATA) || path.join(os.homedir(), '.local', 'share');
+  return path.join(base, 'platarium');
+}
+
+/**
+ * Path of the system-wide configuration file
+ * @param {Object} env - Environment variables
+ * @returns {string} File path
+ */
+export function systemConfigPath(env = process.env) {
+  return isWindows
+    ? path.join(env.PROGRAMDATA || 'C:\\ProgramData', 'platarium', 'config.json')
+    : '/etc/platarium/config.json';
+}
+
+/**
+ * Path of the user configuration file
+ * @param {Object} env - Environment variables (PLATARIUM_CONFIG, XDG_CONFIG_HOME)
+ * @param {string} override - Path given with --config
+ * @returns {string} File path
+ */
+export function userConfigPath(env = process.env, override = null) {
+  if (override || env.PLATARIUM_CONFIG) {
+    return path.resolve(override || env.PLATARIUM_CONFIG);
+  }
+  const base = env.XDG_CONFIG_HOME || (isWindows && env.APPDATA) || path.join(os.homedir(), '.config');
+  return path.join(base, 'platarium', 'config.json');
+}
+
+/**
+ * Load the effective configuration
+ * @param {Object} options - { flags: { config, network, restUrl, wsUrl, dataDir }, env }
+ * @returns {Promise<Object>} { config, sources, files } - sources maps dotted keys to the layer they came from
+ * @throws {ConfigError} If a layer is invalid
+ */
+export async function loadConfig({ flags = {}, env = process.env } = {}) {
+  const files = {
+    defaults: DEFAULT_CONFIG_PATH,
+    system: systemConfigPath(env),
+    user: userConfigPath(env, flags.config),
+  };
+
+  const defaults = await readLayer(files.defaults);
+  if (!defaults) {
+    throw new ConfigError(`${files.defaults}: built-in defaults are missing`);
+  }
+
+  const config = {};
+  const sources = {};
+  mergeLayer(config, defaults, 'default', sources);
+  for (const name of ['system', 'user']) {
+    const layer = await readLayer(files[name]);
+    if (layer) {
+      mergeLayer(config, layer, files[name], sources);
+    }
+  }
+
+  // Endpoint overrides apply to the network that ends up active
+  const network = flags.network || env.PLATARIUM_NETWORK || config.network || LEGACY_NETWORK;
+  mergeLayer(config, overrideLayer(env, ENV_SETTINGS, network, name => `$${name}`), 'environment', sources);
+  mergeLayer(config, overrideLayer(flags, FLAG_SETTINGS, network, name => `--${name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}`), 'command line', sources);
+
+  checkConsistency(config, 'configuration');
+  for (const profile of Object.values(config.networks || {})) {
+    if (profile.tls?.caFile) {
+      profile.tls.caFile = expandPath(profile.tls.caFile);
+    }
+  }
+
+  const data = expandPath(config.paths?.data) || defaultDataDir(env);
+  config.paths = {
+    data,
+    wallets: expandPath(config.paths?.wallets) || path.join(data, 'wallets'),
+    messages: expandPath(config.paths?.messages) || path.join(data, 'messages'),
+    transactions: expandPath(config.paths?.transactions) || path.join(data, 'transactions'),
+  };
+
+  return { config, sources, files };
+}
+
+/**
+ * List the settings of a configuration as dotted keys
+ * @param {Object} config - Configuration
+ * @param {string} prefix - Dotted key of config
+ * @returns {Array<Object>} [{ key, value }]
+ */
+export function flattenConfig(config, prefix = '') {
+  return Object.entries(config).flatMap(([name, value]) => {
+    const key = prefix ? `${prefix}.${name}` : name;
+    return isPlainObject(value) ? flattenConfig(value, key) : [{ key, value }];
+  });
+}
+
+/**
+ * Read a setting of the effective configuration
+ * @param {Object} config - Configuration
+ * @param {string} key - Dotted key
+ * @returns {*} Value (a section for keys like "transactions", null if unset)
+ * @throws {ConfigError} If the setting does not exist
+ */
+export function getSetting(config, key) {
+  if (!schemaFor(key)) {
+    throw new ConfigError(`unknown setting "${key}"`);
+  }
+  let value = config;
+  for (const name of key.split('.')) {
+    value = isPlainObject(value) ? value[name] : undefined;
+  }
+  return value === undefined ? null : value;
+}
+
+/**
+ * Check that a network picked with `config set network` exists and can be reached
+ * (a network without a REST URL would make every command fail, `config set` included)
+ * @param {string} name - Network name
+ * @param {Object} userLayer - User configuration file with the change applied
+ * @param {Object} env - Environment variables (locates the system file)
+ * @throws {ConfigError} If the network is unknown or has no REST URL
+ */
+async function checkNetworkChoice(name, userLayer, env) {
+  const merged = {};
+  for (const layer of [await readLayer(DEFAULT_CONFIG_PATH), await readLayer(systemConfigPath(env)), userLayer]) {
+    if (layer) {
+      mergeLayer(merged, layer, 'config set', {});
+    }
+  }
+
+  const profile = merged.networks?.[name];
+  if (!isPlainObject(profile)) {
+    const known = Object.keys(merged.networks || {}).join(', ') || 'none';
+    throw new ConfigError(`config set: unknown network "${name}" (configured: ${known})`);
+  }
+  if (networkEndpoints(profile).length === 0) {
+    throw new ConfigError(`config set: network "${name}" has no REST URL (set networks.${name}.rest.baseUrl first)`);
+  }
+}
+
+/**
+ * Change a setting in the user configuration file
+ * @param {string} key - Dotted key
+ * @param {string} text - Value as text ("null" clears URLs, paths and lists)
+ * @param {Object} options - { env, file: path given with --config }
+ * @returns {Promise<Object>} { path, value }
+ * @throws {ConfigError} If the setting does not exist, the value is invalid or names an unusable network
+ */
+export async function setUserSetting(key, text, { env = process.env, file = null } = {}) {
+  const value = parseSetting(key, text, 'config set');
+  const filepath = userConfigPath(env, file);
+  const layer = (await readLayer(filepath)) || {};
+
+  setPath(layer, key, value);
+  validate(layer, SCHEMA, '', filepath);
+  checkConsistency(layer, filepath);
+  if (key === 'network') {
+    await checkNetworkChoice(value, layer, env);
+  }
+
+  await mkdir(path.dirname(filepath), { recursive: true });
+  await writeFile(filepath, JSON.stringify(layer, null, 2) + '\n');
+  return { path: filepath, value };
+}
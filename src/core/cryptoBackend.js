@@ -0,0 +1,51 @@
+import RustCore from './rustCore.js';
+import JsCrypto from './jsCrypto.js';
+
+/**
+ * Crypto backend interface (implemented by RustCore and JsCrypto)
+ *
+ * @typedef {Object} CryptoBackend
+ * @property {string} name - Backend name ('rust' or 'js')
+ * @property {function(): Promise<Object>} generateMnemonic - { mnemonic, alphanumericPart }
+ * @property {function(number): Promise<Object>} generateKeys - Keys for a new mnemonic
+ * @property {function(string, string, number): Promise<Object>} restoreKeys - Keys for a mnemonic
+ * @property {function(Object, string, string, number): Promise<Object>} signMessage - { hash, signatures }
+ * @property {function(Object, string, string): Promise<boolean>} verifySignature - Signature check
+ * @property {function(): Promise<void>} close - Release resources
+ */
+
+const BACKENDS = ['auto', 'rust', 'js'];
+
+// The fallback notice is printed once per process, not once per client
+let warnedFallback = false;
+
+/**
+ * Create the crypto backend selected by config.crypto.backend
+ * 'auto' uses the Rust binary when it can be found and falls back to pure JS
+ * with a single notice on stderr; set the backend to 'js' to choose it silently.
+ * @param {Object} config - Configuration
+ * @returns {CryptoBackend} Crypto backend
+ */
+export function createCryptoBackend(config) {
+  const backend = config?.crypto?.backend || 'auto';
+  if (!BACKENDS.includes(backend)) {
+    throw new Error(`Unknown crypto backend "${backend}" (expected one of: ${BACKENDS.join(', ')})`);
+  }
+
+  if (backend === 'js') {
+    return new JsCrypto(config);
+  }
+
+  const rustCore = new RustCore(config);
+  if (backend === 'rust' || rustCore.isAvailable()) {
+    return rustCore;
+  }
+
+  if (!warnedFallback) {
+    warnedFallback = true;
+    console.warn('⚠️  platarium-cli not found, using the pure-JavaScript crypto backend.');
+  }
+  return new JsCrypto(config);
+}
+
+export default createCryptoBackend;
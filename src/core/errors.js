@@ -0,0 +1,87 @@
+/**
+ * Rust Core errors - Typed errors reported by the platarium-cli wrapper
+ */
+
+/**
+ * Base error for all Rust Core failures
+ */
+export class RustCoreError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string} code - Machine-readable error code
+   */
+  constructor(message, code = 'rust_core_error') {
+    super(message);
+    this.name = 'RustCoreError';
+    this.code = code;
+  }
+}
+
+/**
+ * Mnemonic or alphanumeric code was rejected by Rust Core
+ */
+export class InvalidMnemonicError extends RustCoreError {
+  constructor(message = 'Invalid mnemonic phrase or alphanumeric code') {
+    super(message, 'invalid_mnemonic');
+    this.name = 'InvalidMnemonicError';
+  }
+}
+
+/**
+ * Seed index is out of the supported range
+ */
+export class InvalidSeedIndexError extends RustCoreError {
+  constructor(message = 'Invalid seed index') {
+    super(message, 'invalid_seed_index');
+    this.name = 'InvalidSeedIndexError';
+  }
+}
+
+/**
+ * Message could not be signed
+ */
+export class SigningError extends RustCoreError {
+  constructor(message = 'Failed to sign message') {
+    super(message, 'signing_failed');
+    this.name = 'SigningError';
+  }
+}
+
+/**
+ * platarium-cli produced output that does not match the expected schema
+ */
+export class InvalidOutputError extends RustCoreError {
+  constructor(message = 'Unexpected output from platarium-cli') {
+    super(message, 'invalid_output');
+    this.name = 'InvalidOutputError';
+  }
+}
+
+/**
+ * platarium-cli version is outside the range supported by this wallet
+ */
+export class IncompatibleBinaryError extends RustCoreError {
+  constructor(message = 'Incompatible platarium-cli version') {
+    super(message, 'incompatible_binary');
+    this.name = 'IncompatibleBinaryError';
+  }
+}
+
+const ERROR_CLASSES = {
+  invalid_mnemonic: InvalidMnemonicError,
+  invalid_seed_index: InvalidSeedIndexError,
+  signing_failed: SigningError,
+  invalid_output: InvalidOutputError,
+  incompatible_binary: IncompatibleBinaryError,
+};
+
+/**
+ * Create a typed error from an error code reported by platarium-cli
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {RustCoreError} Typed error
+ */
+export function createRustCoreError(code, message) {
+  const ErrorClass = ERROR_CLASSES[code];
+  return ErrorClass ? new ErrorClass(message) : new RustCoreError(message, code);
+}
@@ -0,0 +1,354 @@
+import {
+  createHash,
+  createHmac,
+  createECDH,
+  ECDH,
+  createPrivateKey,
+  createPublicKey,
+  pbkdf2,
+  randomBytes,
+  randomInt,
+  sign,
+  verify,
+} from 'crypto';
+import { promisify } from 'util';
+import WORDLIST from './bip39Wordlist.js';
+import { InvalidMnemonicError, InvalidSeedIndexError, SigningError } from './errors.js';
+
+const pbkdf2Async = promisify(pbkdf2);
+
+// secp256k1 group order
+const CURVE_ORDER = BigInt('0xFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEBAAEDCE6AF48A03BBFD25E8CD0364141');
+const HALF_CURVE_ORDER = CURVE_ORDER >> 1n;
+const HARDENED_OFFSET = 0x80000000;
+
+const ALPHANUMERIC_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+const ALPHANUMERIC_LENGTH = 10;
+
+/**
+ * Convert a buffer to BigInt
+ * @param {Buffer} buffer - Big-endian bytes
+ * @returns {bigint}
+ */
+function toBigInt(buffer) {
+  return BigInt(`0x${buffer.toString('hex') || '0'}`);
+}
+
+/**
+ * Convert a BigInt to a fixed-length buffer
+ * @param {bigint} value - Value
+ * @param {number} length - Buffer length in bytes
+ * @returns {Buffer}
+ */
+function toBuffer(value, length = 32) {
+  return Buffer.from(value.toString(16).padStart(length * 2, '0'), 'hex');
+}
+
+/**
+ * Encode one DER INTEGER
+ * @param {Buffer} value - Unsigned big-endian integer
+ * @returns {Buffer}
+ */
+function derInteger(value) {
+  let start = 0;
+  while (start < value.length - 1 && value[start] === 0) start++;
+  let bytes = value.subarray(start);
+  if (bytes[0] & 0x80) {
+    bytes = Buffer.concat([Buffer.from([0]), bytes]);
+  }
+  return Buffer.concat([Buffer.from([0x02, bytes.length]), bytes]);
+}
+
+/**
+ * Encode compact (r || s) signature as DER
+ * @param {Buffer} compact - 64-byte signature
+ * @returns {Buffer}
+ */
+function compactToDer(compact) {
+  const body = Buffer.concat([derInteger(compact.subarray(0, 32)), derInteger(compact.subarray(32))]);
+  return Buffer.concat([Buffer.from([0x30, body.length]), body]);
+}
+
+/**
+ * BIP39 seed of a mnemonic
+ * @param {string} mnemonic - Mnemonic phrase (not validated here)
+ * @param {string} passphrase - BIP39 passphrase (the alphanumeric code)
+ * @returns {Promise<Buffer>} 64-byte seed
+ */
+export async function mnemonicToSeed(mnemonic, passphrase = '') {
+  return pbkdf2Async(
+    Buffer.from(mnemonic.normalize('NFKD').trim().split(/\s+/).join(' '), 'utf-8'),
+    Buffer.from(`mnemonic${(passphrase || '').normalize('NFKD')}`, 'utf-8'),
+    2048,
+    64,
+    'sha512'
+  );
+}
+
+/**
+ * BIP32 private key derivation along a path of hardened indexes
+ * @param {Buffer} seed - BIP32 seed
+ * @param {Array<number>} path - Indexes below 2^31 (each one is hardened)
+ * @returns {Buffer} 32-byte private key
+ * @throws {Error} If a step derives an invalid key
+ */
+export function deriveHardened(seed, path) {
+  let node = createHmac('sha512', 'Bitcoin seed').update(seed).digest();
+  let key = node.subarray(0, 32);
+  let chainCode = node.subarray(32);
+
+  for (const index of path) {
+    const data = Buffer.alloc(37);
+    key.copy(data, 1);
+    data.writeUInt32BE(index + HARDENED_OFFSET, 33);
+    node = createHmac('sha512', chainCode).update(data).digest();
+
+    const tweak = toBigInt(node.subarray(0, 32));
+    const child = (tweak + toBigInt(key)) % CURVE_ORDER;
+    if (tweak >= CURVE_ORDER || child === 0n) {
+      // Probability below 2^-127 (BIP32 says to skip to the next index)
+      throw new Error(`Index ${index}' derives an invalid key`);
+    }
+    key = toBuffer(child);
+    chainCode = node.subarray(32);
+  }
+  return key;
+}
+
+/**
+ * Pure-JavaScript crypto backend
+ *
+ * Drop-in replacement for RustCore when platarium-cli is not installed:
+ * BIP39 mnemonics, BIP32 hardened derivation along m/44'/60'/0'/<index>'
+ * and secp256k1 ECDSA over SHA-256, all on top of Node's crypto module.
+ * The alphanumeric code is used as the BIP39 passphrase, addresses are
+ * `Px` + compressed public key. scripts/verify-setup.js cross-checks these
+ * conventions against the Rust binary with the shared test vectors.
+ */
+class JsCrypto {
+  constructor(config) {
+    this.config = config;
+    this.name = 'js';
+  }
+
+  /**
+   * Generate mnemonic (24 words) and alphanumeric code
+   * @returns {Promise<Object>} Generated mnemonic object
+   */
+  async generateMnemonic() {
+    const entropy = randomBytes(32);
+    const checksum = createHash('sha256').update(entropy).digest();
+    const bits = [...entropy, checksum[0]]
+      .map(byte => byte.toString(2).padStart(8, '0'))
+      .join('');
+
+    const words = [];
+    for (let i = 0; i < bits.length; i += 11) {
+      words.push(WORDLIST[parseInt(bits.slice(i, i + 11), 2)]);
+    }
+
+    let alphanumeric = '';
+    for (let i = 0; i < ALPHANUMERIC_LENGTH; i++) {
+      alphanumeric += ALPHANUMERIC_CHARS[randomInt(ALPHANUMERIC_CHARS.length)];
+    }
+
+    return {
+      mnemonic: words.join(' '),
+      alphanumericPart: alphanumeric,
+    };
+  }
+
+  /**
+   * Validate mnemonic words and checksum
+   * @param {string} mnemonic - BIP39 mnemonic phrase
+   * @throws {InvalidMnemonicError}
+   */
+  validateMnemonic(mnemonic) {
+    const words = (mnemonic || '').normalize('NFKD').trim().split(/\s+/);
+    if (![12, 15, 18, 21, 24].includes(words.length)) {
+      throw new InvalidMnemonicError(`Invalid mnemonic: expected 12-24 words, got ${words.length}`);
+    }
+
+    const bits = words.map((word) => {
+      const index = WORDLIST.indexOf(word);
+      if (index === -1) {
+        throw new InvalidMnemonicError(`Invalid mnemonic: unknown word "${word}"`);
+      }
+      return index.toString(2).padStart(11, '0');
+    }).join('');
+
+    const checksumLength = words.length / 3;
+    const entropyBits = bits.slice(0, bits.length - checksumLength);
+    const entropy = Buffer.from(entropyBits.match(/.{8}/g).map(b => parseInt(b, 2)));
+    const checksum = createHash('sha256').update(entropy).digest()[0]
+      .toString(2)
+      .padStart(8, '0')
+      .slice(0, checksumLength);
+
+    if (checksum !== bits.slice(-checksumLength)) {
+      throw new InvalidMnemonicError('Invalid mnemonic: checksum mismatch');
+    }
+  }
+
+  /**
+   * Derive private key along m/44'/60'/0'/<seedIndex>'
+   * @param {string} mnemonic - BIP39 mnemonic phrase
+   * @param {string} alphanumeric - Alphanumeric code (BIP39 passphrase)
+   * @param {number} seedIndex - Seed index
+   * @returns {Promise<Object>} { privateKey: Buffer, derivationPath }
+   */
+  async derive(mnemonic, alphanumeric, seedIndex) {
+    if (!Number.isInteger(seedIndex) || seedIndex < 0 || seedIndex >= HARDENED_OFFSET) {
+      throw new InvalidSeedIndexError(`Invalid seed index: ${seedIndex}`);
+    }
+    this.validateMnemonic(mnemonic);
+
+    const seed = await mnemonicToSeed(mnemonic, alphanumeric);
+    let privateKey;
+    try {
+      privateKey = deriveHardened(seed, [44, 60, 0, seedIndex]);
+    } catch (error) {
+      throw new InvalidSeedIndexError(`Seed index ${seedIndex} derives an invalid key, use another index`);
+    }
+
+    return {
+      privateKey,
+      derivationPath: `m/44'/60'/0'/${seedIndex}'`,
+    };
+  }
+
+  /**
+   * Build Node KeyObjects for a raw secp256k1 private key
+   * @param {Buffer} privateKey - 32-byte private key
+   * @returns {Object} { privateKeyObject, compressedPublicKey }
+   */
+  keyObjects(privateKey) {
+    const ecdh = createECDH('secp256k1');
+    ecdh.setPrivateKey(privateKey);
+    const uncompressed = ecdh.getPublicKey();
+
+    const privateKeyObject = createPrivateKey({
+      key: {
+        kty: 'EC',
+        crv: 'secp256k1',
+        d: privateKey.toString('base64url'),
+        x: uncompressed.subarray(1, 33).toString('base64url'),
+        y: uncompressed.subarray(33).toString('base64url'),
+      },
+      format: 'jwk',
+    });
+
+    return {
+      privateKeyObject,
+      compressedPublicKey: ecdh.getPublicKey(null, 'compressed'),
+    };
+  }
+
+  /**
+   * Generate keys
+   * @param {number} seedIndex - Seed index (default: 0)
+   * @returns {Promise<Object>} Generated keys object
+   */
+  async generateKeys(seedIndex = 0) {
+    const { mnemonic, alphanumericPart } = await this.generateMnemonic();
+    return this.restoreKeys(mnemonic, alphanumericPart, seedIndex);
+  }
+
+  /**
+   * Restore keys from mnemonic
+   * @param {string} mnemonic - BIP39 mnemonic phrase
+   * @param {string} alphanumeric - Alphanumeric code
+   * @param {number} seedIndex - Seed index (default: 0)
+   * @returns {Promise<Object>} Restored keys object
+   */
+  async restoreKeys(mnemonic, alphanumeric, seedIndex = 0) {
+    const { privateKey, derivationPath } = await this.derive(mnemonic, alphanumeric, seedIndex);
+    const { compressedPublicKey } = this.keyObjects(privateKey);
+
+    return {
+      publicKey: `Px${compressedPublicKey.toString('hex')}`,
+      privateKey: privateKey.toString('hex'),
+      signatureKey: compressedPublicKey.toString('hex'),
+      mnemonic,
+      alphanumericPart: alphanumeric,
+      derivationPaths: {
+        mainPath: derivationPath,
+      },
+    };
+  }
+
+  /**
+   * Sign a message (ECDSA secp256k1 over SHA-256 of the JSON message, low-S)
+   * @param {Object} message - Message object to sign
+   * @param {string} mnemonic - BIP39 mnemonic phrase
+   * @param {string} alphanumeric - Alphanumeric code
+   * @param {number} seedIndex - Seed index (default: 0)
+   * @returns {Promise<Object>} Signature result
+   */
+  async signMessage(message, mnemonic, alphanumeric, seedIndex = 0) {
+    const { privateKey } = await this.derive(mnemonic, alphanumeric, seedIndex);
+
+    try {
+      const data = Buffer.from(JSON.stringify(message), 'utf-8');
+      const { privateKeyObject } = this.keyObjects(privateKey);
+      const compact = sign('sha256', data, { key: privateKeyObject, dsaEncoding: 'ieee-p1363' });
+
+      // Normalize to low-S so signatures are not malleable
+      const s = toBigInt(compact.subarray(32));
+      if (s > HALF_CURVE_ORDER) {
+        toBuffer(CURVE_ORDER - s).copy(compact, 32);
+      }
+
+      return {
+        hash: createHash('sha256').update(data).digest('hex'),
+        signatures: [
+          {
+            signature_compact: compact.toString('hex'),
+            der: compactToDer(compact).toString('hex'),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new SigningError(`Failed to sign message: ${error.message}`);
+    }
+  }
+
+  /**
+   * Verify signature
+   * @param {Object} message - Original message
+   * @param {string} signature - Compact (r || s) or DER signature, hex
+   * @param {string} pubkey - Compressed public key, hex or Px-prefixed
+   * @returns {Promise<boolean>} True if valid
+   */
+  async verifySignature(message, signature, pubkey) {
+    try {
+      const publicKey = Buffer.from(pubkey.replace(/^Px/, ''), 'hex');
+      const full = Buffer.from(ECDH.convertKey(publicKey, 'secp256k1', null, null, 'uncompressed'));
+      const publicKeyObject = createPublicKey({
+        key: {
+          kty: 'EC',
+          crv: 'secp256k1',
+          x: full.subarray(1, 33).toString('base64url'),
+          y: full.subarray(33).toString('base64url'),
+        },
+        format: 'jwk',
+      });
+
+      const signatureBytes = Buffer.from(signature, 'hex');
+      return verify('sha256', Buffer.from(JSON.stringify(message), 'utf-8'), {
+        key: publicKeyObject,
+        dsaEncoding: signatureBytes.length === 64 ? 'ieee-p1363' : 'der',
+      }, signatureBytes);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Nothing to shut down (same interface as RustCore)
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
+
+export default JsCrypto;
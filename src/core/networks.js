@@ -0,0 +1,97 @@
+/**
+ * Network profiles - Named networks (config.networks) with endpoints and chain metadata
+ */
+
+// Network of wallets, transactions and messages written before profiles existed
+// (the wallet only ever talked to the melancholy testnet)
+export const LEGACY_NETWORK = 'testnet';
+
+/**
+ * Wallet, transaction or message record belongs to a different network
+ */
+export class NetworkMismatchError extends Error {
+  /**
+   * @param {string} what - Description of the record (e.g. 'Wallet "savings"')
+   * @param {string} recordNetwork - Network of the record
+   * @param {string} activeNetwork - Network in use
+   */
+  constructor(what, recordNetwork, activeNetwork) {
+    super(`${what} belongs to ${recordNetwork}, but the active network is ${activeNetwork} (use --network ${recordNetwork})`);
+    this.name = 'NetworkMismatchError';
+    this.code = 'network_mismatch';
+    this.recordNetwork = recordNetwork;
+    this.activeNetwork = activeNetwork;
+  }
+}
+
+/**
+ * List the configured network profiles
+ * @param {Object} config - Configuration
+ * @returns {Array<Object>} Profiles with their `name`
+ */
+export function listNetworks(config) {
+  return Object.entries(config.networks || {}).map(([name, profile]) => ({ name, ...profile }));
+}
+
+/**
+ * RPC endpoints of a network profile: the primary rest/websocket pair first,
+ * then the additional `endpoints` in config order (duplicates dropped)
+ * @param {Object} profile - Network profile
+ * @returns {Array<Object>} Endpoints [{ rest, websocket }]
+ */
+export function networkEndpoints(profile) {
+  const endpoints = [];
+  const candidates = [
+    { rest: profile.rest?.baseUrl, websocket: profile.websocket?.url },
+    ...(profile.endpoints || []),
+  ];
+  for (const { rest, websocket } of candidates) {
+    if (rest && !endpoints.some(e => e.rest === rest)) {
+      endpoints.push({ rest, websocket: websocket || null });
+    }
+  }
+  return endpoints;
+}
+
+/**
+ * Look up a network profile and check it can be used
+ * @param {Object} config - Configuration
+ * @param {string} name - Network name (default: config.network)
+ * @returns {Object} Profile { name, label, chainId, rest: { baseUrl }, websocket: { url }, endpoints }
+ * @throws {Error} If the network is unknown or has no endpoints configured
+ */
+export function resolveNetwork(config, name = config.network || LEGACY_NETWORK) {
+  const profile = config.networks?.[name];
+  if (!profile) {
+    const known = Object.keys(config.networks || {}).join(', ') || 'none';
+    throw new Error(`Unknown network "${name}" (configured: ${known})`);
+  }
+  const endpoints = networkEndpoints(profile);
+  if (endpoints.length === 0 || !endpoints.some(e => e.websocket)) {
+    throw new Error(`Network "${name}" has no endpoints configured (set networks.${name}.rest.baseUrl and networks.${name}.websocket.url, or networks.${name}.endpoints)`);
+  }
+  return { name, label: profile.label || name, chainId: profile.chainId || name, ...profile, endpoints };
+}
+
+/**
+ * Network a stored record belongs to
+ * @param {Object} record - Wallet, transaction or message record
+ * @returns {string} Network name
+ */
+export function recordNetwork(record) {
+  return record?.network || LEGACY_NETWORK;
+}
+
+/**
+ * Refuse to use a record on a different network
+ * @param {Object} record - Wallet, transaction or message record
+ * @param {string} network - Active network name
+ * @param {string} what - Description of the record for the error message
+ * @throws {NetworkMismatchError} If the record belongs to another network
+ */
+export function assertNetwork(record, network, what) {
+  const own = recordNetwork(record);
+  if (own !== network) {
+    throw new NetworkMismatchError(what, own, network);
+  }
+}
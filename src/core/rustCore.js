@@ -1,8 +1,18 @@
-import { execFile, exec } from 'child_process';
+import { execFile, exec, spawn } from 'child_process';
 import { promisify } from 'util';
 import { existsSync } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import {
+  RustCoreError,
+  InvalidSeedIndexError,
+  InvalidOutputError,
+  SigningError,
+  IncompatibleBinaryError,
+  createRustCoreError,
+} from './errors.js';
+import { SUPPORTED_CORE_RANGE, checkCoreVersion } from './compat.js';
+import RustWorker from './rustWorker.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -14,12 +24,74 @@ const BINARY_EXT = isWindows ? '.exe' : '';
 const execFileAsync = promisify(execFile);
 const execAsync = promisify(exec);
 
+// Expected fields of platarium-cli --json output per subcommand
+const OUTPUT_SCHEMAS = {
+  'generate-mnemonic': {
+    mnemonic: 'string',
+    alphanumeric: 'string',
+  },
+  'generate-keys': {
+    public_key: 'string',
+    private_key: 'string',
+    signature_key: 'string',
+    derivation_path: 'string',
+  },
+  'sign-message': {
+    hash: 'string',
+    signatures: 'array',
+  },
+  'verify-signature': {
+    valid: 'boolean',
+  },
+};
+
+/**
+ * Validate JSON output against the schema of a subcommand
+ * @param {string} subcommand - platarium-cli subcommand
+ * @param {Object} payload - Parsed output
+ * @throws {InvalidOutputError} If a field is missing or has the wrong type
+ */
+function validateOutput(subcommand, payload) {
+  const schema = OUTPUT_SCHEMAS[subcommand];
+  for (const [field, type] of Object.entries(schema)) {
+    const value = payload[field];
+    const valid = type === 'array' ? Array.isArray(value) : typeof value === type;
+    if (!valid) {
+      throw new InvalidOutputError(`platarium-cli ${subcommand}: expected "${field}" to be ${type}`);
+    }
+  }
+}
+
+/**
+ * Convert an error into a typed Rust Core error
+ * Output of builds without --json is classified by its wording.
+ * @param {Error} error - Original error
+ * @param {string} context - Description of the failed operation
+ * @param {string} fallbackCode - Error code used when the error cannot be classified
+ * @returns {RustCoreError} Typed error
+ */
+function toRustCoreError(error, context, fallbackCode = 'rust_core_error') {
+  if (error instanceof RustCoreError) {
+    return error;
+  }
+  
+  const message = `${context}: ${error.message}`;
+  if (/mnemonic|alphanumeric|checksum|word list/i.test(error.message)) {
+    return createRustCoreError('invalid_mnemonic', message);
+  }
+  if (/seed.?index/i.test(error.message)) {
+    return createRustCoreError('invalid_seed_index', message);
+  }
+  return createRustCoreError(fallbackCode, message);
+}
+
 /**
  * Rust Core wrapper - Interface to Platarium Core Rust binary
  */
 class RustCore {
   constructor(config) {
     this.config = config;
+    this.name = 'rust';
     
     // Add Rust cargo to PATH if available
     const homeDir = process.env.USERPROFILE || process.env.HOME || '.';
@@ -37,6 +109,341 @@ class RustCore {
     // Try to find platarium-cli binary
     // Check common locations
     this.binaryPath = this.findBinary();
+    
+    // Cached capability probes ('subcommand flag' -> Promise<boolean>)
+    this.flagSupport = new Map();
+    this.warnedArgvSecrets = false;
+    
+    // Long-lived `platarium-cli worker` process (started on first use)
+    this.workerEnabled = config?.rustCore?.worker !== false;
+    this.worker = null;
+    
+    // Version handshake starts right away; signing waits for its result
+    this.compatibility = null;
+    if (config?.rustCore?.skipVersionCheck !== true && this.isAvailable()) {
+      this.compatibility = this.checkCompatibility();
+    }
+  }
+
+  /**
+   * Read the version of the binary and compare with the supported range
+   * Never rejects; the result tells whether the binary may be used. Optional
+   * flags (--secrets-stdin, --json) are probed per subcommand by supportsFlag().
+   * @returns {Promise<Object>} { compatible, version, reason }
+   */
+  async checkCompatibility() {
+    const info = { compatible: false, version: null, reason: null };
+    
+    try {
+      if (await this.supportsSubcommand('version')) {
+        const payload = this.parseJson((await this.runBinary(['version', '--json'])).stdout);
+        info.version = payload?.version || null;
+      }
+      if (!info.version) {
+        const { stdout, stderr } = await this.runBinary(['--version']);
+        info.version = (stdout || stderr).trim() || null;
+      }
+    } catch (error) {
+      info.reason = `could not query version: ${error.message}`;
+      return info;
+    }
+    
+    const { supported, reason } = checkCoreVersion(info.version);
+    info.compatible = supported;
+    info.reason = reason;
+    return info;
+  }
+
+  /**
+   * Throw if the binary failed the version handshake
+   * @throws {IncompatibleBinaryError}
+   */
+  async ensureCompatible() {
+    if (!this.compatibility) {
+      return;
+    }
+    
+    const info = await this.compatibility;
+    if (!info.compatible) {
+      throw new IncompatibleBinaryError(
+        `Refusing to use platarium-cli: ${info.reason}. ` +
+        `This wallet supports Platarium Core ${SUPPORTED_CORE_RANGE}.\n` +
+        `${this.describeBinary()}\n` +
+        'Rebuild Platarium Core with `npm run setup` or point PATH at a compatible build.'
+      );
+    }
+  }
+
+  /**
+   * Explain which platarium-cli candidate was picked
+   * @returns {string} Human-readable description
+   */
+  describeBinary() {
+    const lines = [`Using binary: ${this.binaryPath}`, 'Candidates checked (in order):'];
+    this.binaryCandidates.forEach((candidate, i) => {
+      const marker = candidate.path === this.binaryPath ? '→' : ' ';
+      let state = candidate.found ? 'found' : 'not found';
+      if (!path.isAbsolute(candidate.path)) {
+        state = candidate.path === this.binaryPath && this.isAvailable() ? 'found on PATH' : 'looked up on PATH';
+      }
+      lines.push(`  ${marker} ${i + 1}. ${candidate.path} (${state})`);
+    });
+    return lines.join('\n');
+  }
+
+  /**
+   * Build environment for child processes (PATH includes cargo bin)
+   * @returns {Object} Environment variables
+   */
+  getEnv() {
+    const homeDir = process.env.USERPROFILE || process.env.HOME || '.';
+    const cargoBinPath = path.join(homeDir, '.cargo', 'bin');
+    const pathSeparator = isWindows ? ';' : ':';
+    const currentPath = process.env.PATH || '';
+    return {
+      ...process.env,
+      PATH: `${cargoBinPath}${pathSeparator}${currentPath}`,
+    };
+  }
+
+  /**
+   * Run platarium-cli without a shell, optionally writing data to its stdin
+   * @param {Array<string>} args - Command line arguments
+   * @param {string|null} input - Data written to stdin (stdin is closed afterwards)
+   * @returns {Promise<Object>} { stdout, stderr }
+   */
+  runBinary(args, input = null) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.binaryPath, args, {
+        env: this.getEnv(),
+        stdio: ['pipe', 'pipe', 'pipe'],
+        windowsHide: true,
+      });
+      
+      let stdout = '';
+      let stderr = '';
+      child.stdout.on('data', (chunk) => { stdout += chunk; });
+      child.stderr.on('data', (chunk) => { stderr += chunk; });
+      
+      child.on('error', reject);
+      child.on('close', (code) => {
+        if (code !== 0) {
+          const error = new Error(stderr.trim() || `platarium-cli exited with code ${code}`);
+          error.exitCode = code;
+          error.stdout = stdout;
+          error.stderr = stderr;
+          reject(error);
+          return;
+        }
+        resolve({ stdout, stderr });
+      });
+      
+      // Ignore EPIPE if the binary exits without reading stdin
+      child.stdin.on('error', () => {});
+      if (input !== null) {
+        child.stdin.write(input);
+      }
+      child.stdin.end();
+    });
+  }
+
+  /**
+   * Check whether a subcommand supports a flag (probes `<subcommand> --help`)
+   * Older platarium-cli builds lack --secrets-stdin and --json.
+   * @param {string} subcommand - platarium-cli subcommand
+   * @param {string} flag - Flag to look for
+   * @returns {Promise<boolean>} True if supported
+   */
+  supportsFlag(subcommand, flag) {
+    const key = `${subcommand} ${flag}`;
+    if (!this.flagSupport.has(key)) {
+      const probe = this.runBinary([subcommand, '--help'])
+        .then(({ stdout, stderr }) => (stdout + stderr).includes(flag))
+        .catch(() => false);
+      this.flagSupport.set(key, probe);
+    }
+    return this.flagSupport.get(key);
+  }
+
+  /**
+   * Run a subcommand that needs the mnemonic and alphanumeric code
+   * Secrets are written to stdin as JSON; builds without --secrets-stdin
+   * fall back to command line arguments with a warning.
+   * @param {string} subcommand - platarium-cli subcommand
+   * @param {Array<string>} args - Additional (non-secret) arguments
+   * @param {string} mnemonic - BIP39 mnemonic phrase
+   * @param {string} alphanumeric - Alphanumeric code
+   * @returns {Promise<Object>} { stdout, stderr }
+   */
+  async runWithSecrets(subcommand, args, mnemonic, alphanumeric) {
+    if (await this.supportsFlag(subcommand, '--secrets-stdin')) {
+      return this.runBinary(
+        [subcommand, ...args, '--secrets-stdin'],
+        JSON.stringify({ mnemonic, alphanumeric }) + '\n'
+      );
+    }
+    
+    if (!this.warnedArgvSecrets) {
+      this.warnedArgvSecrets = true;
+      console.warn(`⚠️  ${this.binaryPath} does not support --secrets-stdin; ` +
+        'passing the mnemonic as command line arguments (visible to other local processes). ' +
+        'Rebuild Platarium Core to fix this.');
+    }
+    return this.runBinary([
+      subcommand,
+      ...args,
+      '--mnemonic', mnemonic,
+      '--alphanumeric', alphanumeric,
+    ]);
+  }
+
+  /**
+   * Check whether the binary provides a subcommand (probes `--help`)
+   * @param {string} subcommand - platarium-cli subcommand
+   * @returns {Promise<boolean>} True if supported
+   */
+  supportsSubcommand(subcommand) {
+    const key = `help ${subcommand}`;
+    if (!this.flagSupport.has(key)) {
+      const probe = this.runBinary(['--help'])
+        .then(({ stdout, stderr }) => new RegExp(`^\\s+${subcommand}\\b`, 'm').test(stdout + stderr))
+        .catch(() => false);
+      this.flagSupport.set(key, probe);
+    }
+    return this.flagSupport.get(key);
+  }
+
+  /**
+   * Whether requests should go through the long-lived worker process
+   * @returns {Promise<boolean>}
+   */
+  async useWorker() {
+    if (!this.workerEnabled || !(await this.supportsSubcommand('worker'))) {
+      return false;
+    }
+    if (!this.worker) {
+      this.worker = new RustWorker(this.binaryPath, this.getEnv(), {
+        requestTimeout: this.config?.rustCore?.requestTimeout,
+      });
+    }
+    if (this.worker.isDisabled()) {
+      if (this.workerEnabled) {
+        console.warn('⚠️  Rust Core worker keeps crashing; falling back to one process per call.');
+        this.workerEnabled = false;
+      }
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Whether a subcommand can return structured (JSON) results
+   * @param {string} subcommand - platarium-cli subcommand
+   * @returns {Promise<boolean>}
+   */
+  async supportsStructured(subcommand) {
+    return (await this.useWorker()) || (await this.supportsFlag(subcommand, '--json'));
+  }
+
+  /**
+   * Run a subcommand with structured output, through the worker when available
+   * @param {string} subcommand - platarium-cli subcommand
+   * @param {Array<string>} args - Command line arguments (one process per call)
+   * @param {Object} params - Request parameters (worker)
+   * @param {Object|null} secrets - { mnemonic, alphanumeric } if the command needs them
+   * @returns {Promise<Object>} Parsed and validated output
+   */
+  async structuredRequest(subcommand, args, params, secrets = null) {
+    if (await this.useWorker()) {
+      const workerParams = { ...params, ...(secrets || {}) };
+      try {
+        let result;
+        try {
+          result = await this.worker.request(subcommand, workerParams);
+        } catch (error) {
+          if (error.code !== 'worker_crashed') {
+            throw error;
+          }
+          // Worker restarts on the next request; retry once
+          result = await this.worker.request(subcommand, workerParams);
+        }
+        validateOutput(subcommand, result || {});
+        return result;
+      } catch (error) {
+        // The crash limit was reached during this request: finish it with one process
+        if (error.code !== 'worker_unavailable' || !(await this.supportsFlag(subcommand, '--json'))) {
+          throw error;
+        }
+        await this.useWorker();
+      }
+    }
+    return this.runJson(subcommand, args, secrets);
+  }
+
+  /**
+   * Shut down the worker process (call on CLI exit)
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.worker) {
+      await this.worker.stop();
+    }
+  }
+
+  /**
+   * Run a subcommand in JSON output mode and validate the result
+   * Failures are reported by platarium-cli as { "error": { "code", "message" } }.
+   * @param {string} subcommand - platarium-cli subcommand
+   * @param {Array<string>} args - Additional arguments
+   * @param {Object|null} secrets - { mnemonic, alphanumeric } if the command needs them
+   * @returns {Promise<Object>} Parsed and validated output
+   */
+  async runJson(subcommand, args, secrets = null) {
+    const jsonArgs = [...args, '--json'];
+    let stdout;
+    try {
+      ({ stdout } = secrets
+        ? await this.runWithSecrets(subcommand, jsonArgs, secrets.mnemonic, secrets.alphanumeric)
+        : await this.runBinary([subcommand, ...jsonArgs]));
+    } catch (error) {
+      const payload = this.parseJson(error.stdout);
+      if (payload && payload.error) {
+        throw createRustCoreError(payload.error.code, payload.error.message || error.message);
+      }
+      throw error;
+    }
+
+    const payload = this.parseJson(stdout);
+    if (!payload) {
+      throw new InvalidOutputError(`platarium-cli ${subcommand} did not return valid JSON`);
+    }
+    if (payload.error) {
+      throw createRustCoreError(payload.error.code, payload.error.message);
+    }
+
+    validateOutput(subcommand, payload);
+    return payload;
+  }
+
+  /**
+   * Parse JSON output (last non-empty line, to skip informational logging)
+   * @param {string} output - CLI output
+   * @returns {Object|null} Parsed object or null
+   */
+  parseJson(output) {
+    if (!output) {
+      return null;
+    }
+    const lines = output.trim().split('\n');
+    try {
+      return JSON.parse(lines[lines.length - 1]);
+    } catch (error) {
+      try {
+        return JSON.parse(output);
+      } catch (e) {
+        return null;
+      }
+    }
   }
 
   /**
@@ -53,56 +460,88 @@ class RustCore {
       isWindows ? 'platarium-cli.exe' : 'platarium-cli', // If installed globally
     ];
 
-    for (const binaryPath of possiblePaths) {
+    // Remember what was checked so describeBinary() can explain the choice
+    this.binaryCandidates = [...new Set(possiblePaths)].map((binaryPath) => {
       try {
-        if (existsSync(binaryPath)) {
-          return binaryPath;
-        }
+        return { path: binaryPath, found: existsSync(binaryPath) };
       } catch (e) {
-        // Continue searching
+        return { path: binaryPath, found: false };
       }
+    });
+
+    const candidate = this.binaryCandidates.find(c => c.found);
+    if (candidate) {
+      return candidate.path;
     }
 
     // Try to use 'platarium-cli' from PATH
     return isWindows ? 'platarium-cli.exe' : 'platarium-cli';
   }
 
+  /**
+   * Check whether the platarium-cli binary exists (as a file or on PATH)
+   * @returns {boolean} True if found
+   */
+  isAvailable() {
+    if (path.isAbsolute(this.binaryPath)) {
+      return existsSync(this.binaryPath);
+    }
+    
+    const pathSeparator = isWindows ? ';' : ':';
+    return (this.getEnv().PATH || '')
+      .split(pathSeparator)
+      .filter(Boolean)
+      .some(dir => existsSync(path.join(dir, this.binaryPath)));
+  }
+
   /**
    * Sign a message using Rust Core
    * @param {Object} message - Message object to sign
    * @param {string} mnemonic - BIP39 mnemonic phrase
    * @param {string} alphanumeric - Alphanumeric code
+   * @param {number} seedIndex - Account seed index (default: 0)
    * @returns {Promise<Object>} Signature result
    */
-  async signMessage(message, mnemonic, alphanumeric) {
+  async signMessage(message, mnemonic, alphanumeric, seedIndex = 0) {
+    if (!Number.isInteger(seedIndex) || seedIndex < 0) {
+      throw new InvalidSeedIndexError(`Invalid seed index: ${seedIndex}`);
+    }
+    await this.ensureCompatible();
+    
     try {
       const messageStr = JSON.stringify(message);
+      const args = ['--message', messageStr];
       
-      // Use exec on Windows for proper .exe handling, execFile on Unix
-      let stdout, stderr;
-      if (isWindows) {
-        const cmd = `"${this.binaryPath}" sign-message --message "${messageStr.replace(/"/g, '\\"')}" --mnemonic "${mnemonic.replace(/"/g, '\\"')}" --alphanumeric "${alphanumeric.replace(/"/g, '\\"')}"`;
-        const result = await execAsync(cmd, { shell: true });
-        stdout = result.stdout;
-        stderr = result.stderr;
-      } else {
-        const result = await execFileAsync(this.binaryPath, [
+      // Builds without --seed-index always sign with account 0
+      if (await this.supportsFlag('sign-message', '--seed-index')) {
+        args.push('--seed-index', seedIndex.toString());
+      } else if (seedIndex !== 0) {
+        throw new SigningError(
+          `This platarium-cli build cannot sign for seed index ${seedIndex}; rebuild Platarium Core with \`npm run setup\``
+        );
+      }
+      
+      if (await this.supportsStructured('sign-message')) {
+        const result = await this.structuredRequest(
           'sign-message',
-          '--message', messageStr,
-          '--mnemonic', mnemonic,
-          '--alphanumeric', alphanumeric,
-        ]);
-        stdout = result.stdout;
-        stderr = result.stderr;
+          args,
+          { message: messageStr, seed_index: seedIndex },
+          { mnemonic, alphanumeric }
+        );
+        const signature = result.signatures[0];
+        if (!signature || typeof signature.signature_compact !== 'string') {
+          throw new InvalidOutputError('platarium-cli sign-message: missing signature');
+        }
+        return result;
       }
+      
+      // Legacy builds print human-readable output
+      const { stdout, stderr } = await this.runWithSecrets('sign-message', args, mnemonic, alphanumeric);
 
       if (stderr && !stderr.includes('Message Hash:')) {
         throw new Error(`Rust Core error: ${stderr}`);
       }
 
-      // Parse output - Rust CLI outputs text, we need to parse it
-      // For now, return a basic structure
-      // In production, you might want to parse the actual output
       return {
         hash: this.extractValue(stdout, 'Message Hash:'),
         signatures: [
@@ -113,7 +552,7 @@ class RustCore {
         ],
       };
     } catch (error) {
-      throw new Error(`Failed to sign message with Rust Core: ${error.message}`);
+      throw toRustCoreError(error, 'Failed to sign message with Rust Core', 'signing_failed');
     }
   }
 
@@ -159,6 +598,15 @@ class RustCore {
       
       const messageStr = JSON.stringify(message);
       
+      if (await this.supportsStructured('verify-signature')) {
+        const result = await this.structuredRequest('verify-signature', [
+          '--message', messageStr,
+          '--signature', signature,
+          '--pubkey', pubkey,
+        ], { message: messageStr, signature, pubkey });
+        return result.valid;
+      }
+      
       // Use exec on Windows for proper .exe handling, execFile on Unix
       let stdout, stderr;
       if (isWindows) {
@@ -189,6 +637,14 @@ class RustCore {
    */
   async generateMnemonic() {
     try {
+      if (await this.supportsStructured('generate-mnemonic')) {
+        const result = await this.structuredRequest('generate-mnemonic', [], {});
+        return {
+          mnemonic: result.mnemonic,
+          alphanumericPart: result.alphanumeric,
+        };
+      }
+      
       const { stdout, stderr } = await execFileAsync(this.binaryPath, [
         'generate-mnemonic',
       ]);
@@ -207,7 +663,7 @@ class RustCore {
         alphanumericPart: alphanumeric,
       };
     } catch (error) {
-      throw new Error(`Failed to generate mnemonic with Rust Core: ${error.message}`);
+      throw toRustCoreError(error, 'Failed to generate mnemonic with Rust Core');
     }
   }
 
@@ -224,7 +680,7 @@ class RustCore {
       // Then generate keys from mnemonic
       return await this.restoreKeys(mnemonic, alphanumericPart, seedIndex);
     } catch (error) {
-      throw new Error(`Failed to generate keys with Rust Core: ${error.message}`);
+      throw toRustCoreError(error, 'Failed to generate keys with Rust Core');
     }
   }
 
@@ -236,38 +692,35 @@ class RustCore {
    * @returns {Promise<Object>} Restored keys object
    */
   async restoreKeys(mnemonic, alphanumeric, seedIndex = 0) {
+    if (!Number.isInteger(seedIndex) || seedIndex < 0) {
+      throw new InvalidSeedIndexError(`Invalid seed index: ${seedIndex}`);
+    }
+    await this.ensureCompatible();
+    
     try {
-      // Ensure PATH includes cargo bin
-      const homeDir = process.env.USERPROFILE || process.env.HOME || '.';
-      const cargoBinPath = path.join(homeDir, '.cargo', 'bin');
-      const pathSeparator = isWindows ? ';' : ':';
-      const currentPath = process.env.PATH || '';
-      const env = {
-        ...process.env,
-        PATH: isWindows 
-          ? `${cargoBinPath}${pathSeparator}${currentPath}`
-          : `${cargoBinPath}${pathSeparator}${currentPath}`,
-      };
+      const args = ['--seed-index', seedIndex.toString()];
       
-      // Use exec on Windows for proper .exe handling, execFile on Unix
-      let stdout, stderr;
-      if (isWindows) {
-        const mnemonicEscaped = mnemonic.replace(/"/g, '\\"');
-        const alphanumericEscaped = alphanumeric.replace(/"/g, '\\"');
-        const cmd = `"${this.binaryPath}" generate-keys --mnemonic "${mnemonicEscaped}" --alphanumeric "${alphanumericEscaped}" --seed-index ${seedIndex.toString()}`;
-        const result = await execAsync(cmd, { shell: true, env });
-        stdout = result.stdout;
-        stderr = result.stderr;
-      } else {
-        const result = await execFileAsync(this.binaryPath, [
+      if (await this.supportsStructured('generate-keys')) {
+        const result = await this.structuredRequest(
           'generate-keys',
-          '--mnemonic', mnemonic,
-          '--alphanumeric', alphanumeric,
-          '--seed-index', seedIndex.toString(),
-        ], { env });
-        stdout = result.stdout;
-        stderr = result.stderr;
+          args,
+          { seed_index: seedIndex },
+          { mnemonic, alphanumeric }
+        );
+        return {
+          publicKey: result.public_key,
+          privateKey: result.private_key,
+          signatureKey: result.signature_key,
+          mnemonic: mnemonic,
+          alphanumericPart: alphanumeric,
+          derivationPaths: {
+            mainPath: result.derivation_path,
+          },
+        };
       }
+      
+      // Legacy builds print human-readable output
+      const { stdout, stderr } = await this.runWithSecrets('generate-keys', args, mnemonic, alphanumeric);
 
       const output = stdout + stderr;
       
@@ -278,7 +731,7 @@ class RustCore {
       
       const publicKey = this.extractValue(output, 'Public Key:');
       if (!publicKey) {
-        throw new Error('Failed to extract public key from Rust Core output');
+        throw new InvalidOutputError('Failed to extract public key from Rust Core output');
       }
       
       return {
@@ -292,7 +745,7 @@ class RustCore {
         },
       };
     } catch (error) {
-      throw new Error(`Failed to restore keys with Rust Core: ${error.message}`);
+      throw toRustCoreError(error, 'Failed to restore keys with Rust Core');
     }
   }
 }
@@ -0,0 +1,209 @@
+import { spawn } from 'child_process';
+import { createInterface } from 'readline';
+import { RustCoreError, createRustCoreError } from './errors.js';
+
+// Crash loop protection: give up after this many crashes within the window
+const MAX_CRASHES = 3;
+const CRASH_WINDOW_MS = 60000;
+
+/**
+ * Rust Core worker - Long-lived `platarium-cli worker` process
+ *
+ * Speaks a line-delimited JSON protocol over stdin/stdout:
+ *   request:  { "id": 1, "method": "generate-keys", "params": { ... } }
+ *   response: { "id": 1, "result": { ... } } or { "id": 1, "error": { "code", "message" } }
+ */
+class RustWorker {
+  /**
+   * @param {string} binaryPath - Path to platarium-cli
+   * @param {Object} env - Environment for the child process
+   * @param {Object} options - { requestTimeout }
+   */
+  constructor(binaryPath, env, options = {}) {
+    this.binaryPath = binaryPath;
+    this.env = env;
+    this.requestTimeout = options.requestTimeout || 30000;
+    this.child = null;
+    this.nextId = 1;
+    this.pending = new Map();
+    this.crashes = [];
+    this.stopping = false;
+  }
+
+  /**
+   * Whether the worker crashed too often and should not be restarted
+   * @returns {boolean}
+   */
+  isDisabled() {
+    const now = Date.now();
+    this.crashes = this.crashes.filter(t => now - t < CRASH_WINDOW_MS);
+    return this.crashes.length >= MAX_CRASHES;
+  }
+
+  /**
+   * Start the worker process if it is not running
+   */
+  start() {
+    if (this.child) {
+      return;
+    }
+    if (this.isDisabled()) {
+      throw new RustCoreError('Rust Core worker keeps crashing, not restarting', 'worker_unavailable');
+    }
+
+    this.stopping = false;
+    const child = spawn(this.binaryPath, ['worker'], {
+      env: this.env,
+      stdio: ['pipe', 'pipe', 'pipe'],
+      windowsHide: true,
+    });
+    this.child = child;
+
+    let stderr = '';
+    child.stderr.on('data', (chunk) => {
+      // Keep only the tail for error reporting
+      stderr = (stderr + chunk).slice(-2000);
+    });
+    child.stdin.on('error', () => {
+      // Reported through the exit handler
+    });
+
+    const lines = createInterface({ input: child.stdout });
+    lines.on('line', (line) => this.handleLine(line));
+
+    child.on('error', (error) => this.handleExit(child, `failed to start: ${error.message}`));
+    child.on('exit', (code, signal) => {
+      const reason = signal ? `killed by ${signal}` : `exited with code ${code}`;
+      this.handleExit(child, stderr.trim() ? `${reason}: ${stderr.trim()}` : reason);
+    });
+
+    this.updateRef();
+  }
+
+  /**
+   * Handle a response line from the worker
+   * @param {string} line - JSON response
+   */
+  handleLine(line) {
+    let response;
+    try {
+      response = JSON.parse(line);
+    } catch (error) {
+      // Ignore informational output
+      return;
+    }
+
+    const request = this.pending.get(response.id);
+    if (!request) {
+      return;
+    }
+    this.finish(response.id);
+
+    if (response.error) {
+      request.reject(createRustCoreError(response.error.code, response.error.message));
+    } else {
+      request.resolve(response.result);
+    }
+  }
+
+  /**
+   * Handle worker exit: fail pending requests, next request restarts the worker
+   * @param {ChildProcess} child - Exited child
+   * @param {string} reason - Exit reason
+   */
+  handleExit(child, reason) {
+    if (this.child !== child) {
+      return;
+    }
+    this.child = null;
+
+    if (!this.stopping) {
+      this.crashes.push(Date.now());
+    }
+
+    for (const id of [...this.pending.keys()]) {
+      const request = this.pending.get(id);
+      this.finish(id);
+      request.reject(new RustCoreError(`Rust Core worker ${reason}`, 'worker_crashed'));
+    }
+  }
+
+  /**
+   * Send a request to the worker
+   * @param {string} method - Method name (platarium-cli subcommand)
+   * @param {Object} params - Method parameters
+   * @returns {Promise<Object>} Result
+   */
+  request(method, params = {}) {
+    this.start();
+
+    return new Promise((resolve, reject) => {
+      const id = this.nextId++;
+      const timeout = setTimeout(() => {
+        this.finish(id);
+        reject(new RustCoreError(`Rust Core worker request timeout (${method})`, 'worker_timeout'));
+      }, this.requestTimeout);
+
+      this.pending.set(id, { resolve, reject, timeout });
+      this.updateRef();
+
+      this.child.stdin.write(JSON.stringify({ id, method, params }) + '\n');
+    });
+  }
+
+  /**
+   * Remove a pending request
+   * @param {number} id - Request id
+   */
+  finish(id) {
+    const request = this.pending.get(id);
+    if (request) {
+      clearTimeout(request.timeout);
+      this.pending.delete(id);
+      this.updateRef();
+    }
+  }
+
+  /**
+   * Only keep the event loop alive while requests are in flight,
+   * so an idle worker never prevents the CLI from exiting
+   */
+  updateRef() {
+    if (!this.child) {
+      return;
+    }
+    const method = this.pending.size > 0 ? 'ref' : 'unref';
+    this.child[method]();
+    for (const stream of [this.child.stdin, this.child.stdout, this.child.stderr]) {
+      if (stream && typeof stream[method] === 'function') {
+        stream[method]();
+      }
+    }
+  }
+
+  /**
+   * Stop the worker: close stdin and wait for it to exit, kill after a grace period
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    const child = this.child;
+    if (!child) {
+      return;
+    }
+    this.stopping = true;
+
+    await new Promise((resolve) => {
+      const killTimer = setTimeout(() => {
+        child.kill();
+        resolve();
+      }, 2000);
+      child.once('exit', () => {
+        clearTimeout(killTimer);
+        resolve();
+      });
+      child.stdin.end();
+    });
+  }
+}
+
+export default RustWorker;
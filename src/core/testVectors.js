@@ -0,0 +1,76 @@
+import EXPECTED, { EXPECTED_SOURCE } from './testVectorsExpected.js';
+
+/**
+ * Shared crypto test vectors
+ *
+ * Inputs run through both the Rust binary and the pure-JS backend by
+ * scripts/verify-setup.js; derived keys must match exactly and each
+ * backend must accept the other's signatures.
+ *
+ * The expected keys, addresses and signatures live in testVectorsExpected.js,
+ * written by scripts/generate-test-vectors.js from platarium-cli (see
+ * EXPECTED_SOURCE). test/jsCrypto.test.js checks the pure-JS backend against
+ * them without the binary. Node's ECDSA signatures are not deterministic, so
+ * a signature is checked by verifying it rather than by comparing bytes.
+ */
+export { EXPECTED_SOURCE };
+
+const TEST_VECTORS = [
+  {
+    mnemonic: 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon art',
+    alphanumeric: 'TEST123456',
+    seedIndexes: [0, 1, 7],
+    message: {
+      from: 'Px0000000000000000000000000000000000000000000000000000000000000000',
+      to: 'Px1111111111111111111111111111111111111111111111111111111111111111',
+      amount: '1',
+      nonce: 1,
+      timestamp: 1700000000000,
+      type: 'transfer',
+    },
+  },
+  {
+    mnemonic: 'legal winner thank year wave sausage worth useful legal winner thank year wave sausage worth useful legal winner thank year wave sausage worth title',
+    alphanumeric: 'PLATARIUM1',
+    seedIndexes: [0, 42],
+    message: {
+      text: 'Platarium test vector',
+    },
+  },
+].map((vector, i) => ({ ...vector, expected: EXPECTED[i] }));
+
+/**
+ * BIP39 reference vectors (mnemonic and passphrase to seed), from the
+ * published BIP39 test vectors (passphrase "TREZOR")
+ */
+export const BIP39_VECTORS = [
+  {
+    mnemonic: 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about',
+    passphrase: 'TREZOR',
+    seed: 'c55257c360c07c72029aebc1b53c05ed0362ada38ead3e3e9efa3708e53495531f09a6987599d18264c1e1c92f2cf141630c7a3c4ab7c81b2f001698e7463b04',
+  },
+  {
+    mnemonic: 'legal winner thank year wave sausage worth useful legal winner thank yellow',
+    passphrase: 'TREZOR',
+    seed: '2e8905819b8723fe2c1d161860e5ee1830318dbf49a83bd451cfb8440c28bd6fa457fe1296106559a3c80937a1c1069be3a3a5bd381ee6260e8d9739fce1f607',
+  },
+];
+
+/**
+ * BIP32 reference vectors (seed and hardened path to private key), from
+ * test vector 1 of BIP32
+ */
+export const BIP32_VECTORS = [
+  {
+    seed: '000102030405060708090a0b0c0d0e0f',
+    path: [],
+    privateKey: 'e8f32e723decf4051aefac8e2c93c9c5b214313817cdb01a1494b917c8436b35',
+  },
+  {
+    seed: '000102030405060708090a0b0c0d0e0f',
+    path: [0],
+    privateKey: 'edb2e14f9ee77d26dd93b4ecede8d16ed408ce149b6cd80b0715a2d911a0afea',
+  },
+];
+
+export default TEST_VECTORS;
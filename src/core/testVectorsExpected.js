@@ -0,0 +1,41 @@
+// Generated by scripts/generate-test-vectors.js, do not edit.
+// Expected outputs of the vectors in testVectors.js (signature: seed index 0).
+
+export const EXPECTED_SOURCE = "JsCrypto (not confirmed by platarium-cli)";
+
+const EXPECTED = [
+  {
+    "keys": {
+      "0": {
+        "privateKey": "ec00af6c918d877c991239b5af85774da2f44e46b19f750949a51d135fd4a473",
+        "publicKey": "Px0217d205110349f0337814a270618f747a21f5a0114d3565af8f7e7cbbb522494f"
+      },
+      "1": {
+        "privateKey": "cbde04da52b3ccd38d59b9ed05b3a6b3d5ded96581e6b62e87cf7aec8baf98ba",
+        "publicKey": "Px028beae254b1af9e39499e59288b2be962a8a36bdb9c6df1c837a7fd80cc81bda8"
+      },
+      "7": {
+        "privateKey": "13199262ed06b58a6428d9f616433b56aac8bbe7c4c63e3aa6293d48663d97d8",
+        "publicKey": "Px02cc490cf8c40f3c11bdea46ce4f2fb2253f3ef5272626e6221916061d1fbe3f25"
+      }
+    },
+    "messageHash": "2af77d31af4446ab669f9d012e74c4a45c20bce7a0727a0552f96c82142a035b",
+    "signature": "4a4fbd06a4034946c21d1267d21d71b531624385b4a33febcac009afa61d0182408ca53fd119453db4638340dfb326ea894ddbbc0e3d21ad8e1f2e9de9934f32"
+  },
+  {
+    "keys": {
+      "0": {
+        "privateKey": "583fdf7fa8c513bbf0b24f294e3f53b36450f86a4c87e30120c47cba89e0416c",
+        "publicKey": "Px0334acc05e89dc62e83211aef319c2c02cf89d8b9bee2cf6f76b0e3cf52b28e795"
+      },
+      "42": {
+        "privateKey": "fcaf772bd5598402bd1b055aca9a195701fe672a1ced20c1f7c22318616ce668",
+        "publicKey": "Px024a2a8eca6de596b2fc40314c23348e4ff5c18ea821b2dd0e962c43850437ba04"
+      }
+    },
+    "messageHash": "5e667cf76547bcedfff59a250a6922377ffbca688a60f13df099a2d20f6dcf8d",
+    "signature": "d68eb5726f38c988a739cfb634c99e467731076431839cadd30aea4a2722fc40371052eb4555a6604a6ed8fcfd2992d0e3c7de92936c66d9c54e65b7dd972618"
+  }
+];
+
+export default EXPECTED;
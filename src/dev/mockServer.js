@@ -0,0 +1,564 @@
+import http from 'http';
+import { createHash } from 'crypto';
+import { WebSocketServer } from 'ws';
+import JsCrypto from '../core/jsCrypto.js';
+import { parseAmount, parsePositiveAmount, formatAmount, normalizeAmount } from '../wallet/amount.js';
+import { isValidAddress } from '../wallet/address.js';
+
+/**
+ * Mock RPC server - Local stand-in for a Platarium node (development and tests)
+ *
+ * REST: /rpc/status, /api, /network, /pg-bal/:address, /pg-tx/:hash,
+ *       /pg-alltx/:address, POST /pg-sendtx
+ * WebSocket (/ws/): ping, register, message, subscribe, unsubscribe
+ * Control (never affected by faults): GET/POST /__mock/faults, POST /__mock/fund,
+ *       POST /__mock/drop, POST /__mock/reset
+ *
+ * Balances live in memory. Transactions are checked (signature, nonce,
+ * balance) and included in the next block: immediately, or every blockTime ms.
+ */
+
+const DEFAULT_FAULTS = {
+  latency: 0,        // Delay of every REST response and WebSocket reply (ms)
+  errorRate: 0,      // Share of REST requests answered with errorStatus (0-1)
+  errorStatus: 503,
+  failNext: 0,       // Answer the next n REST requests with errorStatus
+  hangNext: 0,       // Never answer the next n REST requests (client timeouts)
+  subscriptions: true, // Confirm account subscriptions (false: behave like a server without them)
+};
+
+const API_ROUTES = ['/rpc/status', '/api', '/network', '/pg-bal/:address', '/pg-tx/:hash', '/pg-alltx/:address', '/pg-sendtx', '/ws/'];
+
+/**
+ * Request rejected by the mock (answered with its status and message)
+ */
+class MockRequestError extends Error {
+  /**
+   * @param {number} status - HTTP status
+   * @param {string} message - Error message
+   */
+  constructor(status, message) {
+    super(message);
+    this.name = 'MockRequestError';
+    this.code = 'mock_request_error';
+    this.status = status;
+  }
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Body ({} if empty)
+ * @throws {MockRequestError} If the body is not valid JSON
+ */
+async function readJson(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  const text = Buffer.concat(chunks).toString('utf-8');
+  if (!text) {
+    return {};
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new MockRequestError(400, `invalid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Write a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {*} body - Response body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Wait for the configured latency
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+}
+
+/**
+ * Mock Server
+ */
+class MockServer {
+  /**
+   * @param {Object} options - { port, host, balances: { address: amount }, initialBalance,
+   *   blockTime, verifySignatures, faults, network, chainId, log }
+   */
+  constructor(options = {}) {
+    this.port = options.port ?? 8080;
+    this.host = options.host || '127.0.0.1';
+    this.network = options.network || 'local';
+    this.chainId = options.chainId || 'platarium-local';
+    this.genesis = options.balances || {};
+    this.initialBalance = parseAmount(options.initialBalance ?? '0');
+    this.blockTime = options.blockTime || 0;
+    this.verifySignatures = options.verifySignatures !== false;
+    this.log = options.log || (() => {});
+    this.crypto = new JsCrypto({});
+    this.faults = { ...DEFAULT_FAULTS, ...options.faults };
+    this.server = null;
+    this.wss = null;
+    this.blockTimer = null;
+    this.clients = new Map(); // address -> Set of sockets (registered)
+    this.subscribers = new Map(); // address -> Set of sockets (account events)
+    this.reset();
+  }
+
+  /**
+   * Restore the genesis state (balances, no transactions, height 0)
+   */
+  reset() {
+    this.balances = new Map();
+    Object.entries(this.genesis).forEach(([address, amount]) => {
+      this.balances.set(address, parseAmount(amount));
+    });
+    this.transactions = []; // In submission order
+    this.pending = [];
+    this.height = 0;
+  }
+
+  /**
+   * URLs of the running server
+   * @returns {Object} { rest, websocket }
+   */
+  get urls() {
+    const port = this.server?.address()?.port ?? this.port;
+    return {
+      rest: `http://${this.host}:${port}`,
+      websocket: `ws://${this.host}:${port}/ws/`,
+    };
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<Object>} { rest, websocket } URLs
+   */
+  async start() {
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch((error) => {
+        if (!res.headersSent) {
+          sendJson(res, 500, { error: error.message });
+        }
+      });
+    });
+    this.wss = new WebSocketServer({ noServer: true });
+    this.wss.on('connection', socket => this.handleConnection(socket));
+    this.server.on('upgrade', (req, socket, head) => {
+      if (!['/ws', '/ws/'].includes(req.url)) {
+        socket.destroy();
+        return;
+      }
+      this.wss.handleUpgrade(req, socket, head, ws => this.wss.emit('connection', ws, req));
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+
+    if (this.blockTime > 0) {
+      this.blockTimer = setInterval(() => this.produceBlock(), this.blockTime);
+    }
+    return this.urls;
+  }
+
+  /**
+   * Stop listening and disconnect all clients
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.blockTimer) {
+      clearInterval(this.blockTimer);
+      this.blockTimer = null;
+    }
+    if (this.wss) {
+      this.wss.clients.forEach(socket => socket.terminate());
+      this.wss.close();
+      this.wss = null;
+    }
+    if (this.server) {
+      const server = this.server;
+      this.server = null;
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(() => resolve()));
+    }
+  }
+
+  /**
+   * Change the injected faults (unspecified ones are kept)
+   * @param {Object} faults - See DEFAULT_FAULTS
+   * @returns {Object} Active faults
+   */
+  setFaults(faults) {
+    Object.keys(faults).forEach((key) => {
+      if (!(key in DEFAULT_FAULTS)) {
+        throw new MockRequestError(400, `unknown fault "${key}" (known: ${Object.keys(DEFAULT_FAULTS).join(', ')})`);
+      }
+    });
+    Object.assign(this.faults, faults);
+    return { ...this.faults };
+  }
+
+  /**
+   * Drop every WebSocket connection (clients see a lost connection)
+   * @returns {number} Number of dropped connections
+   */
+  dropSockets() {
+    const count = this.wss ? this.wss.clients.size : 0;
+    this.wss?.clients.forEach(socket => socket.terminate());
+    return count;
+  }
+
+  /**
+   * Credit an address (faucet)
+   * @param {string} address - Address
+   * @param {string} amount - Amount in PLT
+   * @returns {string} New balance
+   */
+  fund(address, amount) {
+    if (!isValidAddress(address)) {
+      throw new MockRequestError(400, `invalid address: ${address}`);
+    }
+    const balance = this.balanceOf(address) + parsePositiveAmount(amount);
+    this.balances.set(address, balance);
+    this.notify(address, 'balance', { address, balance: formatAmount(balance) });
+    return formatAmount(balance);
+  }
+
+  /**
+   * Balance of an address in base units
+   * @param {string} address - Address
+   * @returns {bigint}
+   */
+  balanceOf(address) {
+    if (!this.balances.has(address)) {
+      this.balances.set(address, this.initialBalance);
+    }
+    return this.balances.get(address);
+  }
+
+  /**
+   * Answer a REST request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @returns {Promise<void>}
+   */
+  async handleRequest(req, res) {
+    const url = new URL(req.url, 'http://mock');
+    const path = url.pathname.replace(/\/+$/, '') || '/';
+
+    if (path.startsWith('/__mock/')) {
+      await this.handleControl(req, res, path);
+      return;
+    }
+
+    // Injected faults
+    if (this.faults.hangNext > 0) {
+      this.faults.hangNext--;
+      this.log(`hang ${req.method} ${path}`);
+      return;
+    }
+    await delay(this.faults.latency);
+    if (this.faults.failNext > 0 || Math.random() < this.faults.errorRate) {
+      this.faults.failNext = Math.max(0, this.faults.failNext - 1);
+      this.log(`fault ${this.faults.errorStatus} ${req.method} ${path}`);
+      sendJson(res, this.faults.errorStatus, { error: 'injected fault' });
+      return;
+    }
+
+    try {
+      const [status, body] = await this.route(req, path);
+      sendJson(res, status, body);
+    } catch (error) {
+      if (!(error instanceof MockRequestError)) {
+        throw error;
+      }
+      sendJson(res, error.status, { error: error.message });
+    }
+  }
+
+  /**
+   * Route a REST request
+   * @param {http.IncomingMessage} req - Request
+   * @param {string} path - Path without trailing slash
+   * @returns {Promise<Array>} [status, body]
+   * @throws {MockRequestError} If the request is rejected
+   */
+  async route(req, path) {
+    const [, resource, param] = path.split('/');
+
+    if (req.method === 'GET' && path === '/rpc/status') {
+      return [200, {
+        status: 'ok',
+        nodeId: 'mock-node',
+        network: this.network,
+        height: this.height,
+        connectedPeers: 0,
+        summary: { connectedClients: this.wss ? this.wss.clients.size : 0 },
+        components: { ledger: 'ok', websocket: 'ok' },
+      }];
+    }
+    if (req.method === 'GET' && path === '/api') {
+      return [200, { name: 'Platarium mock RPC', endpoints: API_ROUTES }];
+    }
+    if (req.method === 'GET' && path === '/network') {
+      return [200, { network: this.network, chainId: this.chainId, height: this.height, peers: [] }];
+    }
+    if (req.method === 'GET' && resource === 'pg-bal' && param) {
+      return [200, { address: param, balance: formatAmount(this.balanceOf(param)) }];
+    }
+    if (req.method === 'GET' && resource === 'pg-tx' && param) {
+      const tx = [...this.transactions, ...this.pending].find(t => t.hash === param);
+      if (!tx) {
+        throw new MockRequestError(404, 'transaction not found');
+      }
+      return [200, tx];
+    }
+    if (req.method === 'GET' && resource === 'pg-alltx' && param) {
+      return [200, [...this.transactions, ...this.pending].filter(t => t.from === param || t.to === param)];
+    }
+    if (req.method === 'POST' && path === '/pg-sendtx') {
+      const tx = await this.submit(await readJson(req));
+      return [200, { success: true, transaction: tx }];
+    }
+    throw new MockRequestError(404, `no route for ${req.method} ${path}`);
+  }
+
+  /**
+   * Answer a control request (/__mock/...)
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @param {string} path - Path
+   * @returns {Promise<void>}
+   */
+  async handleControl(req, res, path) {
+    try {
+      const body = req.method === 'POST' ? await readJson(req) : {};
+      if (path === '/__mock/faults') {
+        sendJson(res, 200, req.method === 'POST' ? this.setFaults(body) : { ...this.faults });
+      } else if (path === '/__mock/fund' && req.method === 'POST') {
+        sendJson(res, 200, { address: body.address, balance: this.fund(body.address, body.amount) });
+      } else if (path === '/__mock/drop' && req.method === 'POST') {
+        sendJson(res, 200, { dropped: this.dropSockets() });
+      } else if (path === '/__mock/reset' && req.method === 'POST') {
+        this.reset();
+        this.faults = { ...DEFAULT_FAULTS };
+        sendJson(res, 200, { reset: true });
+      } else {
+        throw new MockRequestError(404, `no route for ${req.method} ${path}`);
+      }
+    } catch (error) {
+      sendJson(res, error.status || 400, { error: error.message });
+    }
+  }
+
+  /**
+   * Check a signed transaction and queue it for the next block
+   * @param {Object} body - Signed transaction { from, to, amount, nonce, timestamp, type, signature }
+   * @returns {Promise<Object>} Stored transaction
+   * @throws {MockRequestError} If the transaction is invalid
+   */
+  async submit(body) {
+    const { from, to, nonce, signature } = body;
+    if (!isValidAddress(from) || !isValidAddress(to)) {
+      throw new MockRequestError(400, 'invalid from or to address');
+    }
+    if (!Number.isInteger(nonce) || nonce < 0) {
+      throw new MockRequestError(400, 'invalid nonce');
+    }
+    let units;
+    try {
+      units = parsePositiveAmount(body.amount);
+    } catch (error) {
+      throw new MockRequestError(400, `invalid amount: ${error.message}`);
+    }
+
+    if (this.verifySignatures) {
+      // Same message the wallet signs (WalletManager#signTransaction)
+      const message = {
+        from,
+        to,
+        amount: normalizeAmount(body.amount),
+        nonce,
+        timestamp: body.timestamp,
+        type: body.type || 'transfer',
+      };
+      if (typeof signature !== 'string' || !(await this.crypto.verifySignature(message, signature, from))) {
+        throw new MockRequestError(400, 'invalid signature');
+      }
+    }
+
+    const all = [...this.transactions, ...this.pending];
+    if (all.some(t => t.from === from && t.nonce === nonce)) {
+      throw new MockRequestError(400, `nonce ${nonce} already used`);
+    }
+    const committed = this.pending.filter(t => t.from === from).reduce((sum, t) => sum + parseAmount(t.value), 0n);
+    if (this.balanceOf(from) - committed < units) {
+      throw new MockRequestError(400, 'insufficient balance');
+    }
+
+    const tx = {
+      hash: createHash('sha256').update(JSON.stringify({ from, to, amount: body.amount, nonce, signature })).digest('hex'),
+      from,
+      to,
+      value: formatAmount(units),
+      nonce,
+      timestamp: Math.floor((body.timestamp || Date.now()) / 1000),
+      type: body.type || 'transfer',
+      signature,
+      status: 'pending',
+    };
+    this.pending.push(tx);
+    this.log(`tx ${tx.hash.slice(0, 12)} ${from.slice(0, 10)}… -> ${to.slice(0, 10)}… ${tx.value} (nonce ${nonce})`);
+
+    if (!this.blockTime) {
+      this.produceBlock();
+    }
+    return tx;
+  }
+
+  /**
+   * Include the pending transactions in a new block
+   */
+  produceBlock() {
+    this.height++;
+    const included = this.pending;
+    this.pending = [];
+
+    included.forEach((tx) => {
+      this.balances.set(tx.from, this.balanceOf(tx.from) - parseAmount(tx.value));
+      this.balances.set(tx.to, this.balanceOf(tx.to) + parseAmount(tx.value));
+      tx.status = 'confirmed';
+      tx.block = this.height;
+      this.transactions.push(tx);
+    });
+
+    const block = { height: this.height, hash: createHash('sha256').update(`block:${this.height}`).digest('hex') };
+    this.subscribers.forEach(sockets => sockets.forEach(socket => this.send(socket, 'block', block)));
+    included.forEach((tx) => {
+      [...new Set([tx.from, tx.to])].forEach((address) => {
+        this.notify(address, 'transaction', tx);
+        this.notify(address, 'balance', { address, balance: formatAmount(this.balanceOf(address)) });
+      });
+    });
+  }
+
+  /**
+   * Push an account event to the subscribers of an address
+   * @param {string} address - Address
+   * @param {string} type - Event type
+   * @param {Object} data - Event data
+   */
+  notify(address, type, data) {
+    (this.subscribers.get(address) || new Set()).forEach(socket => this.send(socket, type, data));
+  }
+
+  /**
+   * Send a WebSocket message (after the configured latency)
+   * @param {WebSocket} socket - Client socket
+   * @param {string} type - Message type
+   * @param {Object} data - Message data
+   */
+  send(socket, type, data) {
+    delay(this.faults.latency).then(() => {
+      if (socket.readyState === socket.OPEN) {
+        socket.send(JSON.stringify({ type, data }));
+      }
+    });
+  }
+
+  /**
+   * Serve a WebSocket client
+   * @param {WebSocket} socket - Client socket
+   */
+  handleConnection(socket) {
+    const registered = new Set();
+
+    socket.on('message', (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (error) {
+        this.send(socket, 'error', { error: 'invalid JSON' });
+        return;
+      }
+      const data = message.data || {};
+
+      switch (message.type) {
+        case 'ping':
+          this.send(socket, 'pong', { timestamp: Date.now() });
+          break;
+        case 'register':
+          if (!isValidAddress(data.address)) {
+            this.send(socket, 'error', { error: `invalid address: ${data.address}` });
+            break;
+          }
+          registered.add(data.address);
+          if (!this.clients.has(data.address)) {
+            this.clients.set(data.address, new Set());
+          }
+          this.clients.get(data.address).add(socket);
+          this.send(socket, 'registered', { address: data.address });
+          break;
+        case 'message':
+          this.relayMessage(socket, registered, data);
+          break;
+        case 'subscribe':
+          // Servers without subscriptions ignore the request
+          if (this.faults.subscriptions) {
+            if (!this.subscribers.has(data.address)) {
+              this.subscribers.set(data.address, new Set());
+            }
+            this.subscribers.get(data.address).add(socket);
+            this.send(socket, 'subscribed', { address: data.address, events: data.events || [] });
+          }
+          break;
+        case 'unsubscribe':
+          this.subscribers.get(data.address)?.delete(socket);
+          break;
+        default:
+          this.send(socket, 'error', { error: `unknown message type: ${message.type}` });
+      }
+    });
+
+    socket.on('close', () => {
+      this.clients.forEach(sockets => sockets.delete(socket));
+      this.subscribers.forEach(sockets => sockets.delete(socket));
+    });
+  }
+
+  /**
+   * Deliver a chat message to the recipient's connections
+   * @param {WebSocket} socket - Sender socket
+   * @param {Set<string>} registered - Addresses registered on the sender socket
+   * @param {Object} data - { from, to, text }
+   */
+  relayMessage(socket, registered, { from, to, text }) {
+    if (!registered.has(from)) {
+      this.send(socket, 'messageError', { to, error: 'sender address is not registered' });
+      return;
+    }
+    const recipients = this.clients.get(to);
+    if (!recipients || recipients.size === 0) {
+      this.send(socket, 'messageError', { to, error: 'recipient is offline' });
+      return;
+    }
+    const timestamp = Math.floor(Date.now() / 1000);
+    recipients.forEach(recipient => this.send(recipient, 'message', { from, to, text, timestamp }));
+    this.send(socket, 'messageSent', { from, to, timestamp });
+    this.log(`message ${from.slice(0, 10)}… -> ${to.slice(0, 10)}…`);
+  }
+}
+
+export default MockServer;
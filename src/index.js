@@ -2,19 +2,24 @@
 
 import { readFile } from 'fs/promises';
 import { existsSync } from 'fs';
-import { fileURLToPath } from 'url';
 import path from 'path';
 import { Command } from 'commander';
-import RustCore from './core/rustCore.js';
-import ServerClient from './api/serverClient.js';
-import WalletManager from './wallet/walletManager.js';
+import { createPlatariumClient } from './sdk.js';
+import { isValidAddress } from './wallet/address.js';
+import { parsePositiveAmount, normalizeAmount, formatBalance } from './wallet/amount.js';
 import InteractiveCLI from './cli/interactive.js';
-import MessageStorage from './messaging/messageStorage.js';
+import { enableJsonOutput, isJsonOutput, emit, fail, prompt, print, trackSentTransaction } from './cli/output.js';
+import { listNetworks, resolveNetwork, assertNetwork, recordNetwork, networkEndpoints } from './core/networks.js';
+import { loadConfig, flattenConfig, getSetting, setUserSetting } from './core/config.js';
+import {
+  createUnsignedTransaction,
+  attachSignature,
+  toSignedTransaction,
+  readTransactionFile,
+  writeTransactionFile,
+} from './wallet/transactionFile.js';
 import chalk from 'chalk';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
 // Add Rust cargo to PATH if available
 const cargoBinPath = path.join(process.env.HOME || process.env.USERPROFILE || '.', '.cargo', 'bin');
 if (cargoBinPath && existsSync(cargoBinPath)) {
@@ -24,27 +29,80 @@ if (cargoBinPath && existsSync(cargoBinPath)) {
   }
 }
 
-// Load configuration
+// Machine-readable output: stdout carries a single JSON document
+if (process.argv.slice(2).includes('--json')) {
+  enableJsonOutput();
+}
+
+// Global options taking a value (they configure the components, so they are read before commander runs)
+const GLOBAL_VALUE_OPTIONS = ['--config', '--network', '--rest-url', '--ws-url', '--data-dir'];
+
+/**
+ * Read a global option before commander parses the arguments
+ * (components are set up before the commands run)
+ * @param {Array<string>} args - Command line arguments
+ * @param {string} flag - Option name (e.g. '--network')
+ * @returns {string|undefined} Option value
+ */
+function readGlobalOption(args, flag) {
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === flag) {
+      return args[i + 1];
+    }
+    if (args[i].startsWith(`${flag}=`)) {
+      return args[i].slice(flag.length + 1);
+    }
+  }
+  return undefined;
+}
+
+// Command to run (the first argument that is not an option or the value of a global option)
+const args = process.argv.slice(2);
+const commandName = args.find((arg, i) => !arg.startsWith('-') && !GLOBAL_VALUE_OPTIONS.includes(args[i - 1]));
+
+// Commands that only work with the configuration: they run without a usable
+// network, so a bad network setting can still be fixed with `config set`
+const CONFIG_COMMANDS = ['config', 'networks'];
+
+// Load configuration (defaults, system and user files, PLATARIUM_* variables, flags)
+const configFlags = {
+  config: readGlobalOption(args, '--config'),
+  network: readGlobalOption(args, '--network'),
+  restUrl: readGlobalOption(args, '--rest-url'),
+  wsUrl: readGlobalOption(args, '--ws-url'),
+  dataDir: readGlobalOption(args, '--data-dir'),
+};
 let config;
+let configSources;
+let configFiles;
 try {
-  const configPath = path.join(__dirname, '../config/default.json');
-  const configData = await readFile(configPath, 'utf-8');
-  config = JSON.parse(configData);
+  ({ config, sources: configSources, files: configFiles } = await loadConfig({ flags: configFlags }));
 } catch (error) {
-  console.error(chalk.red('Failed to load configuration:'), error.message);
-  console.error(chalk.yellow('Please run: npm start (this will install everything automatically)'));
-  process.exit(1);
+  await fail('Invalid configuration', error);
 }
 
-// Initialize components
-const rustCore = new RustCore(config);
-const serverClient = new ServerClient(config);
-const walletManager = new WalletManager(config, rustCore);
-const messageStorage = new MessageStorage();
-const interactiveCLI = new InteractiveCLI(walletManager, serverClient, messageStorage);
+// Network profile and components (wired by the SDK, see sdk.js)
+let network;
+let client;
+if (!CONFIG_COMMANDS.includes(commandName)) {
+  try {
+    network = resolveNetwork(config);
+  } catch (error) {
+    console.error(chalk.yellow('Use --network <name> to pick another network, or `config set network <name>`'));
+    await fail('Invalid network', error);
+  }
+  
+  try {
+    client = await createPlatariumClient({ config, network });
+  } catch (error) {
+    await fail('Failed to initialize', error);
+  }
+}
+const { serverClient, walletManager, messageStorage, nonceTracker, confirmationTracker, accountEvents, decimals } = client || {};
+const interactiveCLI = client ? new InteractiveCLI(client) : null;
 
 // Set up message handler once (global handler)
-serverClient.on('message', async (data) => {
+serverClient?.on('message', async (data) => {
   try {
     const currentWallet = walletManager.getCurrentWallet();
     if (currentWallet && data.to === currentWallet.address) {
@@ -58,13 +116,100 @@ serverClient.on('message', async (data) => {
   }
 });
 
+// Account notifications (transactions, balance changes, blocks) of the loaded wallet
+if (accountEvents) {
+  ['transaction', 'balance', 'block'].forEach((type) => {
+    accountEvents.on(type, event => interactiveCLI.onAccountEvent(type, event));
+  });
+}
+
+/**
+ * Resolve wallet password for non-interactive commands
+ * Order: --password-file, PLATARIUM_WALLET_PASSWORD, interactive prompt
+ * @param {Object} options - Command options
+ * @param {Object} prompt - { confirm: ask twice (new passwords) }
+ * @returns {Promise<string>} Password
+ */
+async function resolvePassword(options, { confirm = true } = {}) {
+  if (options.passwordFile) {
+    const data = await readFile(options.passwordFile, 'utf-8');
+    // Strip trailing newline added by editors and `echo`
+    const password = data.replace(/\r?\n$/, '');
+    if (!password) {
+      throw new Error(`Password file is empty: ${options.passwordFile}`);
+    }
+    return password;
+  }
+  
+  if (process.env.PLATARIUM_WALLET_PASSWORD) {
+    return process.env.PLATARIUM_WALLET_PASSWORD;
+  }
+  
+  if (!process.stdin.isTTY) {
+    throw new Error('No password provided. Use --password-file or set PLATARIUM_WALLET_PASSWORD');
+  }
+  
+  if (!confirm) {
+    const { password } = await prompt([
+      {
+        type: 'password',
+        name: 'password',
+        message: 'Wallet password:',
+        mask: '*',
+      },
+    ]);
+    return password;
+  }
+  
+  const { password } = await prompt([
+    {
+      type: 'password',
+      name: 'password',
+      message: 'Wallet password:',
+      mask: '*',
+      validate: (input) => input.length >= 8 || 'Password must be at least 8 characters',
+    },
+    {
+      type: 'password',
+      name: 'confirm',
+      message: 'Confirm password:',
+      mask: '*',
+      validate: (input, answers) => input === answers.password || 'Passwords do not match',
+    },
+  ]);
+  return password;
+}
+
+/**
+ * Find and load a wallet for non-interactive commands, asking for its password if encrypted
+ * @param {string} nameOrFile - Wallet name or filename
+ * @param {Object} options - Command options (--password-file)
+ * @returns {Promise<Object>} Loaded wallet
+ */
+async function unlockWallet(nameOrFile, options) {
+  const info = await walletManager.findWallet(nameOrFile);
+  const password = info.encrypted ? await resolvePassword(options, { confirm: false }) : undefined;
+  return walletManager.loadWallet(info.filename, password);
+}
+
 // CLI Program
 const program = new Command();
 
 program
   .name('platarium-wallet')
   .description('Platarium Wallet CLI - Node.js CLI using Rust Core and Go RPC server')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('--json', 'Print a single JSON document on stdout (diagnostics go to stderr)')
+  .option('--network <name>', 'Network profile to use (see `networks`, default: config.network)')
+  .option('--config <path>', 'User configuration file (default: $XDG_CONFIG_HOME/platarium/config.json)')
+  .option('--rest-url <url>', 'REST API URL of the network (overrides the profile)')
+  .option('--ws-url <url>', 'WebSocket URL of the network (overrides the profile)')
+  .option('--data-dir <path>', 'Directory for wallets, messages and pending transactions');
+
+// Usage errors must produce a JSON document too
+if (isJsonOutput()) {
+  program.exitOverride();
+}
 
 // Interactive mode (default)
 program
@@ -72,17 +217,25 @@ program
   .alias('i')
   .description('Start interactive CLI')
   .action(async () => {
+    if (isJsonOutput()) {
+      await fail('Interactive mode is not available', new Error('--json only works with commands'));
+    }
+    
     try {
       // Check REST API connection (uses domain)
-      console.log(chalk.cyan(`Checking REST API: ${config.server.rest.baseUrl}...`));
+      print(chalk.cyan(`Network: ${network.label} (${network.name})`));
+      print(chalk.cyan(`Checking REST API: ${serverClient.restBaseUrl}...`));
       await serverClient.healthCheck();
-      console.log(chalk.green('✓ REST API is accessible!\n'));
+      print(chalk.green('✓ REST API is accessible!\n'));
+      
+      // Transactions left pending by an earlier session
+      await interactiveCLI.reconcilePendingTransactions();
       
       // Connect to WebSocket (uses IP)
-      console.log(chalk.cyan(`Connecting to WebSocket: ${config.server.websocket.url}...`));
+      print(chalk.cyan(`Connecting to WebSocket: ${serverClient.wsUrl}...`));
       try {
         await serverClient.connectWebSocket();
-        console.log(chalk.green('✓ WebSocket connected!\n'));
+        print(chalk.green('✓ WebSocket connected!\n'));
         
         // Message handler is already set globally above
         
@@ -91,22 +244,23 @@ program
         if (currentWallet) {
           try {
             await serverClient.registerAddress(currentWallet.address);
-            console.log(chalk.green(`✓ Registered address: ${currentWallet.address}\n`));
+            print(chalk.green(`✓ Registered address: ${currentWallet.address}\n`));
           } catch (regError) {
-            console.log(chalk.yellow(`⚠️  Address registration failed: ${regError.message}\n`));
+            print(chalk.yellow(`⚠️  Address registration failed: ${regError.message}\n`));
           }
         }
       } catch (wsError) {
-        console.log(chalk.yellow(`⚠️  WebSocket connection failed: ${wsError.message}`));
-        console.log(chalk.yellow('   Continuing with REST API only...\n'));
+        print(chalk.yellow(`⚠️  WebSocket connection failed: ${wsError.message}`));
+        print(chalk.yellow('   Continuing with REST API only...\n'));
       }
       
       await interactiveCLI.run();
+      await client.close();
     } catch (error) {
       console.error(chalk.red(`\n✗ Failed to connect to server: ${error.message}`));
       console.error(chalk.yellow(`Make sure the Go server is running`));
-      console.error(chalk.yellow(`  REST API: ${config.server.rest.baseUrl}`));
-      console.error(chalk.yellow(`  WebSocket: ${config.server.websocket.url}`));
+      console.error(chalk.yellow(`  REST API: ${serverClient.restBaseUrl}`));
+      console.error(chalk.yellow(`  WebSocket: ${serverClient.wsUrl}`));
       process.exit(1);
     }
   });
@@ -117,21 +271,31 @@ program
   .description('Create a new wallet')
   .option('-n, --name <name>', 'Wallet name')
   .option('-i, --index <index>', 'Seed index', '0')
+  .option('--password-file <path>', 'Read wallet password from file (or set PLATARIUM_WALLET_PASSWORD)')
   .action(async (options) => {
     const name = options.name || `wallet_${Date.now()}`;
     const seedIndex = parseInt(options.index, 10);
     
     try {
-      const wallet = await walletManager.createWallet(name, seedIndex);
-      console.log(chalk.green('\n✓ Wallet created successfully!'));
-      console.log(chalk.cyan(`  Name: ${wallet.name}`));
-      console.log(chalk.cyan(`  Address: ${wallet.address}`));
-      console.log(chalk.yellow(`\n⚠️  IMPORTANT: Save your mnemonic phrase securely!`));
-      console.log(chalk.white(`  Mnemonic: ${wallet.mnemonic}`));
-      console.log(chalk.white(`  Alphanumeric: ${wallet.alphanumeric}`));
+      const password = await resolvePassword(options);
+      const wallet = await walletManager.createWallet(name, seedIndex, password);
+      emit({
+        name: wallet.name,
+        address: wallet.address,
+        filename: wallet.filename,
+        derivationPath: wallet.derivationPath,
+        mnemonic: wallet.mnemonic,
+        alphanumeric: wallet.alphanumeric,
+      }, () => {
+        print(chalk.green('\n✓ Wallet created successfully!'));
+        print(chalk.cyan(`  Name: ${wallet.name}`));
+        print(chalk.cyan(`  Address: ${wallet.address}`));
+        print(chalk.yellow(`\n⚠️  IMPORTANT: Save your mnemonic phrase securely!`));
+        print(chalk.white(`  Mnemonic: ${wallet.mnemonic}`));
+        print(chalk.white(`  Alphanumeric: ${wallet.alphanumeric}`));
+      });
     } catch (error) {
-      console.error(chalk.red(`Failed to create wallet: ${error.message}`));
-      process.exit(1);
+      await fail('Failed to create wallet', error);
     }
   });
 
@@ -143,22 +307,31 @@ program
   .requiredOption('-m, --mnemonic <mnemonic>', 'BIP39 mnemonic phrase')
   .requiredOption('-a, --alphanumeric <code>', 'Alphanumeric code')
   .option('-i, --index <index>', 'Seed index', '0')
+  .option('--password-file <path>', 'Read wallet password from file (or set PLATARIUM_WALLET_PASSWORD)')
   .action(async (options) => {
     const seedIndex = parseInt(options.index, 10);
     
     try {
+      const password = await resolvePassword(options);
       const wallet = await walletManager.restoreWallet(
         options.name,
         options.mnemonic,
         options.alphanumeric,
-        seedIndex
+        seedIndex,
+        password
       );
-      console.log(chalk.green('\n✓ Wallet restored successfully!'));
-      console.log(chalk.cyan(`  Name: ${wallet.name}`));
-      console.log(chalk.cyan(`  Address: ${wallet.address}`));
+      emit({
+        name: wallet.name,
+        address: wallet.address,
+        filename: wallet.filename,
+        derivationPath: wallet.derivationPath,
+      }, () => {
+        print(chalk.green('\n✓ Wallet restored successfully!'));
+        print(chalk.cyan(`  Name: ${wallet.name}`));
+        print(chalk.cyan(`  Address: ${wallet.address}`));
+      });
     } catch (error) {
-      console.error(chalk.red(`Failed to restore wallet: ${error.message}`));
-      process.exit(1);
+      await fail('Failed to restore wallet', error);
     }
   });
 
@@ -168,38 +341,624 @@ program
   .description('List all wallets')
   .action(async () => {
     try {
-      const wallets = await walletManager.listWallets();
+      const { wallets, corrupted } = await walletManager.scanWallets();
       
-      if (wallets.length === 0) {
-        console.log(chalk.yellow('No wallets found.'));
-        return;
+      emit({ wallets, corrupted }, () => {
+        if (wallets.length === 0) {
+          print(chalk.yellow('No wallets found.'));
+        } else {
+          print(chalk.green('\n📂 Wallets:'));
+          wallets.forEach((w, i) => {
+            const marker = w.watchOnly
+              ? chalk.magenta(' (watch-only)')
+              : (w.encrypted ? '' : chalk.yellow(' (unencrypted)'));
+            print(chalk.cyan(`  ${i + 1}. ${w.name}${marker}`));
+            print(chalk.white(`     Address: ${w.address}`));
+            print(chalk.gray(`     Created: ${w.createdAt}`));
+          });
+        }
+        
+        if (corrupted.length > 0) {
+          print(chalk.red(`\n⚠️  ${corrupted.length} wallet file(s) could not be read:`));
+          corrupted.forEach(c => print(chalk.red(`     ${c.filename}: ${c.error}`)));
+        }
+      });
+    } catch (error) {
+      await fail('Failed to list wallets', error);
+    }
+  });
+
+// Watch-only wallet
+program
+  .command('watch')
+  .description('Add a watch-only wallet (address only, cannot sign)')
+  .requiredOption('-n, --name <name>', 'Wallet label')
+  .requiredOption('-a, --address <address>', 'Address to watch')
+  .action(async (options) => {
+    try {
+      const wallet = await walletManager.addWatchWallet(options.name, options.address);
+      emit({ name: wallet.name, address: wallet.address, filename: wallet.filename }, () => {
+        print(chalk.green('\n✓ Watch-only wallet added!'));
+        print(chalk.cyan(`  Name: ${wallet.name}`));
+        print(chalk.cyan(`  Address: ${wallet.address}`));
+      });
+    } catch (error) {
+      await fail('Failed to add watch-only wallet', error);
+    }
+  });
+
+// Migrate legacy wallet files
+program
+  .command('migrate-wallets')
+  .description('Migrate legacy plaintext wallet files to the encrypted keystore format')
+  .option('--password-file <path>', 'Read wallet password from file (or set PLATARIUM_WALLET_PASSWORD)')
+  .option('--no-encrypt', 'Rewrite into the versioned schema without encrypting secrets')
+  .option('--no-backup', 'Do not keep a backup copy of the original files')
+  .action(async (options) => {
+    try {
+      const password = options.encrypt ? await resolvePassword(options) : null;
+      if (!password) {
+        print(chalk.yellow('⚠️  Secrets will stay unencrypted in the migrated wallet files.'));
       }
       
-      console.log(chalk.green('\n📂 Wallets:'));
-      wallets.forEach((w, i) => {
-        console.log(chalk.cyan(`  ${i + 1}. ${w.name}`));
-        console.log(chalk.white(`     Address: ${w.address}`));
-        console.log(chalk.gray(`     Created: ${w.createdAt}`));
+      const result = await walletManager.migrateWallets({ password, backup: options.backup });
+      
+      emit(result, () => {
+        print(chalk.green(`\n✓ Migrated: ${result.migrated.length}`));
+        result.migrated.forEach(m => print(chalk.white(`     ${m.filename} (${m.name})`)));
+        
+        print(chalk.cyan(`  Skipped: ${result.skipped.length}`));
+        result.skipped.forEach(s => print(chalk.gray(`     ${s.filename}: ${s.reason}`)));
+        
+        if (result.corrupted.length > 0) {
+          print(chalk.red(`  Corrupted: ${result.corrupted.length}`));
+          result.corrupted.forEach(c => print(chalk.red(`     ${c.filename}: ${c.error}`)));
+        }
+        
+        const backups = result.migrated.filter(m => m.backup);
+        if (backups.length > 0) {
+          print(chalk.yellow('\n⚠️  Backups of the original files hold the secrets in plaintext:'));
+          backups.forEach(m => print(chalk.yellow(`     ${m.backup}`)));
+          print(chalk.yellow('   Delete them once the migrated wallets load correctly.'));
+        }
       });
+      
+      if (result.corrupted.length > 0) {
+        process.exitCode = 1;
+      }
     } catch (error) {
-      console.error(chalk.red(`Failed to list wallets: ${error.message}`));
-      process.exit(1);
+      await fail('Failed to migrate wallets', error);
+    }
+  });
+
+// Accounts (derived from the wallet mnemonic)
+const accountsCommand = program
+  .command('accounts')
+  .description('Manage derived accounts of a wallet');
+
+accountsCommand
+  .command('list')
+  .description('List accounts of a wallet')
+  .requiredOption('-w, --wallet <name|file>', 'Wallet name or filename')
+  .action(async (options) => {
+    try {
+      const info = await walletManager.findWallet(options.wallet);
+      const accounts = await walletManager.listAccounts(info.filename);
+      
+      emit({ wallet: info.filename, accounts }, () => {
+        print(chalk.green(`\n👥 Accounts of ${info.name}:`));
+        accounts.forEach((a) => {
+          print(chalk.cyan(`  ${a.active ? '●' : ' '} #${a.index} ${a.label}`));
+          print(chalk.white(`     Address: ${a.address}`));
+          print(chalk.gray(`     Path: ${a.derivationPath}`));
+        });
+      });
+    } catch (error) {
+      await fail('Failed to list accounts', error);
+    }
+  });
+
+accountsCommand
+  .command('add')
+  .description('Derive the next account of a wallet')
+  .requiredOption('-w, --wallet <name|file>', 'Wallet name or filename')
+  .option('-l, --label <label>', 'Account label')
+  .option('--password-file <path>', 'Read wallet password from file (or set PLATARIUM_WALLET_PASSWORD)')
+  .action(async (options) => {
+    try {
+      await unlockWallet(options.wallet, options);
+      const account = await walletManager.addAccount(options.label);
+      emit({ account }, () => {
+        print(chalk.green(`\n✓ Account #${account.index} added`));
+        print(chalk.cyan(`  Label: ${account.label}`));
+        print(chalk.cyan(`  Address: ${account.address}`));
+        print(chalk.gray(`  Path: ${account.derivationPath}`));
+      });
+    } catch (error) {
+      await fail('Failed to add account', error);
+    }
+  });
+
+accountsCommand
+  .command('label')
+  .description('Rename an account')
+  .requiredOption('-w, --wallet <name|file>', 'Wallet name or filename')
+  .requiredOption('-i, --index <index>', 'Account index')
+  .requiredOption('-l, --label <label>', 'New label')
+  .action(async (options) => {
+    try {
+      const info = await walletManager.findWallet(options.wallet);
+      const account = await walletManager.labelAccount(parseInt(options.index, 10), options.label, info.filename);
+      emit({ account }, () => {
+        print(chalk.green(`✓ Account #${account.index} renamed to ${account.label}`));
+      });
+    } catch (error) {
+      await fail('Failed to rename account', error);
     }
   });
 
+accountsCommand
+  .command('use')
+  .description('Set the active account of a wallet')
+  .requiredOption('-w, --wallet <name|file>', 'Wallet name or filename')
+  .requiredOption('-i, --index <index>', 'Account index')
+  .action(async (options) => {
+    try {
+      const info = await walletManager.findWallet(options.wallet);
+      const account = await walletManager.selectAccount(parseInt(options.index, 10), info.filename);
+      emit({ account }, () => {
+        print(chalk.green(`✓ Active account: ${account.label} (#${account.index})`));
+        print(chalk.cyan(`  Address: ${account.address}`));
+      });
+    } catch (error) {
+      await fail('Failed to switch account', error);
+    }
+  });
+
+/**
+ * Resolve the address for read-only commands from --address or --wallet
+ * (reads wallet metadata only, so no password is needed)
+ * @param {Object} options - Command options
+ * @returns {Promise<string>} Address
+ */
+async function resolveAddress(options) {
+  if (options.address) {
+    return options.address;
+  }
+  if (options.wallet) {
+    const info = await walletManager.findWallet(options.wallet);
+    assertNetwork(info, network.name, `Wallet "${info.name}"`);
+    return info.address;
+  }
+  throw new Error('Specify --address or --wallet');
+}
+
+/**
+ * Print nonce gaps and stuck transactions reported by the nonce tracker
+ * @param {Object} status - Result of NonceTracker.reconcile()
+ */
+function reportNonceStatus({ gaps, stuck }) {
+  if (gaps.length > 0) {
+    print(chalk.yellow(`⚠️  Nonce gap: ${gaps.join(', ')} never reached the chain, later transactions are blocked`));
+    print(chalk.yellow(`   Resend with --nonce ${gaps[0]} to fill the gap`));
+  }
+  stuck.forEach((entry) => {
+    print(chalk.yellow(`⚠️  Transaction with nonce ${entry.nonce} pending since ${entry.submittedAt}: ${entry.hash || 'no hash'}`));
+  });
+}
+
+/**
+ * Parse the --timeout option of --wait
+ * @param {string|undefined} value - Seconds as given on the command line
+ * @returns {number|undefined} Milliseconds, undefined for the configured default
+ * @throws {Error} If the value is not a number of seconds above 0
+ */
+function parseTimeout(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const seconds = Number(value);
+  if (!Number.isFinite(seconds) || seconds <= 0) {
+    throw new Error(`Timeout must be a number of seconds above 0: ${value}`);
+  }
+  return seconds * 1000;
+}
+
+/**
+ * Parse the --nonce option
+ * @param {string|undefined} value - Nonce as given on the command line
+ * @returns {number|undefined} Nonce, undefined for the next nonce from the network
+ * @throws {Error} If the value is not a non-negative integer
+ */
+function parseNonce(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Nonce must be a non-negative integer: ${value}`);
+  }
+  return Number(value);
+}
+
+/**
+ * Wait for a broadcast transaction to be included (--wait)
+ * Exits with the given code unless the transaction is confirmed.
+ * @param {Object} transaction - Submitted transaction
+ * @param {string} hash - Transaction hash
+ * @param {number|undefined} timeout - Milliseconds (see parseTimeout), undefined for the configured default
+ * @param {number} exitCode - Exit code if not confirmed
+ * @returns {Promise<Object>} Confirmed transaction as returned by the server
+ */
+async function waitForConfirmation(transaction, hash, timeout, exitCode) {
+  if (!hash) {
+    return fail('Cannot wait for confirmation', new Error('server returned no transaction hash'), exitCode);
+  }
+  
+  print(chalk.cyan('\n⏳ Waiting for confirmation...'));
+  const result = await confirmationTracker.waitForConfirmation(transaction, hash, { timeout });
+  
+  if (result.state === 'failed') {
+    const reason = result.transaction?.error || result.transaction?.status;
+    return fail('Transaction failed', new Error(reason), exitCode, { hash, state: result.state });
+  }
+  if (result.state !== 'confirmed') {
+    const reason = result.lastError
+      ? `still pending, last error: ${result.lastError.message}`
+      : 'still pending';
+    return fail('Timed out waiting for confirmation', new Error(reason), exitCode, { hash, state: result.state });
+  }
+  
+  const block = result.transaction?.blockNumber ?? result.transaction?.block;
+  print(chalk.green(`✓ Transaction confirmed${block !== undefined ? ` in block ${block}` : ''}`));
+  return result.transaction;
+}
+
+/**
+ * Work out the nonce for the next transaction of an address
+ * @param {string} address - Sender address
+ * @returns {Promise<number>} Next nonce
+ */
+async function resolveNonce(address) {
+  const chainNonce = await serverClient.getNextNonce(address);
+  const status = await nonceTracker.reconcile(address, chainNonce);
+  reportNonceStatus(status);
+  return status.nextNonce;
+}
+
 // Balance
 program
   .command('balance')
   .description('Check wallet balance')
-  .requiredOption('-a, --address <address>', 'Wallet address')
+  .option('-a, --address <address>', 'Wallet address')
+  .option('-w, --wallet <name|file>', 'Wallet name or filename (including watch-only wallets)')
   .action(async (options) => {
     try {
-      const balance = await serverClient.getBalance(options.address);
-      console.log(chalk.green(`\n💰 Balance: ${balance} PLT`));
-      console.log(chalk.cyan(`   Address: ${options.address}`));
+      const address = await resolveAddress(options);
+      const balance = formatBalance(await serverClient.getBalance(address), decimals);
+      emit({ address, balance }, () => {
+        print(chalk.green(`\n💰 Balance: ${balance} PLT`));
+        print(chalk.cyan(`   Address: ${address}`));
+      });
     } catch (error) {
-      console.error(chalk.red(`Failed to get balance: ${error.message}`));
-      process.exit(1);
+      await fail('Failed to get balance', error);
+    }
+  });
+
+// Transaction history
+program
+  .command('transactions')
+  .description('Show transaction history of an address')
+  .option('-a, --address <address>', 'Wallet address')
+  .option('-w, --wallet <name|file>', 'Wallet name or filename (including watch-only wallets)')
+  .action(async (options) => {
+    try {
+      const address = await resolveAddress(options);
+      const transactions = await serverClient.getTransactions(address);
+      
+      emit({ address, transactions }, () => {
+        if (transactions.length === 0) {
+          print(chalk.yellow('No transactions found.'));
+          return;
+        }
+        
+        print(chalk.green(`\n📜 Transactions (${transactions.length}):`));
+        transactions.forEach((tx, i) => {
+          print(chalk.cyan(`\n  ${i + 1}. ${tx.hash || 'N/A'}`));
+          print(chalk.white(`     From: ${tx.from}`));
+          print(chalk.white(`     To: ${tx.to}`));
+          print(chalk.white(`     Amount: ${formatBalance(tx.value, decimals)} PLT`));
+          print(chalk.gray(`     Time: ${new Date(tx.timestamp * 1000).toLocaleString()}`));
+        });
+      });
+    } catch (error) {
+      await fail('Failed to get transactions', error);
+    }
+  });
+
+// Nonce status
+program
+  .command('nonce')
+  .description('Show the next nonce, pending transactions, nonce gaps and stuck transactions')
+  .option('-a, --address <address>', 'Wallet address')
+  .option('-w, --wallet <name|file>', 'Wallet name or filename')
+  .action(async (options) => {
+    try {
+      const address = await resolveAddress(options);
+      const chainNonce = await serverClient.getNextNonce(address);
+      const status = await nonceTracker.reconcile(address, chainNonce);
+      
+      emit({ address, chainNonce, ...status }, () => {
+        print(chalk.green(`\n🔢 Nonces of ${address}:`));
+        print(chalk.cyan(`  Next nonce on chain: ${chainNonce}`));
+        print(chalk.cyan(`  Next nonce to use: ${status.nextNonce}`));
+        if (status.pending.length > 0) {
+          print(chalk.white(`  Pending (${status.pending.length}):`));
+          status.pending.forEach((entry) => {
+            print(chalk.white(`    #${entry.nonce} ${entry.amount} PLT to ${entry.to} (${entry.submittedAt})`));
+          });
+        }
+        reportNonceStatus(status);
+      });
+    } catch (error) {
+      await fail('Failed to get nonce status', error);
+    }
+  });
+
+// Exit codes of the send command, so scripts can tell failures apart
+const EXIT_VALIDATION = 2;
+const EXIT_SIGNING = 3;
+const EXIT_NETWORK = 4;
+const EXIT_NOT_CONFIRMED = 5;
+
+/**
+ * Run one stage of a command, exiting with the given code if it fails
+ * @param {number} exitCode - Exit code on failure
+ * @param {string} label - Failure message prefix
+ * @param {Function} fn - Stage to run
+ * @returns {Promise<*>} Stage result
+ */
+async function stage(exitCode, label, fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    return fail(label, error, exitCode);
+  }
+}
+
+// Send (sign and broadcast in one step, for scripts)
+program
+  .command('send')
+  .description('Sign and broadcast a transaction')
+  .requiredOption('-w, --wallet <name|file>', 'Sender wallet name or filename')
+  .requiredOption('-t, --to <address>', 'Recipient address')
+  .requiredOption('--amount <amount>', 'Amount in PLT')
+  .option('--nonce <nonce>', 'Transaction nonce (default: next nonce from the network)')
+  .option('--password-file <path>', 'Read wallet password from file (or set PLATARIUM_WALLET_PASSWORD)')
+  .option('-y, --yes', 'Send without asking for confirmation (required without a terminal)')
+  .option('--wait', 'Wait until the transaction is included')
+  .option('--timeout <seconds>', 'How long to wait with --wait (default: transactions.confirmationTimeout)')
+  .action(async (options) => {
+    const timeout = await stage(EXIT_VALIDATION, 'Invalid option', () => parseTimeout(options.timeout));
+    const info = await stage(EXIT_VALIDATION, 'Invalid transaction', async () => {
+      if (!isValidAddress(options.to)) {
+        throw new Error(`Invalid recipient address: ${options.to}`);
+      }
+      parsePositiveAmount(options.amount, decimals);
+      parseNonce(options.nonce);
+      if (!options.yes && !process.stdin.isTTY) {
+        throw new Error('No terminal to confirm the transaction, pass --yes');
+      }
+      
+      const wallet = await walletManager.findWallet(options.wallet);
+      assertNetwork(wallet, network.name, `Wallet "${wallet.name}"`);
+      if (wallet.watchOnly) {
+        throw new Error(`Wallet "${wallet.name}" is watch-only and cannot send transactions`);
+      }
+      return wallet;
+    });
+    
+    const nonce = options.nonce !== undefined
+      ? parseNonce(options.nonce)
+      : await stage(EXIT_NETWORK, 'Failed to fetch nonce', () => resolveNonce(info.address));
+    
+    const transaction = {
+      from: info.address,
+      to: options.to,
+      // Canonical form (e.g. 1.50 -> 1.5): shown, signed and tracked the same way
+      amount: normalizeAmount(options.amount, decimals),
+      nonce,
+      timestamp: Date.now(),
+      type: 'transfer',
+    };
+    
+    print(chalk.green('\n📤 Transaction:'));
+    print(chalk.cyan(`  Network: ${network.label} (${network.name})`));
+    print(chalk.cyan(`  From: ${transaction.from} (${info.name})`));
+    print(chalk.cyan(`  To: ${transaction.to}`));
+    print(chalk.cyan(`  Amount: ${transaction.amount} PLT`));
+    print(chalk.cyan(`  Nonce: ${transaction.nonce}`));
+    
+    if (!options.yes) {
+      const { confirm } = await prompt([
+        {
+          type: 'confirm',
+          name: 'confirm',
+          message: 'Send this transaction?',
+          default: false,
+        },
+      ]);
+      if (!confirm) {
+        emit({ cancelled: true }, () => print(chalk.yellow('Cancelled.')));
+        return;
+      }
+    }
+    
+    const signedTx = await stage(EXIT_SIGNING, 'Failed to sign transaction', async () => {
+      await unlockWallet(info.filename, options);
+      return walletManager.signTransaction(transaction);
+    });
+    
+    const result = await stage(EXIT_NETWORK, 'Failed to broadcast transaction', () => serverClient.sendTransaction(signedTx));
+    const hash = result.transaction?.hash;
+    await trackSentTransaction(nonceTracker, signedTx, hash);
+    
+    print(chalk.green('\n✓ Transaction sent!'));
+    print(chalk.cyan(`  Hash: ${hash || 'N/A'}`));
+    
+    const receipt = options.wait
+      ? await waitForConfirmation(signedTx, hash, timeout, EXIT_NOT_CONFIRMED)
+      : null;
+    emit({ hash: hash || null, transaction: signedTx, confirmed: Boolean(receipt), receipt });
+  });
+
+// Offline (air-gapped) transactions: create online, sign offline, broadcast online
+const txCommand = program
+  .command('tx')
+  .description('Offline transaction workflow (create, sign, broadcast)');
+
+/**
+ * Print the human-readable part of a transaction file
+ * @param {Object} file - Transaction file object
+ */
+function printTransactionFile(file) {
+  print(chalk.cyan(`  Status: ${file.status}`));
+  print(chalk.cyan(`  Network: ${recordNetwork(file)}`));
+  print(chalk.cyan(`  From: ${file.transaction.from}`));
+  print(chalk.cyan(`  To: ${file.transaction.to}`));
+  print(chalk.cyan(`  Amount: ${normalizeAmount(file.transaction.amount, decimals)} PLT`));
+  print(chalk.cyan(`  Nonce: ${file.transaction.nonce}`));
+  print(chalk.gray(`  Checksum: ${file.checksum}`));
+}
+
+txCommand
+  .command('create')
+  .description('Create an unsigned transaction file (no keys needed)')
+  .option('-f, --from <address>', 'Sender address')
+  .option('-w, --wallet <name|file>', 'Sender wallet name or filename (watch-only wallets work)')
+  .requiredOption('-t, --to <address>', 'Recipient address')
+  .requiredOption('--amount <amount>', 'Amount in PLT')
+  .option('--nonce <nonce>', 'Transaction nonce (default: next nonce from the network)')
+  .option('-o, --out <file>', 'Output file (default: tx_<timestamp>.unsigned.json)')
+  .action(async (options) => {
+    const nonce = await stage(EXIT_VALIDATION, 'Invalid option', () => parseNonce(options.nonce));
+    try {
+      const from = await resolveAddress({ address: options.from, wallet: options.wallet });
+      const file = createUnsignedTransaction({
+        network: network.name,
+        from,
+        to: options.to,
+        amount: options.amount,
+        nonce: nonce ?? await resolveNonce(from),
+        decimals,
+      });
+      
+      const out = options.out || `tx_${file.transaction.timestamp}.unsigned.json`;
+      await writeTransactionFile(out, file);
+      
+      emit({ path: out, file }, () => {
+        print(chalk.green(`\n✓ Unsigned transaction written to ${out}`));
+        printTransactionFile(file);
+        print(chalk.yellow('\n  Copy this file to the offline machine and run `tx sign`.'));
+      });
+    } catch (error) {
+      await fail('Failed to create transaction', error);
+    }
+  });
+
+txCommand
+  .command('sign <file>')
+  .description('Sign a transaction file with a local wallet (works offline)')
+  .requiredOption('-w, --wallet <name|file>', 'Wallet name or filename')
+  .option('--password-file <path>', 'Read wallet password from file (or set PLATARIUM_WALLET_PASSWORD)')
+  .option('-o, --out <file>', 'Output file (default: <file> with .signed.json)')
+  .option('-y, --yes', 'Sign without asking for confirmation')
+  .action(async (file, options) => {
+    try {
+      const txFile = await readTransactionFile(file, decimals);
+      assertNetwork(txFile, network.name, 'Transaction file');
+      print(chalk.green('\n📄 Transaction to sign:'));
+      print(chalk.white(`  ${txFile.summary}`));
+      printTransactionFile(txFile);
+      
+      if (!options.yes) {
+        const { confirm } = await prompt([
+          {
+            type: 'confirm',
+            name: 'confirm',
+            message: 'Sign this transaction?',
+            default: false,
+          },
+        ]);
+        if (!confirm) {
+          emit({ cancelled: true }, () => print(chalk.yellow('Cancelled.')));
+          return;
+        }
+      }
+      
+      await unlockWallet(options.wallet, options);
+      const signedTx = await walletManager.signTransaction(txFile.transaction);
+      const signedFile = attachSignature(txFile, signedTx);
+      
+      const out = options.out || file.replace(/(\.unsigned)?\.json$/, '') + '.signed.json';
+      await writeTransactionFile(out, signedFile);
+      
+      emit({ path: out, file: signedFile }, () => {
+        print(chalk.green(`\n✓ Signed transaction written to ${out}`));
+        print(chalk.yellow('  Copy this file to an online machine and run `tx broadcast`.'));
+      });
+    } catch (error) {
+      await fail('Failed to sign transaction', error);
+    }
+  });
+
+txCommand
+  .command('broadcast <file>')
+  .description('Submit a signed transaction file to the network')
+  .option('--wait', 'Wait until the transaction is included')
+  .option('--timeout <seconds>', 'How long to wait with --wait (default: transactions.confirmationTimeout)')
+  .action(async (file, options) => {
+    const timeout = await stage(EXIT_VALIDATION, 'Invalid option', () => parseTimeout(options.timeout));
+    try {
+      const txFile = await readTransactionFile(file, decimals);
+      assertNetwork(txFile, network.name, 'Transaction file');
+      const signedTx = toSignedTransaction(txFile);
+      
+      print(chalk.white(`\n  ${txFile.summary}`));
+      
+      const chainNonce = await serverClient.getNextNonce(signedTx.from);
+      if (signedTx.nonce < chainNonce) {
+        throw new Error(`Nonce ${signedTx.nonce} was already used (next nonce is ${chainNonce}), create a new transaction`);
+      }
+      
+      const result = await serverClient.sendTransaction(signedTx);
+      const hash = result.transaction?.hash;
+      await trackSentTransaction(nonceTracker, signedTx, hash);
+      
+      print(chalk.green('\n✓ Transaction broadcast!'));
+      print(chalk.cyan(`  Hash: ${hash || 'N/A'}`));
+      
+      const receipt = options.wait
+        ? await waitForConfirmation(signedTx, hash, timeout, 1)
+        : null;
+      emit({ hash: hash || null, transaction: signedTx, confirmed: Boolean(receipt), receipt });
+    } catch (error) {
+      await fail('Failed to broadcast transaction', error);
+    }
+  });
+
+txCommand
+  .command('show <file>')
+  .description('Verify a transaction file and show its contents')
+  .action(async (file) => {
+    try {
+      const txFile = await readTransactionFile(file, decimals);
+      emit({ path: file, file: txFile }, () => {
+        print(chalk.green('\n📄 Transaction file (checksum OK):'));
+        print(chalk.white(`  ${txFile.summary}`));
+        printTransactionFile(txFile);
+      });
+    } catch (error) {
+      await fail('Invalid transaction file', error);
     }
   });
 
@@ -207,39 +966,153 @@ program
 program
   .command('status')
   .description('Get network status')
-  .action(async () => {
+  .option('--endpoints', 'Probe the configured RPC endpoints and show which one is in use')
+  .action(async (options) => {
+    if (options.endpoints) {
+      const pool = await serverClient.getEndpointStatus();
+      emit({ network: network.name, ...pool }, () => {
+        print(chalk.green(`\n🛰️  Endpoints of ${network.label} (${network.name}):`));
+        pool.endpoints.forEach((e) => {
+          const latency = e.latency === null ? '-' : `${e.latency} ms`;
+          const line = `  ${e.active ? '●' : '○'} ${e.rest}  ${latency}`;
+          print(e.healthy ? chalk.cyan(line) : chalk.yellow(line));
+          if (e.websocket) {
+            print(chalk.gray(`      WebSocket: ${e.websocket}`));
+          }
+          if (e.demoted) {
+            print(chalk.yellow(`      Demoted: ${e.demoted}`));
+          }
+        });
+        if (pool.lastSwitch) {
+          print(chalk.gray(`\n  Switched from ${pool.lastSwitch.from}: ${pool.lastSwitch.reason}`));
+        }
+        print(chalk.gray('\n  ● in use   ○ standby'));
+      });
+      if (!pool.endpoints.some(e => e.healthy)) {
+        process.exitCode = 1;
+      }
+      return;
+    }
+
     try {
       const status = await serverClient.getDetailedStatus();
-      console.log(chalk.green('\n🌐 Network Status:'));
-      console.log(chalk.cyan(`  Status: ${status.status}`));
-      console.log(chalk.cyan(`  Node ID: ${status.nodeId}`));
-      console.log(chalk.cyan(`  Connected Peers: ${status.connectedPeers}`));
-      console.log(chalk.cyan(`  Connected Clients: ${status.summary?.connectedClients || 0}`));
+      emit({ network: network.name, ...status }, () => {
+        print(chalk.green('\n🌐 Network Status:'));
+        print(chalk.cyan(`  Network: ${network.label} (${network.name})`));
+        print(chalk.cyan(`  Status: ${status.status}`));
+        print(chalk.cyan(`  Node ID: ${status.nodeId}`));
+        print(chalk.cyan(`  Connected Peers: ${status.connectedPeers}`));
+        print(chalk.cyan(`  Connected Clients: ${status.summary?.connectedClients || 0}`));
+      });
     } catch (error) {
-      console.error(chalk.red(`Failed to get network status: ${error.message}`));
-      process.exit(1);
+      await fail('Failed to get network status', error);
     }
   });
 
-// Parse arguments
-const args = process.argv.slice(2);
+// Configuration
+const configCommand = program
+  .command('config')
+  .description('Show and change settings (user configuration file)');
+
+configCommand
+  .command('list')
+  .description('List the effective settings and where they come from')
+  .action(() => {
+    const settings = flattenConfig(config).map(({ key, value }) => ({
+      key,
+      value,
+      source: configSources[key] || 'default',
+    }));
+    emit({ files: configFiles, settings }, () => {
+      print(chalk.green('\n⚙️  Configuration:'));
+      settings.forEach((s) => {
+        print(chalk.cyan(`  ${s.key} = ${JSON.stringify(s.value)}`) + chalk.gray(`  (${s.source})`));
+      });
+      print(chalk.gray(`\n  User file: ${configFiles.user}`));
+      print(chalk.gray(`  System file: ${configFiles.system}`));
+    });
+  });
 
-// If no arguments, default to interactive mode
-if (args.length === 0) {
+configCommand
+  .command('get <key>')
+  .description('Show a setting (e.g. transactions.pollInterval)')
+  .action(async (key) => {
+    try {
+      const value = getSetting(config, key);
+      emit({ key, value, source: configSources[key] || 'default' }, () => {
+        print(typeof value === 'object' && value !== null ? JSON.stringify(value, null, 2) : String(value));
+      });
+    } catch (error) {
+      await fail('Failed to read setting', error);
+    }
+  });
+
+configCommand
+  .command('set <key> <value>')
+  .description('Change a setting in the user configuration file ("null" clears URLs, paths and lists)')
+  .action(async (key, value) => {
+    try {
+      const result = await setUserSetting(key, value, { file: configFlags.config });
+      emit({ key, value: result.value, path: result.path }, () => {
+        print(chalk.green(`✓ ${key} = ${JSON.stringify(result.value)}`));
+        print(chalk.gray(`  Saved to ${result.path}`));
+      });
+    } catch (error) {
+      await fail('Failed to change setting', error);
+    }
+  });
+
+// Network profiles
+program
+  .command('networks')
+  .description('List network profiles')
+  .action(() => {
+    const networks = listNetworks(config).map((n) => {
+      const endpoints = networkEndpoints(n);
+      return {
+        name: n.name,
+        label: n.label || n.name,
+        chainId: n.chainId || n.name,
+        rest: endpoints[0]?.rest || null,
+        websocket: endpoints.find(e => e.websocket)?.websocket || null,
+        endpoints,
+        active: n.name === config.network,
+      };
+    });
+    emit({ networks }, () => {
+      print(chalk.green('\n🌐 Networks:'));
+      networks.forEach((n) => {
+        print(chalk.cyan(`  ${n.active ? '●' : ' '} ${n.name} - ${n.label}`));
+        print(chalk.white(`     Chain ID: ${n.chainId}`));
+        print(chalk.white(`     REST API: ${n.rest || chalk.yellow('not configured')}`));
+        print(chalk.white(`     WebSocket: ${n.websocket || chalk.yellow('not configured')}`));
+        if (n.endpoints.length > 1) {
+          print(chalk.white(`     Failover: ${n.endpoints.length - 1} more endpoint(s)`));
+        }
+      });
+    });
+  });
+
+// Without a command (only global options such as --network), default to interactive mode
+if (commandName === undefined && !args.some(arg => ['--json', '-h', '--help', '-V', '--version'].includes(arg))) {
   // Run interactive mode directly
   (async () => {
     // Try to connect to server, but don't fail if unavailable
     try {
       // Check REST API connection (uses domain)
-      console.log(chalk.cyan(`Checking REST API: ${config.server.rest.baseUrl}...`));
+      print(chalk.cyan(`Network: ${network.label} (${network.name})`));
+      print(chalk.cyan(`Checking REST API: ${serverClient.restBaseUrl}...`));
       await serverClient.healthCheck();
-      console.log(chalk.green('✓ REST API is accessible!\n'));
+      print(chalk.green('✓ REST API is accessible!\n'));
+      
+      // Transactions left pending by an earlier session
+      await interactiveCLI.reconcilePendingTransactions();
       
       // Connect to WebSocket (uses IP)
-      console.log(chalk.cyan(`Connecting to WebSocket: ${config.server.websocket.url}...`));
+      print(chalk.cyan(`Connecting to WebSocket: ${serverClient.wsUrl}...`));
       try {
         await serverClient.connectWebSocket();
-        console.log(chalk.green('✓ WebSocket connected!\n'));
+        print(chalk.green('✓ WebSocket connected!\n'));
         
         // Message handler is already set globally above
         
@@ -248,26 +1121,39 @@ if (args.length === 0) {
         if (currentWallet) {
           try {
             await serverClient.registerAddress(currentWallet.address);
-            console.log(chalk.green(`✓ Registered address: ${currentWallet.address}\n`));
+            print(chalk.green(`✓ Registered address: ${currentWallet.address}\n`));
           } catch (regError) {
-            console.log(chalk.yellow(`⚠️  Address registration failed: ${regError.message}\n`));
+            print(chalk.yellow(`⚠️  Address registration failed: ${regError.message}\n`));
           }
         }
       } catch (wsError) {
-        console.log(chalk.yellow(`⚠️  WebSocket connection failed: ${wsError.message}`));
-        console.log(chalk.yellow('   Continuing with REST API only...\n'));
+        print(chalk.yellow(`⚠️  WebSocket connection failed: ${wsError.message}`));
+        print(chalk.yellow('   Continuing with REST API only...\n'));
       }
     } catch (error) {
-      console.log(chalk.yellow(`⚠️  REST API connection failed: ${error.message}`));
-      console.log(chalk.yellow(`   You can still work with wallets offline.\n`));
-      console.log(chalk.yellow(`   REST API: ${config.server.rest.baseUrl}`));
-      console.log(chalk.yellow(`   WebSocket: ${config.server.websocket.url}\n`));
+      print(chalk.yellow(`⚠️  REST API connection failed: ${error.message}`));
+      print(chalk.yellow(`   You can still work with wallets offline.\n`));
+      print(chalk.yellow(`   REST API: ${serverClient.restBaseUrl}`));
+      print(chalk.yellow(`   WebSocket: ${serverClient.wsUrl}\n`));
     }
     
     // Run interactive CLI regardless of server connection
     await interactiveCLI.run();
+    await client.close();
   })();
 } else {
-  // Parse commands normally
-  program.parse();
+  // Parse commands normally, then shut down the client (Rust Core worker, WebSocket)
+  try {
+    await program.parseAsync();
+  } catch (error) {
+    // Usage errors only throw with --json (exitOverride); commander already printed them
+    if (error.code?.startsWith('commander.')) {
+      if (error.exitCode === 0) {
+        process.exit(0);
+      }
+      await fail('Invalid arguments', error, error.exitCode || 1);
+    }
+    await fail('Unexpected error', error);
+  }
+  await client?.close();
 }
@@ -2,15 +2,22 @@ import { readFile, writeFile, mkdir, readdir } from 'fs/promises';
 import { existsSync } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { LEGACY_NETWORK, recordNetwork } from '../core/networks.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 /**
  * Message Storage - Local P2P message storage
+ * Messages are tagged with the network they were received on and only
+ * messages of the active network are shown.
  */
 class MessageStorage {
-  constructor(storagePath = null) {
+  /**
+   * @param {string|null} storagePath - Messages directory
+   * @param {Object} options - { network }
+   */
+  constructor(storagePath = null, options = {}) {
     // Store messages inside walletPlatariumCLI directory
     if (!storagePath) {
       storagePath = path.join(path.dirname(__dirname), '../messages');
@@ -18,6 +25,16 @@ class MessageStorage {
     this.storagePath = path.resolve(storagePath);
     this.dialogsPath = path.join(this.storagePath, 'dialogs');
     this.contactsPath = path.join(this.storagePath, 'contacts.json');
+    this.network = options.network || LEGACY_NETWORK;
+  }
+
+  /**
+   * Messages of a dialog that belong to the active network
+   * @param {Object} dialog - Dialog object
+   * @returns {Array} Messages
+   */
+  networkMessages(dialog) {
+    return (dialog.messages || []).filter(m => m && recordNetwork(m) === this.network);
   }
 
   /**
@@ -112,6 +129,7 @@ class MessageStorage {
     
     const message = {
       id: `${timestamp}_${Math.random().toString(36).substr(2, 9)}`,
+      network: this.network,
       from,
       to,
       text,
@@ -164,17 +182,23 @@ class MessageStorage {
             }
           }
           
-          const lastMessage = dialog.messages && dialog.messages.length > 0 
-            ? dialog.messages[dialog.messages.length - 1]
+          const messages = this.networkMessages(dialog);
+          // Dialogs with messages on other networks only
+          if (messages.length === 0 && (dialog.messages || []).length > 0) {
+            continue;
+          }
+          const lastMessage = messages.length > 0
+            ? messages[messages.length - 1]
             : null;
           
           // Always add dialog if address is participant (including self-dialogs)
           if (otherParticipant || (dialog.participants.length > 0 && dialog.participants[0] === address)) {
             dialogs.push({
               ...dialog,
+              messages,
               otherParticipant: otherParticipant || address, // Use address if no other participant
               lastMessage,
-              unreadCount: (dialog.messages || []).filter(m => m && m.to === address && !m.read).length,
+              unreadCount: messages.filter(m => m.to === address && !m.read).length,
             });
           }
         }
@@ -204,7 +228,7 @@ class MessageStorage {
   async getMessages(address1, address2, limit = 50) {
     const dialog = await this.getDialog(address1, address2);
     // Sort messages by timestamp to ensure correct order
-    const sortedMessages = dialog.messages.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+    const sortedMessages = this.networkMessages(dialog).sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
     return sortedMessages.slice(-limit);
   }
 
@@ -218,7 +242,7 @@ class MessageStorage {
     const dialog = await this.getDialog(address1, address2);
     let updated = false;
 
-    for (const message of dialog.messages) {
+    for (const message of this.networkMessages(dialog)) {
       if (message.to === currentAddress && !message.read) {
         message.read = true;
         updated = true;
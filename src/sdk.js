@@ -0,0 +1,176 @@
+import path from 'path';
+import { createCryptoBackend } from './core/cryptoBackend.js';
+import { loadConfig } from './core/config.js';
+import { resolveNetwork } from './core/networks.js';
+import { tokenDecimals } from './wallet/amount.js';
+import ServerClient from './api/serverClient.js';
+import ConfirmationTracker from './api/confirmationTracker.js';
+import AccountEvents from './api/accountEvents.js';
+import WalletManager from './wallet/walletManager.js';
+import NonceTracker from './wallet/nonceTracker.js';
+import MessageStorage from './messaging/messageStorage.js';
+
+/**
+ * Platarium SDK - Programmatic entry point (the CLI in index.js is built on it)
+ *
+ * Importing this module has no side effects: nothing is read, connected or
+ * started until createPlatariumClient() is called.
+ *
+ *   import { createPlatariumClient } from './src/sdk.js';
+ *   const client = await createPlatariumClient({ network: 'local', paths: { data: '/var/lib/svc' } });
+ *   const balance = await client.serverClient.getBalance(address);
+ *   await client.close();
+ */
+
+export { default as ServerClient } from './api/serverClient.js';
+export { default as ConfirmationTracker } from './api/confirmationTracker.js';
+export { default as AccountEvents, ACCOUNT_EVENTS } from './api/accountEvents.js';
+export { default as WalletManager } from './wallet/walletManager.js';
+export { default as NonceTracker } from './wallet/nonceTracker.js';
+export { default as MessageStorage } from './messaging/messageStorage.js';
+export { default as RustCore } from './core/rustCore.js';
+export { default as JsCrypto } from './core/jsCrypto.js';
+export { createCryptoBackend } from './core/cryptoBackend.js';
+export { loadConfig, ConfigError } from './core/config.js';
+export { listNetworks, resolveNetwork, NetworkMismatchError } from './core/networks.js';
+export { RequestError, TimeoutError, NotFoundError, ServerError, NetworkError, TlsError, isRetryable } from './api/errors.js';
+export { isValidAddress } from './wallet/address.js';
+export { parseAmount, parsePositiveAmount, formatAmount, formatBalance, normalizeAmount, tokenDecimals } from './wallet/amount.js';
+
+/**
+ * Storage paths of a client: config.paths with the given overrides
+ * A new data directory moves every path that is not overridden itself.
+ * @param {Object} configured - config.paths
+ * @param {Object} overrides - { data, wallets, messages, transactions }
+ * @returns {Object} Paths
+ */
+function resolvePaths(configured = {}, overrides = {}) {
+  const paths = { ...configured };
+  if (overrides.data) {
+    const data = path.resolve(overrides.data);
+    Object.assign(paths, {
+      data,
+      wallets: path.join(data, 'wallets'),
+      messages: path.join(data, 'messages'),
+      transactions: path.join(data, 'transactions'),
+    });
+  }
+  for (const key of ['wallets', 'messages', 'transactions']) {
+    if (overrides[key]) {
+      paths[key] = path.resolve(overrides[key]);
+    }
+  }
+  return paths;
+}
+
+/**
+ * Platarium Client - The wallet components wired for one configuration
+ */
+export class PlatariumClient {
+  /**
+   * Use createPlatariumClient() instead of calling the constructor
+   * @param {Object} components - { config, network, crypto, ownsCrypto, serverClient, walletManager,
+   *   messageStorage, nonceTracker, confirmationTracker, accountEvents }
+   */
+  constructor(components) {
+    this.config = components.config;
+    this.network = components.network;
+    // Token precision of this client (config.token.decimals), for the amount helpers
+    this.decimals = tokenDecimals(components.config.token);
+    this.crypto = components.crypto;
+    this.ownsCrypto = components.ownsCrypto;
+    this.serverClient = components.serverClient;
+    this.walletManager = components.walletManager;
+    this.messageStorage = components.messageStorage;
+    this.nonceTracker = components.nonceTracker;
+    this.confirmationTracker = components.confirmationTracker;
+    this.accountEvents = components.accountEvents;
+  }
+
+  /**
+   * Switch every component to another network profile
+   * Wallets, pending transactions and messages of the previous network stay on
+   * disk but are no longer used; a loaded wallet of the previous network is unloaded.
+   * @param {string} name - Network name (see config.networks)
+   * @returns {Object} Resolved network profile
+   * @throws {Error} If the network is unknown, has no endpoints or an invalid TLS policy
+   */
+  setNetwork(name) {
+    const network = resolveNetwork(this.config, name);
+    this.serverClient.setNetwork(network);
+    this.accountEvents?.unwatchAll();
+    this.walletManager.setNetwork(network.name);
+    this.nonceTracker.network = network.name;
+    this.messageStorage.network = network.name;
+    this.network = network;
+    return network;
+  }
+
+  /**
+   * Stop background work and release resources
+   * Health checks, account notifications and the WebSocket are stopped; the
+   * crypto backend is closed unless it was passed in by the caller.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.accountEvents?.unwatchAll();
+    this.serverClient.stopHealthChecks();
+    this.serverClient.closeWebSocket();
+    if (this.ownsCrypto) {
+      await this.crypto.close();
+    }
+  }
+}
+
+/**
+ * Create a client: load the configuration and wire the wallet components
+ *
+ * Options:
+ *   config  - Complete configuration (as returned by loadConfig); loaded from the
+ *             defaults, config files and PLATARIUM_* variables when omitted
+ *   flags   - Overrides used when loading it ({ config, network, restUrl, wsUrl, dataDir })
+ *   env     - Environment used when loading it (default: process.env)
+ *   network - Network name, or a profile returned by resolveNetwork (default: config.network)
+ *   paths   - Storage overrides { data, wallets, messages, transactions }
+ *   crypto  - Crypto backend (RustCore, JsCrypto or compatible; default: config.crypto.backend)
+ * @param {Object} options - Options
+ * @returns {Promise<PlatariumClient>} Client
+ * @throws {ConfigError} If the configuration is invalid
+ * @throws {Error} If the network cannot be used or its TLS policy is invalid
+ */
+export async function createPlatariumClient(options = {}) {
+  const networkName = typeof options.network === 'string' ? options.network : undefined;
+  const loaded = options.config
+    ? options.config
+    : (await loadConfig({ flags: { ...options.flags, network: networkName ?? options.flags?.network }, env: options.env })).config;
+
+  const network = options.network && typeof options.network === 'object'
+    ? options.network
+    : resolveNetwork(loaded, networkName ?? loaded.network);
+  const config = { ...loaded, network: network.name, paths: resolvePaths(loaded.paths, options.paths) };
+
+  const serverClient = new ServerClient(network, {
+    health: config.health,
+    requests: config.requests,
+    reconnect: config.reconnect,
+  });
+  const crypto = options.crypto || createCryptoBackend(config);
+  const nonceTracker = new NonceTracker(config.paths.transactions, { ...config.transactions, network: network.name });
+
+  return new PlatariumClient({
+    config,
+    network,
+    crypto,
+    ownsCrypto: !options.crypto,
+    serverClient,
+    walletManager: new WalletManager(config, crypto),
+    messageStorage: new MessageStorage(config.paths.messages, { network: network.name }),
+    nonceTracker,
+    confirmationTracker: new ConfirmationTracker(serverClient, nonceTracker, config.transactions),
+    accountEvents: config.notifications?.enabled === false
+      ? null
+      : new AccountEvents(serverClient, config.notifications),
+  });
+}
+
+export default createPlatariumClient;
@@ -0,0 +1,11 @@
+// Platarium address: Px + hex-encoded public key
+const ADDRESS_PATTERN = /^Px[0-9a-fA-F]{64,130}$/;
+
+/**
+ * Check whether a string looks like a Platarium address
+ * @param {string} address - Address to check
+ * @returns {boolean} True if valid
+ */
+export function isValidAddress(address) {
+  return typeof address === 'string' && ADDRESS_PATTERN.test(address);
+}
@@ -0,0 +1,111 @@
+// Token amounts are handled as integer base units (BigInt), never as floats
+export const DEFAULT_DECIMALS = 18;
+
+const DECIMAL_PATTERN = /^(\d*)(?:\.(\d*))?$/;
+
+/**
+ * Number of decimals of the token configured in config.token
+ * Each client keeps its own precision; amount helpers take it as an argument.
+ * @param {Object} token - { decimals }
+ * @returns {number} Decimals
+ * @throws {Error} If the precision is invalid
+ */
+export function tokenDecimals(token = {}) {
+  const decimals = token?.decimals ?? DEFAULT_DECIMALS;
+  if (!Number.isInteger(decimals) || decimals < 0 || decimals > 36) {
+    throw new Error(`Invalid token.decimals: ${token?.decimals}`);
+  }
+  return decimals;
+}
+
+/**
+ * Parse a decimal amount into integer base units
+ * @param {string|number|bigint} input - Amount in PLT (e.g. "12.5")
+ * @param {number} decimals - Token decimals
+ * @returns {bigint} Base units
+ * @throws {Error} If the amount is malformed, negative or more precise than the token allows
+ */
+export function parseAmount(input, decimals = DEFAULT_DECIMALS) {
+  if (typeof input === 'bigint') {
+    throw new Error('Amount must be given in PLT, not base units');
+  }
+  if (typeof input === 'number' && !Number.isFinite(input)) {
+    throw new Error(`Invalid amount: ${input}`);
+  }
+
+  const text = String(input ?? '').trim();
+  const match = DECIMAL_PATTERN.exec(text);
+  if (!text || !match || (!match[1] && !match[2])) {
+    throw new Error(`Invalid amount: "${input}" (use a decimal number like 12.5)`);
+  }
+
+  const [, whole, fraction = ''] = match;
+  if (fraction.replace(/0+$/, '').length > decimals) {
+    throw new Error(`Amount "${input}" has more than ${decimals} decimal places`);
+  }
+
+  return BigInt(whole || '0') * 10n ** BigInt(decimals) +
+    BigInt(fraction.padEnd(decimals, '0').slice(0, decimals) || '0');
+}
+
+/**
+ * Parse an amount to send, which must be positive
+ * @param {string|number} input - Amount in PLT
+ * @param {number} decimals - Token decimals
+ * @returns {bigint} Base units
+ */
+export function parsePositiveAmount(input, decimals = DEFAULT_DECIMALS) {
+  const units = parseAmount(input, decimals);
+  if (units <= 0n) {
+    throw new Error('Amount must be greater than zero');
+  }
+  return units;
+}
+
+/**
+ * Format base units as a canonical decimal string (no trailing zeros)
+ * @param {bigint} units - Base units
+ * @param {number} decimals - Token decimals
+ * @returns {string} Amount in PLT (e.g. "12.5")
+ */
+export function formatAmount(units, decimals = DEFAULT_DECIMALS) {
+  const negative = units < 0n;
+  const abs = negative ? -units : units;
+  const base = 10n ** BigInt(decimals);
+  const whole = abs / base;
+  const fraction = decimals > 0
+    ? (abs % base).toString().padStart(decimals, '0').replace(/0+$/, '')
+    : '';
+  return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+/**
+ * Canonical decimal string of an amount (what gets signed and sent)
+ * @param {string|number} input - Amount in PLT
+ * @param {number} decimals - Token decimals
+ * @returns {string} Canonical amount
+ */
+export function normalizeAmount(input, decimals = DEFAULT_DECIMALS) {
+  return formatAmount(parsePositiveAmount(input, decimals), decimals);
+}
+
+/**
+ * Format an amount reported by the server (balance, transaction value) for display
+ * Values that cannot be parsed exactly are shown as received.
+ * @param {string|number} value - Amount in PLT
+ * @param {number} decimals - Token decimals
+ * @returns {string} Formatted amount
+ */
+export function formatBalance(value, decimals = DEFAULT_DECIMALS) {
+  if (value === undefined || value === null || value === '') {
+    return '0';
+  }
+  const text = String(value).trim();
+  const negative = text.startsWith('-');
+  try {
+    const formatted = formatAmount(parseAmount(negative ? text.slice(1) : text, decimals), decimals);
+    return negative && formatted !== '0' ? `-${formatted}` : formatted;
+  } catch (error) {
+    return text;
+  }
+}
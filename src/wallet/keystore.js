@@ -0,0 +1,132 @@
+import { scrypt, randomBytes, createCipheriv, createDecipheriv } from 'crypto';
+import { promisify } from 'util';
+
+const scryptAsync = promisify(scrypt);
+
+// Current wallet file format version
+export const KEYSTORE_VERSION = 1;
+
+// Wallet file type for address-only (watch-only) wallets
+export const WATCH_WALLET_TYPE = 'watch';
+
+const CIPHER = 'aes-256-gcm';
+const KDF = 'scrypt';
+
+// scrypt cost parameters (N=2^15, r=8, p=1 needs ~32 MB of memory)
+const DEFAULT_KDF_PARAMS = {
+  n: 32768,
+  r: 8,
+  p: 1,
+  dklen: 32,
+};
+
+/**
+ * Derive encryption key from password
+ * @param {string} password - Wallet password
+ * @param {Object} kdfparams - KDF parameters (including hex salt)
+ * @returns {Promise<Buffer>} Derived key
+ */
+async function deriveKey(password, kdfparams) {
+  return scryptAsync(password.normalize('NFKC'), Buffer.from(kdfparams.salt, 'hex'), kdfparams.dklen, {
+    N: kdfparams.n,
+    r: kdfparams.r,
+    p: kdfparams.p,
+    maxmem: 128 * kdfparams.n * kdfparams.r * 2,
+  });
+}
+
+/**
+ * Encrypt wallet secrets with a password
+ * @param {Object} secrets - Secrets to encrypt (privateKey, mnemonic, alphanumeric)
+ * @param {string} password - Wallet password
+ * @returns {Promise<Object>} Encrypted keystore section
+ */
+export async function encryptSecrets(secrets, password) {
+  if (!password) {
+    throw new Error('A password is required to encrypt the wallet');
+  }
+
+  const kdfparams = {
+    ...DEFAULT_KDF_PARAMS,
+    salt: randomBytes(32).toString('hex'),
+  };
+  const key = await deriveKey(password, kdfparams);
+  const iv = randomBytes(12);
+
+  const cipher = createCipheriv(CIPHER, key, iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(JSON.stringify(secrets), 'utf-8'),
+    cipher.final(),
+  ]);
+
+  return {
+    cipher: CIPHER,
+    kdf: KDF,
+    kdfparams,
+    iv: iv.toString('hex'),
+    tag: cipher.getAuthTag().toString('hex'),
+    ciphertext: ciphertext.toString('hex'),
+  };
+}
+
+/**
+ * Decrypt wallet secrets with a password
+ * @param {Object} keystore - Encrypted keystore section
+ * @param {string} password - Wallet password
+ * @returns {Promise<Object>} Decrypted secrets
+ */
+export async function decryptSecrets(keystore, password) {
+  if (!password) {
+    throw new Error('A password is required to decrypt the wallet');
+  }
+  if (keystore.cipher !== CIPHER || keystore.kdf !== KDF) {
+    throw new Error(`Unsupported keystore format: ${keystore.kdf}/${keystore.cipher}`);
+  }
+
+  const key = await deriveKey(password, keystore.kdfparams);
+  const decipher = createDecipheriv(CIPHER, key, Buffer.from(keystore.iv, 'hex'));
+  decipher.setAuthTag(Buffer.from(keystore.tag, 'hex'));
+
+  try {
+    const plaintext = Buffer.concat([
+      decipher.update(Buffer.from(keystore.ciphertext, 'hex')),
+      decipher.final(),
+    ]);
+    return JSON.parse(plaintext.toString('utf-8'));
+  } catch (error) {
+    throw new Error('Invalid password or corrupted wallet file');
+  }
+}
+
+/**
+ * Check whether a wallet file record holds encrypted secrets
+ * @param {Object} record - Parsed wallet file
+ * @returns {boolean} True if encrypted
+ */
+export function isEncrypted(record) {
+  return Boolean(record && record.crypto);
+}
+
+/**
+ * Check whether a wallet file record uses the legacy plaintext schema
+ * (written before wallet files were versioned)
+ * @param {Object} record - Parsed wallet file
+ * @returns {boolean} True if legacy
+ */
+export function isLegacyWallet(record) {
+  return Boolean(
+    record &&
+    record.version === undefined &&
+    record.address &&
+    (record.privateKey || record.mnemonic)
+  );
+}
+
+/**
+ * Check whether a wallet file record is watch-only (address without keys)
+ * @param {Object} record - Parsed wallet file
+ * @returns {boolean} True if watch-only
+ */
+export function isWatchOnly(record) {
+  return Boolean(record && record.type === WATCH_WALLET_TYPE);
+}
@@ -0,0 +1,188 @@
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { LEGACY_NETWORK, recordNetwork } from '../core/networks.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// A pending transaction older than this is reported as stuck
+const DEFAULT_STUCK_AFTER_MS = 10 * 60 * 1000;
+
+/**
+ * Store the entries of an address, dropping the key once it is empty
+ * @param {Object} pending - Map of address -> pending entries (modified in place)
+ * @param {string} address - Sender address
+ * @param {Array} entries - Entries to store
+ */
+function assignEntries(pending, address, entries) {
+  if (entries.length > 0) {
+    pending[address] = entries;
+  } else {
+    delete pending[address];
+  }
+}
+
+/**
+ * Nonce Tracker - Local record of submitted, not yet confirmed transactions
+ *
+ * The chain only knows about included transactions, so back-to-back sends
+ * would reuse the same nonce. Submitted transactions are kept per address
+ * until the chain nonce moves past them. Entries are tagged with their
+ * network and only entries of the active network are used.
+ */
+class NonceTracker {
+  /**
+   * @param {string|null} storagePath - Directory of pending.json
+   * @param {Object} options - { stuckAfter, network }
+   */
+  constructor(storagePath = null, options = {}) {
+    // Store pending transactions inside walletPlatariumCLI directory
+    if (!storagePath) {
+      storagePath = path.join(path.dirname(__dirname), '../transactions');
+    }
+    this.storagePath = path.resolve(storagePath);
+    this.pendingPath = path.join(this.storagePath, 'pending.json');
+    this.stuckAfter = options.stuckAfter || DEFAULT_STUCK_AFTER_MS;
+    this.network = options.network || LEGACY_NETWORK;
+  }
+
+  /**
+   * Split entries into those of the active network and the rest
+   * @param {Array} entries - Pending entries of an address
+   * @returns {Array<Array>} [own, others]
+   */
+  partition(entries = []) {
+    const own = entries.filter(e => recordNetwork(e) === this.network);
+    const others = entries.filter(e => recordNetwork(e) !== this.network);
+    return [own, others];
+  }
+
+  /**
+   * Read all pending transactions
+   * @returns {Promise<Object>} Map of address -> pending entries
+   */
+  async load() {
+    if (!existsSync(this.pendingPath)) {
+      return {};
+    }
+    try {
+      return JSON.parse(await readFile(this.pendingPath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Failed to read pending transactions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write all pending transactions
+   * @param {Object} pending - Map of address -> pending entries
+   */
+  async save(pending) {
+    try {
+      await mkdir(this.storagePath, { recursive: true });
+      await writeFile(this.pendingPath, JSON.stringify(pending, null, 2));
+    } catch (error) {
+      throw new Error(`Failed to save pending transactions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get pending transactions of the active network
+   * @returns {Promise<Object>} Map of address -> pending entries
+   */
+  async loadNetwork() {
+    const result = {};
+    for (const [address, entries] of Object.entries(await this.load())) {
+      const [own] = this.partition(entries);
+      if (own.length > 0) {
+        result[address] = own;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Get pending transactions of an address, sorted by nonce
+   * @param {string} address - Sender address
+   * @returns {Promise<Array>} Pending entries
+   */
+  async getPending(address) {
+    const pending = await this.load();
+    const [own] = this.partition(pending[address]);
+    return own.sort((a, b) => a.nonce - b.nonce);
+  }
+
+  /**
+   * Record a submitted transaction
+   * @param {Object} transaction - Signed transaction ({ from, to, amount, nonce })
+   * @param {string|null} hash - Transaction hash returned by the server
+   */
+  async track(transaction, hash = null) {
+    const pending = await this.load();
+    const [own, others] = this.partition(pending[transaction.from]);
+    const entries = own.filter(e => e.nonce !== transaction.nonce);
+    entries.push({
+      network: this.network,
+      nonce: transaction.nonce,
+      hash,
+      to: transaction.to,
+      amount: String(transaction.amount),
+      submittedAt: new Date().toISOString(),
+    });
+    pending[transaction.from] = [...others, ...entries];
+    await this.save(pending);
+  }
+
+  /**
+   * Forget a pending transaction (confirmed or failed)
+   * @param {string} address - Sender address
+   * @param {number} nonce - Transaction nonce
+   */
+  async remove(address, nonce) {
+    const pending = await this.load();
+    const [own, others] = this.partition(pending[address]);
+    assignEntries(pending, address, [...others, ...own.filter(e => e.nonce !== nonce)]);
+    await this.save(pending);
+  }
+
+  /**
+   * Drop transactions the chain has moved past and work out the next nonce
+   * @param {string} address - Sender address
+   * @param {number} chainNonce - Next nonce according to the chain
+   * @returns {Promise<Object>} { nextNonce, pending, gaps, stuck }
+   */
+  async reconcile(address, chainNonce) {
+    const pending = await this.load();
+    const [own, others] = this.partition(pending[address]);
+    const entries = own
+      .filter(e => e.nonce >= chainNonce)
+      .sort((a, b) => a.nonce - b.nonce);
+
+    assignEntries(pending, address, [...others, ...entries]);
+    await this.save(pending);
+
+    // Nonces between the chain nonce and the highest pending one that were never submitted
+    // (or got dropped) block every later transaction
+    const gaps = [];
+    let expected = chainNonce;
+    for (const entry of entries) {
+      for (; expected < entry.nonce; expected++) {
+        gaps.push(expected);
+      }
+      expected = entry.nonce + 1;
+    }
+
+    const now = Date.now();
+    const stuck = entries.filter(e => now - new Date(e.submittedAt).getTime() > this.stuckAfter);
+
+    return {
+      nextNonce: entries.length > 0 ? entries[entries.length - 1].nonce + 1 : chainNonce,
+      pending: entries,
+      gaps,
+      stuck,
+    };
+  }
+}
+
+export default NonceTracker;
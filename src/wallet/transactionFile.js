@@ -0,0 +1,222 @@
+import { createHash } from 'crypto';
+import { readFile, writeFile } from 'fs/promises';
+import { isValidAddress } from './address.js';
+import { normalizeAmount, DEFAULT_DECIMALS } from './amount.js';
+import { LEGACY_NETWORK, recordNetwork } from '../core/networks.js';
+
+// Portable transaction file format (offline signing workflow)
+export const TX_FILE_FORMAT = 'platarium-tx';
+export const TX_FILE_VERSION = 1;
+
+const TX_FIELDS = ['from', 'to', 'amount', 'nonce', 'timestamp', 'type'];
+
+/**
+ * Serialize a value as JSON with sorted object keys, so the checksum does
+ * not depend on how a file was pretty-printed or which tool rewrote it
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Compute the checksum of a transaction file (everything except summary and checksum)
+ * @param {Object} file - Transaction file object
+ * @returns {string} SHA-256 hex digest
+ */
+function computeChecksum(file) {
+  const { summary, checksum, ...payload } = file;
+  return createHash('sha256').update(canonicalJson(payload)).digest('hex');
+}
+
+/**
+ * Human-readable one-line summary of a transaction
+ * @param {Object} tx - Transaction fields
+ * @param {string} network - Network the transaction is meant for
+ * @returns {string} Summary
+ */
+export function summarizeTransaction(tx, network = LEGACY_NETWORK) {
+  return `${tx.type} of ${tx.amount} PLT from ${tx.from} to ${tx.to} on ${network} ` +
+    `(nonce ${tx.nonce}, created ${new Date(tx.timestamp).toISOString()})`;
+}
+
+/**
+ * Validate transaction fields
+ * @param {Object} tx - Transaction fields
+ * @param {number} decimals - Token decimals
+ * @throws {Error} If a field is missing or invalid
+ */
+function validateTransaction(tx, decimals) {
+  if (!tx || typeof tx !== 'object') {
+    throw new Error('Transaction file has no transaction');
+  }
+  for (const field of TX_FIELDS) {
+    if (tx[field] === undefined || tx[field] === null || tx[field] === '') {
+      throw new Error(`Transaction is missing "${field}"`);
+    }
+  }
+  if (!isValidAddress(tx.from)) {
+    throw new Error(`Invalid sender address: ${tx.from}`);
+  }
+  if (!isValidAddress(tx.to)) {
+    throw new Error(`Invalid recipient address: ${tx.to}`);
+  }
+  // Amounts are stored in canonical form, so this also catches edited files
+  if (typeof tx.amount !== 'string' || normalizeAmount(tx.amount, decimals) !== tx.amount) {
+    throw new Error(`Invalid amount: ${tx.amount}`);
+  }
+  if (!Number.isInteger(tx.nonce) || tx.nonce < 0) {
+    throw new Error(`Invalid nonce: ${tx.nonce}`);
+  }
+  if (!Number.isInteger(tx.timestamp) || tx.timestamp <= 0) {
+    throw new Error(`Invalid timestamp: ${tx.timestamp}`);
+  }
+}
+
+/**
+ * Create an unsigned transaction file object
+ * @param {Object} params - { network, from, to, amount, nonce, timestamp, type, decimals }
+ * @returns {Object} Transaction file object
+ */
+export function createUnsignedTransaction({ network = LEGACY_NETWORK, from, to, amount, nonce, timestamp = Date.now(), type = 'transfer', decimals = DEFAULT_DECIMALS }) {
+  const transaction = {
+    from,
+    to,
+    amount: normalizeAmount(amount, decimals),
+    nonce: Number(nonce),
+    timestamp,
+    type,
+  };
+  validateTransaction(transaction, decimals);
+
+  return seal({
+    format: TX_FILE_FORMAT,
+    version: TX_FILE_VERSION,
+    network,
+    status: 'unsigned',
+    transaction,
+  });
+}
+
+/**
+ * Attach a signature to an unsigned transaction file object
+ * @param {Object} file - Unsigned transaction file object
+ * @param {Object} signedTx - Result of WalletManager.signTransaction()
+ * @returns {Object} Signed transaction file object
+ */
+export function attachSignature(file, signedTx) {
+  if (file.status !== 'unsigned') {
+    throw new Error(`Transaction is already ${file.status}`);
+  }
+  if (signedTx.from !== file.transaction.from) {
+    throw new Error(`Signed by ${signedTx.from}, expected ${file.transaction.from}`);
+  }
+  if (!signedTx.signature) {
+    throw new Error('Signing produced no signature');
+  }
+
+  return seal({
+    ...file,
+    status: 'signed',
+    signature: signedTx.signature,
+    signedAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * Build the payload for ServerClient.sendTransaction from a signed file object
+ * @param {Object} file - Signed transaction file object
+ * @returns {Object} Signed transaction
+ */
+export function toSignedTransaction(file) {
+  if (file.status !== 'signed' || !file.signature) {
+    throw new Error('Transaction file is not signed, run `tx sign` first');
+  }
+  return { ...file.transaction, signature: file.signature };
+}
+
+/**
+ * Add summary and checksum to a transaction file object
+ * @param {Object} file - Transaction file object
+ * @returns {Object} Sealed transaction file object
+ */
+function seal(file) {
+  const { summary, checksum, ...payload } = file;
+  const sealed = {
+    ...payload,
+    summary: summarizeTransaction(payload.transaction, recordNetwork(payload)),
+  };
+  sealed.checksum = computeChecksum(sealed);
+  return sealed;
+}
+
+/**
+ * Parse and verify a transaction file
+ * @param {string} text - File contents
+ * @param {number} decimals - Token decimals
+ * @returns {Object} Transaction file object
+ * @throws {Error} If the format, version, checksum or summary is wrong
+ */
+export function parseTransactionFile(text, decimals = DEFAULT_DECIMALS) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Transaction file is not valid JSON: ${error.message}`);
+  }
+
+  if (!file || file.format !== TX_FILE_FORMAT) {
+    throw new Error('Not a Platarium transaction file');
+  }
+  if (file.version !== TX_FILE_VERSION) {
+    throw new Error(`Unsupported transaction file version: ${file.version}`);
+  }
+  // Files written before network profiles have no network (testnet)
+  if (file.network !== undefined && (typeof file.network !== 'string' || !file.network)) {
+    throw new Error(`Invalid transaction file network: ${file.network}`);
+  }
+  if (!['unsigned', 'signed'].includes(file.status)) {
+    throw new Error(`Unknown transaction file status: ${file.status}`);
+  }
+  if (file.checksum !== computeChecksum(file)) {
+    throw new Error('Transaction file checksum mismatch (file was modified or corrupted)');
+  }
+  validateTransaction(file.transaction, decimals);
+  // The summary is not covered by the checksum, so it must match the transaction it describes
+  if (file.summary !== summarizeTransaction(file.transaction, recordNetwork(file))) {
+    throw new Error('Transaction file summary does not match the transaction (file was modified)');
+  }
+
+  return file;
+}
+
+/**
+ * Read and verify a transaction file from disk
+ * @param {string} filepath - Path to the file
+ * @param {number} decimals - Token decimals
+ * @returns {Promise<Object>} Transaction file object
+ */
+export async function readTransactionFile(filepath, decimals = DEFAULT_DECIMALS) {
+  return parseTransactionFile(await readFile(filepath, 'utf-8'), decimals);
+}
+
+/**
+ * Write a transaction file to disk
+ * @param {string} filepath - Path to the file
+ * @param {Object} file - Transaction file object
+ * @returns {Promise<void>}
+ */
+export async function writeTransactionFile(filepath, file) {
+  await writeFile(filepath, JSON.stringify(file, null, 2) + '\n');
+}
@@ -1,11 +1,74 @@
-import { readFile, writeFile, readdir, mkdir } from 'fs/promises';
-import { existsSync } from 'fs';
+import { readFile, writeFile, readdir, mkdir, copyFile, chmod } from 'fs/promises';
+import { existsSync, mkdirSync } from 'fs';
+import { randomBytes } from 'crypto';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import {
+  KEYSTORE_VERSION,
+  WATCH_WALLET_TYPE,
+  encryptSecrets,
+  decryptSecrets,
+  isEncrypted,
+  isLegacyWallet,
+  isWatchOnly,
+} from './keystore.js';
+import { isValidAddress } from './address.js';
+import { normalizeAmount, tokenDecimals } from './amount.js';
+import { LEGACY_NETWORK, recordNetwork, assertNetwork } from '../core/networks.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+/**
+ * Name for a new wallet file
+ * The random suffix keeps files created in the same millisecond apart.
+ * @param {string} prefix - 'wallet' or 'watch'
+ * @returns {string} Filename
+ */
+function newWalletFilename(prefix) {
+  return `${prefix}_${Date.now()}_${randomBytes(4).toString('hex')}.json`;
+}
+
+/**
+ * Ensure a wallet has an accounts list
+ * Wallets written before multi-account support hold a single account
+ * described by the top-level seedIndex/address fields.
+ * @param {Object} wallet - Wallet object or file record (modified in place)
+ * @returns {Object} The same wallet
+ */
+function normalizeAccounts(wallet) {
+  if (!Array.isArray(wallet.accounts) || wallet.accounts.length === 0) {
+    const index = wallet.seedIndex || 0;
+    wallet.accounts = [{
+      index,
+      label: `Account ${index}`,
+      address: wallet.address,
+      publicKey: wallet.publicKey || wallet.address,
+      derivationPath: wallet.derivationPath || `m/44'/60'/0'/${index}'`,
+      createdAt: wallet.createdAt,
+    }];
+  }
+  if (!wallet.accounts.some(a => a.index === wallet.activeAccount)) {
+    wallet.activeAccount = wallet.accounts[0].index;
+  }
+  return applyActiveAccount(wallet);
+}
+
+/**
+ * Mirror the active account into the top-level address fields
+ * (kept so code and older versions reading `wallet.address` keep working)
+ * @param {Object} wallet - Wallet object or file record (modified in place)
+ * @returns {Object} The same wallet
+ */
+function applyActiveAccount(wallet) {
+  const account = wallet.accounts.find(a => a.index === wallet.activeAccount);
+  wallet.address = account.address;
+  wallet.publicKey = account.publicKey;
+  wallet.derivationPath = account.derivationPath;
+  wallet.seedIndex = account.index;
+  return wallet;
+}
+
 /**
  * Wallet Manager - Manages wallet creation, storage, and signing
  */
@@ -13,9 +76,13 @@ class WalletManager {
   constructor(config, rustCore) {
     this.config = config;
     this.rustCore = rustCore;
-    // Store wallets inside walletPlatariumCLI directory
-    this.walletsDir = path.join(path.dirname(__dirname), '../wallets');
+    // Token precision of signed amounts (config.token.decimals)
+    this.decimals = tokenDecimals(config.token);
+    // Wallets directory from config.paths, inside walletPlatariumCLI directory by default
+    this.walletsDir = config.paths?.wallets || path.join(path.dirname(__dirname), '../wallets');
     this.currentWallet = null;
+    // New wallets are tagged with this network, wallets of other networks cannot be loaded
+    this.network = config.network || LEGACY_NETWORK;
     
     // Ensure wallets directory exists (synchronous check, async creation if needed)
     if (!existsSync(this.walletsDir)) {
@@ -29,39 +96,35 @@ class WalletManager {
     }
   }
 
+  /**
+   * Switch the active network
+   * A loaded wallet of another network is unloaded.
+   * @param {string} network - Network name
+   */
+  setNetwork(network) {
+    this.network = network;
+    if (this.currentWallet && recordNetwork(this.currentWallet) !== network) {
+      this.currentWallet = null;
+    }
+  }
+
   /**
    * Create a new wallet
    * @param {string} name - Wallet name
    * @param {number} seedIndex - Seed index
+   * @param {string} password - Password used to encrypt the wallet file
    * @returns {Promise<Object>} Wallet object
    */
-  async createWallet(name, seedIndex = 0) {
+  async createWallet(name, seedIndex = 0, password) {
     if (!this.rustCore) {
       throw new Error('Rust Core not available');
     }
+    if (!password) {
+      throw new Error('A password is required to encrypt the wallet');
+    }
     
     const keys = await this.rustCore.generateKeys(seedIndex);
-
-    const wallet = {
-      name,
-      address: keys.publicKey, // Use Px... address, not signature key
-      publicKey: keys.publicKey,
-      privateKey: keys.privateKey,
-      mnemonic: keys.mnemonic,
-      alphanumeric: keys.alphanumericPart,
-      derivationPath: keys.derivationPaths.mainPath,
-      seedIndex,
-      createdAt: new Date().toISOString(),
-    };
-
-    const filename = `wallet_${Date.now()}.json`;
-    const filepath = path.join(this.walletsDir, filename);
-    await writeFile(filepath, JSON.stringify(wallet, null, 2));
-
-    wallet.filename = filename;
-    this.currentWallet = wallet;
-
-    return wallet;
+    return this.saveNewWallet(name, keys, seedIndex, password);
   }
 
   /**
@@ -70,17 +133,92 @@ class WalletManager {
    * @param {string} mnemonic - BIP39 mnemonic phrase
    * @param {string} alphanumeric - Alphanumeric code
    * @param {number} seedIndex - Seed index
+   * @param {string} password - Password used to encrypt the wallet file
    * @returns {Promise<Object>} Wallet object
    */
-  async restoreWallet(name, mnemonic, alphanumeric, seedIndex = 0) {
+  async restoreWallet(name, mnemonic, alphanumeric, seedIndex = 0, password) {
     if (!this.rustCore) {
       throw new Error('Rust Core not available');
     }
+    if (!password) {
+      throw new Error('A password is required to encrypt the wallet');
+    }
     
     const keys = await this.rustCore.restoreKeys(mnemonic, alphanumeric, seedIndex);
+    return this.saveNewWallet(name, keys, seedIndex, password);
+  }
+
+  /**
+   * Add a watch-only wallet (address and label, no keys)
+   * Watch-only wallets can check balance and history but cannot sign.
+   * @param {string} name - Wallet label
+   * @param {string} address - Address to watch
+   * @returns {Promise<Object>} Wallet object
+   */
+  async addWatchWallet(name, address) {
+    address = (address || '').trim();
+    if (!isValidAddress(address)) {
+      throw new Error(`Invalid address: ${address || '(empty)'}`);
+    }
+
+    const wallets = await this.listWallets();
+    const existing = wallets.find(w => w.watchOnly && w.address === address && w.network === this.network);
+    if (existing) {
+      throw new Error(`Address is already watched as "${existing.name}" (${existing.filename})`);
+    }
+
+    const record = {
+      version: KEYSTORE_VERSION,
+      type: WATCH_WALLET_TYPE,
+      network: this.network,
+      name,
+      address,
+      createdAt: new Date().toISOString(),
+    };
+
+    // 'wx' never overwrites an existing wallet file
+    const filename = newWalletFilename('watch');
+    await writeFile(path.join(this.walletsDir, filename), JSON.stringify(record, null, 2), { mode: 0o600, flag: 'wx' });
+
+    const wallet = { ...record, watchOnly: true, filename };
+    this.currentWallet = wallet;
+    return wallet;
+  }
+
+  /**
+   * Find a wallet file by filename or wallet name
+   * @param {string} nameOrFile - Wallet filename (with or without .json) or name
+   * @returns {Promise<Object>} Wallet info from listWallets()
+   */
+  async findWallet(nameOrFile) {
+    const wallets = await this.listWallets();
+    const byFile = wallets.find(w => w.filename === nameOrFile || w.filename === `${nameOrFile}.json`);
+    if (byFile) {
+      return byFile;
+    }
+
+    const byName = wallets.filter(w => w.name === nameOrFile);
+    if (byName.length === 0) {
+      throw new Error(`Wallet not found: ${nameOrFile}`);
+    }
+    if (byName.length > 1) {
+      throw new Error(`Wallet name "${nameOrFile}" is ambiguous, use the filename: ${byName.map(w => w.filename).join(', ')}`);
+    }
+    return byName[0];
+  }
 
+  /**
+   * Write a freshly derived wallet to an encrypted wallet file
+   * @param {string} name - Wallet name
+   * @param {Object} keys - Keys returned by Rust Core
+   * @param {number} seedIndex - Seed index
+   * @param {string} password - Password used to encrypt the wallet file
+   * @returns {Promise<Object>} Wallet object
+   */
+  async saveNewWallet(name, keys, seedIndex, password) {
     const wallet = {
       name,
+      network: this.network,
       address: keys.publicKey, // Use Px... address, not signature key
       publicKey: keys.publicKey,
       privateKey: keys.privateKey,
@@ -90,10 +228,13 @@ class WalletManager {
       seedIndex,
       createdAt: new Date().toISOString(),
     };
+    normalizeAccounts(wallet);
+
+    const record = await this.buildRecord(wallet, password);
 
-    const filename = `wallet_${Date.now()}.json`;
+    const filename = newWalletFilename('wallet');
     const filepath = path.join(this.walletsDir, filename);
-    await writeFile(filepath, JSON.stringify(wallet, null, 2));
+    await writeFile(filepath, JSON.stringify(record, null, 2), { mode: 0o600, flag: 'wx' });
 
     wallet.filename = filename;
     this.currentWallet = wallet;
@@ -101,31 +242,237 @@ class WalletManager {
     return wallet;
   }
 
+  /**
+   * Build a versioned wallet file record
+   * Only metadata is stored in clear text, secrets go into the encrypted section.
+   * Without a password the secrets are kept in a plaintext `secrets` section
+   * (used when migrating legacy wallets without encryption).
+   * @param {Object} wallet - Wallet object with secrets
+   * @param {string|null} password - Password used to encrypt the secrets
+   * @returns {Promise<Object>} Wallet file record
+   */
+  async buildRecord(wallet, password) {
+    const secrets = {
+      privateKey: wallet.privateKey,
+      mnemonic: wallet.mnemonic,
+      alphanumeric: wallet.alphanumeric,
+    };
+
+    const record = {
+      version: KEYSTORE_VERSION,
+      network: recordNetwork(wallet),
+      name: wallet.name,
+      address: wallet.address,
+      publicKey: wallet.publicKey,
+      derivationPath: wallet.derivationPath,
+      seedIndex: wallet.seedIndex,
+      createdAt: wallet.createdAt,
+      accounts: wallet.accounts,
+      activeAccount: wallet.activeAccount,
+    };
+
+    if (password) {
+      record.crypto = await encryptSecrets(secrets, password);
+    } else {
+      record.secrets = secrets;
+    }
+
+    return record;
+  }
+
   /**
    * Load wallet from file
    * @param {string} filename - Wallet filename
+   * @param {string} password - Wallet password (required for encrypted wallets)
    * @returns {Promise<Object>} Wallet object
    */
-  async loadWallet(filename) {
+  async loadWallet(filename, password) {
     const filepath = path.join(this.walletsDir, filename);
     const data = await readFile(filepath, 'utf-8');
-    const wallet = JSON.parse(data);
+    const record = JSON.parse(data);
+    assertNetwork(record, this.network, `Wallet "${record.name}"`);
+
+    if (isWatchOnly(record)) {
+      const wallet = { ...record, watchOnly: true, filename };
+      this.currentWallet = wallet;
+      return wallet;
+    }
+
+    let wallet;
+    if (isEncrypted(record)) {
+      const { crypto, ...metadata } = record;
+      const secrets = await decryptSecrets(crypto, password);
+      wallet = { ...metadata, ...secrets };
+    } else if (record.version !== undefined) {
+      const { secrets, ...metadata } = record;
+      wallet = { ...metadata, ...secrets };
+    } else {
+      // Legacy plaintext wallet file
+      wallet = record;
+    }
+
+    normalizeAccounts(wallet);
     wallet.filename = filename;
     this.currentWallet = wallet;
     return wallet;
   }
 
+  /**
+   * Update the clear-text metadata of a wallet file
+   * The encrypted section is left untouched, so no password is needed.
+   * @param {string} filename - Wallet filename
+   * @param {Function} update - Receives the normalized record and modifies it
+   * @returns {Promise<Object>} Updated record (without secrets)
+   */
+  async updateWalletMetadata(filename, update) {
+    const filepath = path.join(this.walletsDir, filename);
+    const record = normalizeAccounts(JSON.parse(await readFile(filepath, 'utf-8')));
+    if (isWatchOnly(record)) {
+      throw new Error(`Wallet ${filename} is watch-only and has no derived accounts`);
+    }
+    if (isLegacyWallet(record)) {
+      throw new Error(`Wallet ${filename} uses the legacy format, run migrate-wallets first`);
+    }
+
+    await update(record);
+    applyActiveAccount(record);
+    await writeFile(filepath, JSON.stringify(record, null, 2), { mode: 0o600 });
+
+    // Keep the loaded wallet in sync
+    if (this.currentWallet && this.currentWallet.filename === filename) {
+      this.currentWallet.accounts = record.accounts;
+      this.currentWallet.activeAccount = record.activeAccount;
+      applyActiveAccount(this.currentWallet);
+    }
+
+    const { crypto, secrets, ...metadata } = record;
+    return metadata;
+  }
+
+  /**
+   * List derived accounts of a wallet
+   * @param {string} filename - Wallet filename (default: current wallet)
+   * @returns {Promise<Array>} Accounts with an `active` flag
+   */
+  async listAccounts(filename = this.currentWallet?.filename) {
+    if (!filename) {
+      throw new Error('No wallet loaded');
+    }
+    const filepath = path.join(this.walletsDir, filename);
+    const record = JSON.parse(await readFile(filepath, 'utf-8'));
+    if (isWatchOnly(record)) {
+      throw new Error(`Wallet ${filename} is watch-only and has no derived accounts`);
+    }
+    normalizeAccounts(record);
+    return record.accounts.map(a => ({ ...a, active: a.index === record.activeAccount }));
+  }
+
+  /**
+   * Derive and add the next account of the current wallet
+   * @param {string} label - Account label
+   * @returns {Promise<Object>} Added account
+   */
+  async addAccount(label) {
+    const wallet = this.currentWallet;
+    if (!wallet) {
+      throw new Error('No wallet loaded');
+    }
+    if (wallet.watchOnly) {
+      throw new Error(`Wallet "${wallet.name}" is watch-only and cannot derive accounts`);
+    }
+    if (!this.rustCore) {
+      throw new Error('Rust Core not available');
+    }
+
+    const index = Math.max(...wallet.accounts.map(a => a.index)) + 1;
+    const keys = await this.rustCore.restoreKeys(wallet.mnemonic, wallet.alphanumeric, index);
+    const account = {
+      index,
+      label: label || `Account ${index}`,
+      address: keys.publicKey,
+      publicKey: keys.publicKey,
+      derivationPath: keys.derivationPaths.mainPath,
+      createdAt: new Date().toISOString(),
+    };
+
+    await this.updateWalletMetadata(wallet.filename, (record) => {
+      record.accounts.push(account);
+    });
+    return account;
+  }
+
+  /**
+   * Rename an account
+   * @param {number} index - Account (seed) index
+   * @param {string} label - New label
+   * @param {string} filename - Wallet filename (default: current wallet)
+   * @returns {Promise<Object>} Updated account
+   */
+  async labelAccount(index, label, filename = this.currentWallet?.filename) {
+    if (!filename) {
+      throw new Error('No wallet loaded');
+    }
+    let account;
+    await this.updateWalletMetadata(filename, (record) => {
+      account = record.accounts.find(a => a.index === index);
+      if (!account) {
+        throw new Error(`Account ${index} not found`);
+      }
+      account.label = label;
+    });
+    return account;
+  }
+
+  /**
+   * Switch the active account (used for the address, balance and signing)
+   * @param {number} index - Account (seed) index
+   * @param {string} filename - Wallet filename (default: current wallet)
+   * @returns {Promise<Object>} Selected account
+   */
+  async selectAccount(index, filename = this.currentWallet?.filename) {
+    if (!filename) {
+      throw new Error('No wallet loaded');
+    }
+    let account;
+    await this.updateWalletMetadata(filename, (record) => {
+      account = record.accounts.find(a => a.index === index);
+      if (!account) {
+        throw new Error(`Account ${index} not found`);
+      }
+      record.activeAccount = index;
+    });
+
+    // Private key in memory must follow the active account
+    const wallet = this.currentWallet;
+    if (wallet && wallet.filename === filename && wallet.mnemonic && this.rustCore) {
+      const keys = await this.rustCore.restoreKeys(wallet.mnemonic, wallet.alphanumeric, index);
+      wallet.privateKey = keys.privateKey;
+    }
+    return account;
+  }
+
   /**
    * List all wallets
    * @returns {Promise<Array>} Array of wallet info
    */
   async listWallets() {
+    const { wallets } = await this.scanWallets();
+    return wallets;
+  }
+
+  /**
+   * Scan wallets directory
+   * Reads only unencrypted metadata and reports files that could not be parsed.
+   * @returns {Promise<Object>} { wallets, corrupted: [{ filename, error }] }
+   */
+  async scanWallets() {
     if (!existsSync(this.walletsDir)) {
-      return [];
+      return { wallets: [], corrupted: [] };
     }
 
     const files = await readdir(this.walletsDir);
     const wallets = [];
+    const corrupted = [];
 
     for (const file of files) {
       if (!file.endsWith('.json')) continue;
@@ -134,23 +481,94 @@ class WalletManager {
         const filepath = path.join(this.walletsDir, file);
         const data = await readFile(filepath, 'utf-8');
         const wallet = JSON.parse(data);
+        if (!wallet || !wallet.address) {
+          throw new Error('Missing wallet address');
+        }
         wallets.push({
           name: wallet.name,
           address: wallet.address,
           filename: file,
           createdAt: wallet.createdAt || 'Unknown',
+          encrypted: isEncrypted(wallet),
+          legacy: isLegacyWallet(wallet),
+          watchOnly: isWatchOnly(wallet),
+          network: recordNetwork(wallet),
         });
       } catch (error) {
-        // Skip corrupted files
-        continue;
+        corrupted.push({ filename: file, error: error.message });
       }
     }
 
-    return wallets.sort((a, b) => {
+    wallets.sort((a, b) => {
       const dateA = new Date(a.createdAt);
       const dateB = new Date(b.createdAt);
       return dateB - dateA;
     });
+
+    return { wallets, corrupted };
+  }
+
+  /**
+   * Migrate legacy plaintext wallet files to the versioned schema
+   * @param {Object} options - Migration options
+   * @param {string|null} options.password - Password to encrypt migrated wallets (plaintext if omitted)
+   * @param {boolean} options.backup - Keep a copy of each original file in wallets/backups
+   *   (plaintext secrets, readable by the owner only; each entry of `migrated` names its backup)
+   * @returns {Promise<Object>} { migrated, skipped, corrupted }
+   */
+  async migrateWallets({ password = null, backup = true } = {}) {
+    const result = { migrated: [], skipped: [], corrupted: [] };
+
+    if (!existsSync(this.walletsDir)) {
+      return result;
+    }
+
+    const backupsDir = path.join(this.walletsDir, 'backups');
+    const files = await readdir(this.walletsDir);
+
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+
+      const filepath = path.join(this.walletsDir, file);
+      let record;
+      try {
+        record = JSON.parse(await readFile(filepath, 'utf-8'));
+      } catch (error) {
+        result.corrupted.push({ filename: file, error: error.message });
+        continue;
+      }
+
+      if (!isLegacyWallet(record)) {
+        result.skipped.push({
+          filename: file,
+          reason: record && record.version !== undefined
+            ? `already version ${record.version}`
+            : 'unrecognized wallet schema',
+        });
+        continue;
+      }
+
+      try {
+        let backupPath = null;
+        if (backup) {
+          await mkdir(backupsDir, { recursive: true, mode: 0o700 });
+          backupPath = path.join(backupsDir, `${file}.${Date.now()}.bak`);
+          // copyFile keeps the mode of the original, which may be world-readable
+          await copyFile(filepath, backupPath);
+          await chmod(backupPath, 0o600);
+        }
+
+        const migrated = await this.buildRecord(record, password);
+        await writeFile(filepath, JSON.stringify(migrated, null, 2), { mode: 0o600 });
+        // The mode given to writeFile only applies to new files
+        await chmod(filepath, 0o600);
+        result.migrated.push({ filename: file, name: record.name, encrypted: Boolean(password), backup: backupPath });
+      } catch (error) {
+        result.corrupted.push({ filename: file, error: error.message });
+      }
+    }
+
+    return result;
   }
 
   /**
@@ -171,27 +589,57 @@ class WalletManager {
       throw new Error('No wallet loaded');
     }
 
+    if (this.currentWallet.watchOnly) {
+      throw new Error(`Wallet "${this.currentWallet.name}" is watch-only and cannot sign transactions`);
+    }
+
+    assertNetwork(this.currentWallet, this.network, `Wallet "${this.currentWallet.name}"`);
+
+    if (transaction.from && transaction.from !== this.currentWallet.address) {
+      throw new Error(`Transaction is from ${transaction.from}, but the active account is ${this.currentWallet.address}`);
+    }
+
     if (!this.rustCore) {
       throw new Error('Rust Core not available');
     }
 
+    // Never guess a nonce: reusing one makes the transaction collide with an earlier send
+    if (!Number.isInteger(transaction.nonce) || transaction.nonce < 0) {
+      throw new Error(`Invalid or missing transaction nonce: ${transaction.nonce}`);
+    }
+
     const message = {
       from: transaction.from,
       to: transaction.to,
-      amount: transaction.amount.toString(),
-      nonce: transaction.nonce || 1,
+      amount: normalizeAmount(transaction.amount, this.decimals),
+      nonce: transaction.nonce,
       timestamp: transaction.timestamp || Date.now(),
       type: transaction.type || 'transfer',
     };
 
+    // Derive the active account again and make sure it matches before signing
+    const account = this.currentWallet.accounts.find(a => a.index === this.currentWallet.activeAccount);
+    const keys = await this.rustCore.restoreKeys(
+      this.currentWallet.mnemonic,
+      this.currentWallet.alphanumeric,
+      account.index
+    );
+    if (keys.publicKey !== account.address) {
+      throw new Error(`Derived key for account ${account.index} does not match ${account.address}`);
+    }
+
     const signature = await this.rustCore.signMessage(
       message,
       this.currentWallet.mnemonic,
-      this.currentWallet.alphanumeric
+      this.currentWallet.alphanumeric,
+      account.index
     );
 
     return {
       ...transaction,
+      amount: message.amount,
+      timestamp: message.timestamp,
+      type: message.type,
       signature: signature.signatures[0]?.signature_compact || signature.signatures[0]?.der,
       from: this.currentWallet.address,
     };
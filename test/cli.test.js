@@ -0,0 +1,167 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { mkdir, writeFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import RustCore from '../src/core/rustCore.js';
+import { tempDir, fakeAddress, startMockNode } from './helpers.js';
+
+const CLI = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'src', 'index.js');
+const EXIT_VALIDATION = 2;
+
+/**
+ * Run the command line interface without the user's configuration and data
+ * Runs asynchronously, so a mock node in this process can answer it.
+ * @param {string} dir - Temporary directory holding the configuration and data
+ * @param {Array<string>} args - Arguments
+ * @param {Object} env - Additional environment variables
+ * @returns {Promise<Object>} { status, stdout, stderr }
+ */
+function runCLI(dir, args, env = {}) {
+  const childEnv = {
+    ...process.env,
+    XDG_CONFIG_HOME: path.join(dir, 'config'),
+    XDG_DATA_HOME: path.join(dir, 'data'),
+    PLATARIUM_CRYPTO_BACKEND: 'js',
+    ...env,
+  };
+  if (!env.PLATARIUM_NETWORK) {
+    delete childEnv.PLATARIUM_NETWORK;
+  }
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [CLI, ...args], { env: childEnv, timeout: 30000 });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', (chunk) => { stdout += chunk; });
+    child.stderr.on('data', (chunk) => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('close', status => resolve({ status, stdout, stderr }));
+  });
+}
+
+test('--timeout must be a number of seconds above 0', async (t) => {
+  const dir = await tempDir(t);
+  for (const value of ['abc', '0', '-5', 'Infinity']) {
+    const send = await runCLI(dir, ['send', '-w', 'main', '-t', fakeAddress('bob'), '--amount', '1', '--yes', '--wait', '--timeout', value]);
+    assert.equal(send.status, EXIT_VALIDATION, send.stderr);
+    assert.match(send.stderr, /Timeout must be a number of seconds above 0/);
+
+    const broadcast = await runCLI(dir, ['tx', 'broadcast', 'tx.signed.json', '--wait', '--timeout', value]);
+    assert.equal(broadcast.status, EXIT_VALIDATION, broadcast.stderr);
+    assert.match(broadcast.stderr, /Timeout must be a number of seconds above 0/);
+  }
+});
+
+test('--nonce must be a non-negative integer', async (t) => {
+  const dir = await tempDir(t);
+  for (const value of ['1.5', '-1', '1e3', 'abc']) {
+    const send = await runCLI(dir, ['send', '-w', 'main', '-t', fakeAddress('bob'), '--amount', '1', '--yes', '--nonce', value]);
+    assert.equal(send.status, EXIT_VALIDATION, send.stderr);
+    assert.match(send.stderr, /Nonce must be a non-negative integer/);
+
+    const create = await runCLI(dir, ['tx', 'create', '-f', fakeAddress('alice'), '-t', fakeAddress('bob'), '--amount', '1', '--nonce', value, '-o', path.join(dir, 'tx.json')]);
+    assert.equal(create.status, EXIT_VALIDATION, create.stderr);
+    assert.match(create.stderr, /Nonce must be a non-negative integer/);
+  }
+});
+
+test('a network that cannot be used is not accepted by config set', async (t) => {
+  const dir = await tempDir(t);
+
+  const unknown = await runCLI(dir, ['config', 'set', 'network', 'foo']);
+  assert.equal(unknown.status, 1);
+  assert.match(unknown.stderr, /unknown network "foo"/);
+
+  const noEndpoints = await runCLI(dir, ['config', 'set', 'network', 'mainnet']);
+  assert.equal(noEndpoints.status, 1);
+  assert.match(noEndpoints.stderr, /network "mainnet" has no REST URL/);
+});
+
+test('a broken network setting can still be listed and fixed', async (t) => {
+  const dir = await tempDir(t);
+  await mkdir(path.join(dir, 'config', 'platarium'), { recursive: true });
+  await writeFile(path.join(dir, 'config', 'platarium', 'config.json'), JSON.stringify({ network: 'foo' }));
+
+  const balance = await runCLI(dir, ['balance', '-a', fakeAddress('bob')]);
+  assert.equal(balance.status, 1);
+  assert.match(balance.stderr, /Invalid network/);
+
+  const networks = await runCLI(dir, ['networks', '--json']);
+  assert.equal(networks.status, 0, networks.stderr);
+  assert.ok(JSON.parse(networks.stdout).data.networks.every(n => !n.active));
+
+  const fixed = await runCLI(dir, ['config', 'set', 'network', 'local']);
+  assert.equal(fixed.status, 0, fixed.stderr);
+  assert.equal((await runCLI(dir, ['config', 'get', 'network'])).stdout.trim(), 'local');
+});
+
+test('a sent transaction that cannot be tracked locally still succeeds with a warning', async (t) => {
+  const dir = await tempDir(t);
+  const { server, network } = await startMockNode(t);
+  const env = {
+    PLATARIUM_NETWORK: 'local',
+    PLATARIUM_REST_URL: network.endpoints[0].rest,
+    PLATARIUM_WS_URL: network.endpoints[0].websocket,
+    PLATARIUM_DATA_DIR: path.join(dir, 'wallet-data'),
+    PLATARIUM_WALLET_PASSWORD: 'correct horse',
+  };
+
+  const created = await runCLI(dir, ['create', '--name', 'main', '--json'], env);
+  assert.equal(created.status, 0, created.stderr);
+  const { address } = JSON.parse(created.stdout).data;
+  server.fund(address, '10');
+
+  // A file where the pending list should go makes tracking fail
+  await writeFile(path.join(dir, 'wallet-data', 'transactions'), '');
+
+  const sent = await runCLI(dir, ['send', '-w', 'main', '-t', fakeAddress('bob'), '--amount', '1', '--nonce', '1', '--yes', '--json'], env);
+  assert.equal(sent.status, 0, sent.stderr);
+  assert.match(JSON.parse(sent.stdout).data.hash, /^[0-9a-f]{64}$/);
+  assert.match(sent.stderr, /Transaction sent, but it could not be added to the pending list/);
+  assert.equal(server.transactions.length, 1);
+});
+
+test('amounts are shown in canonical form', async (t) => {
+  const dir = await tempDir(t);
+  const { server, network } = await startMockNode(t);
+  const env = {
+    PLATARIUM_NETWORK: 'local',
+    PLATARIUM_REST_URL: network.endpoints[0].rest,
+    PLATARIUM_WS_URL: network.endpoints[0].websocket,
+    PLATARIUM_WALLET_PASSWORD: 'correct horse',
+  };
+
+  const created = await runCLI(dir, ['create', '--name', 'main', '--json'], env);
+  const { address } = JSON.parse(created.stdout).data;
+  server.fund(address, '10');
+
+  const sent = await runCLI(dir, ['send', '-w', 'main', '-t', fakeAddress('bob'), '--amount', '1.50', '--yes', '--json'], env);
+  assert.equal(sent.status, 0, sent.stderr);
+  assert.match(sent.stderr, /Amount: 1\.5 PLT/);
+  assert.equal(JSON.parse(sent.stdout).data.transaction.amount, '1.5');
+
+  const out = path.join(dir, 'tx.unsigned.json');
+  const txCreated = await runCLI(dir, ['tx', 'create', '-w', 'main', '-t', fakeAddress('bob'), '--amount', '002.250', '-o', out], env);
+  assert.equal(txCreated.status, 0, txCreated.stderr);
+  assert.match(txCreated.stdout, /Amount: 2\.25 PLT/);
+});
+
+test('the automatic crypto backend notes the fallback once on stderr', {
+  skip: new RustCore({ rustCore: { skipVersionCheck: true } }).isAvailable() && 'platarium-cli is installed',
+}, async (t) => {
+  const dir = await tempDir(t);
+  const { network } = await startMockNode(t);
+  const env = {
+    PLATARIUM_NETWORK: 'local',
+    PLATARIUM_REST_URL: network.endpoints[0].rest,
+    PLATARIUM_WS_URL: network.endpoints[0].websocket,
+    PLATARIUM_CRYPTO_BACKEND: 'auto',
+  };
+
+  const balance = await runCLI(dir, ['balance', '-a', fakeAddress('bob'), '--json'], env);
+  assert.equal(balance.status, 0, balance.stderr);
+  assert.deepEqual(balance.stderr.trim().split('\n'), ['⚠️  platarium-cli not found, using the pure-JavaScript crypto backend.']);
+  assert.equal(JSON.parse(balance.stdout).data.balance, '0');
+});
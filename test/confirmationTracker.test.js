@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import ConfirmationTracker from '../src/api/confirmationTracker.js';
+import ServerClient from '../src/api/serverClient.js';
+import NonceTracker from '../src/wallet/nonceTracker.js';
+import { tempDir, fakeAddress, startMockNode, FAST_CLIENT_OPTIONS } from './helpers.js';
+
+const ALICE = fakeAddress('alice');
+const BOB = fakeAddress('bob');
+const UNKNOWN_HASH = '00'.repeat(32);
+
+/**
+ * Confirmation tracker against a mock node, polling every 20 ms
+ * @param {Object} t - node:test context
+ * @param {Object} mockOptions - MockServer options
+ * @returns {Promise<Object>} { tracker, serverClient, nonceTracker }
+ */
+async function createTracker(t, mockOptions = {}) {
+  const { network } = await startMockNode(t, mockOptions);
+  const dir = await tempDir(t);
+  const serverClient = new ServerClient(network, FAST_CLIENT_OPTIONS);
+  t.after(() => serverClient.closeWebSocket());
+  const nonceTracker = new NonceTracker(path.join(dir, 'transactions'), { network: network.name });
+  const tracker = new ConfirmationTracker(serverClient, nonceTracker, { pollInterval: 20, confirmationTimeout: 200 });
+  return { tracker, serverClient, nonceTracker };
+}
+
+test('an included transaction is confirmed and leaves the pending list', async (t) => {
+  const { tracker, serverClient, nonceTracker } = await createTracker(t, { balances: { [ALICE]: '5' } });
+  const transaction = { from: ALICE, to: BOB, amount: '1', nonce: 1, timestamp: Date.now(), type: 'transfer', signature: 'ab' };
+  const { transaction: sent } = await serverClient.sendTransaction(transaction);
+  await nonceTracker.track(transaction, sent.hash);
+
+  const result = await tracker.waitForConfirmation(transaction, sent.hash);
+  assert.equal(result.state, 'confirmed');
+  assert.deepEqual(await nonceTracker.getPending(ALICE), []);
+});
+
+test('a confirmed transaction that cannot leave the pending list is still confirmed', async (t) => {
+  const { tracker, serverClient, nonceTracker } = await createTracker(t, { balances: { [ALICE]: '5' } });
+  const transaction = { from: ALICE, to: BOB, amount: '1', nonce: 1, timestamp: Date.now(), type: 'transfer', signature: 'ab' };
+  const { transaction: sent } = await serverClient.sendTransaction(transaction);
+  t.mock.method(nonceTracker, 'remove', async () => {
+    throw new Error('disk full');
+  });
+  const warnings = [];
+  t.mock.method(console, 'warn', (...args) => warnings.push(args.join(' ')));
+
+  const result = await tracker.waitForConfirmation(transaction, sent.hash);
+  assert.equal(result.state, 'confirmed');
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /could not be removed from the pending list: disk full/);
+});
+
+test('a timeout that is not a finite number falls back to the configured one', async (t) => {
+  const { tracker } = await createTracker(t);
+  const transaction = { from: ALICE, nonce: 1 };
+
+  for (const timeout of [NaN, Infinity, undefined]) {
+    const startedAt = Date.now();
+    const result = await tracker.waitForConfirmation(transaction, UNKNOWN_HASH, { timeout });
+    assert.equal(result.state, 'timeout');
+    assert.ok(Date.now() - startedAt < 1000, `timeout ${timeout} was not replaced`);
+  }
+});
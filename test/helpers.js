@@ -0,0 +1,200 @@
+import { mkdtemp, rm } from 'fs/promises';
+import { createHash } from 'crypto';
+import os from 'os';
+import path from 'path';
+import inquirer from 'inquirer';
+import MockServer from '../src/dev/mockServer.js';
+import { resolveNetwork } from '../src/core/networks.js';
+
+/**
+ * Test helpers - Temp directories, a fake crypto backend, the mock node and scripted prompts
+ */
+
+/**
+ * Create a temporary directory removed after the test
+ * @param {Object} t - node:test context
+ * @returns {Promise<string>} Directory path
+ */
+export async function tempDir(t) {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'platarium-test-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Address derived by FakeRustCore
+ * @param {string} seed - Any string
+ * @returns {string} Px + 64 hex characters
+ */
+export function fakeAddress(seed) {
+  return `Px${createHash('sha256').update(seed).digest('hex')}`;
+}
+
+/**
+ * Fake Rust Core - Same interface as RustCore/JsCrypto, deterministic and instant
+ * Keys are hashes of mnemonic, code and index; signatures are hashes of message and key.
+ */
+export class FakeRustCore {
+  constructor() {
+    this.generated = 0;
+    this.signed = []; // Messages passed to signMessage
+  }
+
+  /**
+   * @param {number} seedIndex - Seed index
+   * @returns {Promise<Object>} Keys of a new mnemonic
+   */
+  async generateKeys(seedIndex = 0) {
+    this.generated++;
+    return this.restoreKeys(`fake mnemonic ${this.generated}`, `code${this.generated}`, seedIndex);
+  }
+
+  /**
+   * @param {string} mnemonic - Mnemonic
+   * @param {string} alphanumeric - Alphanumeric code
+   * @param {number} seedIndex - Seed index
+   * @returns {Promise<Object>} Keys
+   */
+  async restoreKeys(mnemonic, alphanumeric, seedIndex = 0) {
+    const publicKey = fakeAddress(`${mnemonic}|${alphanumeric}|${seedIndex}`);
+    return {
+      publicKey,
+      privateKey: createHash('sha256').update(`private|${publicKey}`).digest('hex'),
+      mnemonic,
+      alphanumericPart: alphanumeric,
+      derivationPaths: { mainPath: `m/44'/60'/0'/${seedIndex}'` },
+    };
+  }
+
+  /**
+   * @param {Object} message - Message
+   * @param {string} mnemonic - Mnemonic
+   * @param {string} alphanumeric - Alphanumeric code
+   * @param {number} seedIndex - Seed index
+   * @returns {Promise<Object>} Signature result
+   */
+  async signMessage(message, mnemonic, alphanumeric, seedIndex = 0) {
+    const { publicKey } = await this.restoreKeys(mnemonic, alphanumeric, seedIndex);
+    this.signed.push(message);
+    return { signatures: [{ signature_compact: fakeSignature(message, publicKey) }] };
+  }
+
+  /**
+   * @param {Object} message - Message
+   * @param {string} signature - Signature
+   * @param {string} pubkey - Address
+   * @returns {Promise<boolean>}
+   */
+  async verifySignature(message, signature, pubkey) {
+    return signature === fakeSignature(message, pubkey);
+  }
+
+  async close() {}
+}
+
+/**
+ * Signature produced by FakeRustCore
+ * @param {Object} message - Message
+ * @param {string} publicKey - Address
+ * @returns {string} Hex signature
+ */
+function fakeSignature(message, publicKey) {
+  return createHash('sha256').update(`${publicKey}|${JSON.stringify(message)}`).digest('hex');
+}
+
+/**
+ * Start a mock node on a random port, stopped after the test
+ * FakeRustCore signatures cannot be checked by the mock, so verification is off.
+ * @param {Object} t - node:test context
+ * @param {Object} options - MockServer options
+ * @returns {Promise<Object>} { server, network } - network is a resolved profile pointing at it
+ */
+export async function startMockNode(t, options = {}) {
+  const server = new MockServer({ port: 0, verifySignatures: false, ...options });
+  const urls = await server.start();
+  t.after(() => server.stop());
+
+  const network = resolveNetwork({
+    network: 'local',
+    networks: {
+      local: { label: 'Test', chainId: 'platarium-local', rest: { baseUrl: urls.rest }, websocket: { url: urls.websocket } },
+    },
+  });
+  return { server, network };
+}
+
+/**
+ * Fast ServerClient options for tests (short backoff, no long waits)
+ */
+export const FAST_CLIENT_OPTIONS = {
+  requests: { retries: 2, backoff: 5, maxBackoff: 20, timeouts: { balance: 500, transaction: 500, transactions: 500 } },
+  reconnect: { backoff: 20, maxBackoff: 100 },
+};
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Checked every 10 ms
+ * @param {number} timeout - Milliseconds
+ * @returns {Promise<void>}
+ */
+export async function waitFor(condition, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * Answer inquirer prompts from a script
+ * Every inquirer.prompt() call takes the next answer set. Unanswered questions get
+ * their default, and answers are checked with the question's validate function,
+ * so a script cannot feed input the real prompt would refuse.
+ * @param {Object} t - node:test context
+ * @param {Array<Object>} script - Answer sets, one per prompt() call
+ * @returns {Object} { questions } - Questions asked, per call
+ */
+export function scriptPrompts(t, script) {
+  const remaining = [...script];
+  const asked = { questions: [] };
+
+  t.mock.method(inquirer, 'prompt', async (questions) => {
+    asked.questions.push(questions);
+    if (remaining.length === 0) {
+      throw new Error(`Unexpected prompt: ${questions.map(q => q.message).join(', ')}`);
+    }
+    const given = remaining.shift();
+    const answers = {};
+    for (const question of questions) {
+      const value = question.name in given ? given[question.name] : question.default;
+      if (question.validate) {
+        const valid = await question.validate(value, answers);
+        if (valid !== true) {
+          throw new Error(`Scripted answer for "${question.name}" rejected: ${valid}`);
+        }
+      }
+      answers[question.name] = value;
+    }
+    return answers;
+  });
+
+  t.after(() => {
+    if (remaining.length > 0) {
+      throw new Error(`${remaining.length} scripted answer set(s) were not used`);
+    }
+  });
+  return asked;
+}
+
+/**
+ * Capture console.log output during a test
+ * @param {Object} t - node:test context
+ * @returns {Function} Returns everything logged so far, colours stripped
+ */
+export function captureOutput(t) {
+  const lines = [];
+  t.mock.method(console, 'log', (...args) => lines.push(args.join(' ')));
+  return () => lines.join('\n').replace(/\x1b\[[0-9;]*m/g, '');
+}
@@ -0,0 +1,264 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import InteractiveCLI from '../src/cli/interactive.js';
+import WalletManager from '../src/wallet/walletManager.js';
+import MessageStorage from '../src/messaging/messageStorage.js';
+import NonceTracker from '../src/wallet/nonceTracker.js';
+import ConfirmationTracker from '../src/api/confirmationTracker.js';
+import ServerClient from '../src/api/serverClient.js';
+import AccountEvents from '../src/api/accountEvents.js';
+import { PlatariumClient } from '../src/sdk.js';
+import { parseAmount } from '../src/wallet/amount.js';
+import {
+  tempDir,
+  fakeAddress,
+  FakeRustCore,
+  startMockNode,
+  scriptPrompts,
+  captureOutput,
+  waitFor,
+  FAST_CLIENT_OPTIONS,
+} from './helpers.js';
+
+const PASSWORD = 'correct horse';
+const BOB = fakeAddress('bob');
+
+/**
+ * Interactive CLI wired like src/index.js, against a mock node and temporary storage
+ * @param {Object} t - node:test context
+ * @param {Object} mockOptions - MockServer options
+ * @returns {Promise<Object>} { cli, client, server, network, walletManager, serverClient, messageStorage, nonceTracker }
+ */
+async function createCLI(t, mockOptions = {}) {
+  const { server, network } = await startMockNode(t, mockOptions);
+  const dir = await tempDir(t);
+
+  const config = { network: network.name, networks: { [network.name]: network }, paths: { wallets: path.join(dir, 'wallets') } };
+  const crypto = new FakeRustCore();
+  const walletManager = new WalletManager(config, crypto);
+  const serverClient = new ServerClient(network, FAST_CLIENT_OPTIONS);
+  t.after(() => serverClient.closeWebSocket());
+  const messageStorage = new MessageStorage(path.join(dir, 'messages'), { network: network.name });
+  await messageStorage.init();
+  const nonceTracker = new NonceTracker(path.join(dir, 'transactions'), { network: network.name });
+  const confirmationTracker = new ConfirmationTracker(serverClient, nonceTracker, { pollInterval: 20, confirmationTimeout: 1000 });
+
+  const client = new PlatariumClient({
+    config,
+    network,
+    crypto,
+    serverClient,
+    walletManager,
+    messageStorage,
+    nonceTracker,
+    confirmationTracker,
+    accountEvents: new AccountEvents(serverClient, { pollInterval: 50 }),
+  });
+  t.after(() => client.accountEvents.unwatchAll());
+
+  const cli = new InteractiveCLI(client);
+  return { cli, client, server, network, walletManager, serverClient, messageStorage, nonceTracker };
+}
+
+test('creating a wallet asks for a name and a confirmed password', async (t) => {
+  const { cli, walletManager } = await createCLI(t);
+  const output = captureOutput(t);
+  const asked = scriptPrompts(t, [
+    { name: 'main' },
+    { password: PASSWORD, confirm: PASSWORD },
+  ]);
+
+  await cli.handleCreateWallet();
+
+  const wallet = walletManager.getCurrentWallet();
+  assert.equal(wallet.name, 'main');
+  assert.equal(wallet.seedIndex, 0);
+  assert.equal(asked.questions[1][0].type, 'password');
+  assert.match(output(), new RegExp(`Address: ${wallet.address}`));
+  assert.match(output(), /Save your mnemonic phrase/);
+
+  const [listed] = await walletManager.listWallets();
+  assert.equal(listed.encrypted, true);
+});
+
+test('mismatched password confirmation is refused', async (t) => {
+  const { cli, walletManager } = await createCLI(t);
+  captureOutput(t);
+  scriptPrompts(t, [
+    { name: 'main' },
+    { password: PASSWORD, confirm: 'something else' },
+  ]);
+
+  await assert.rejects(cli.handleCreateWallet(), /Passwords do not match/);
+  assert.deepEqual(await walletManager.listWallets(), []);
+});
+
+test('loading a wallet decrypts it and registers it for messaging', async (t) => {
+  const { cli, server, walletManager } = await createCLI(t);
+  const created = await walletManager.createWallet('main', 0, PASSWORD);
+  walletManager.currentWallet = null;
+  const output = captureOutput(t);
+  scriptPrompts(t, [
+    { filename: created.filename },
+    { password: PASSWORD },
+  ]);
+
+  await cli.handleLoadWallet();
+
+  assert.equal(walletManager.getCurrentWallet().address, created.address);
+  assert.equal(server.clients.get(created.address)?.size, 1);
+  assert.match(output(), /Address registered for messaging/);
+});
+
+test('a wrong password leaves no wallet loaded', async (t) => {
+  const { cli, walletManager } = await createCLI(t);
+  const created = await walletManager.createWallet('main', 0, PASSWORD);
+  walletManager.currentWallet = null;
+  captureOutput(t);
+  scriptPrompts(t, [
+    { filename: created.filename },
+    { password: 'wrong password' },
+  ]);
+
+  await cli.handleLoadWallet();
+  assert.equal(walletManager.getCurrentWallet(), null);
+});
+
+test('sending uses the next nonce and waits for confirmation', async (t) => {
+  const { cli, server, walletManager, nonceTracker } = await createCLI(t);
+  const wallet = await walletManager.createWallet('main', 0, PASSWORD);
+  server.fund(wallet.address, '10');
+  const output = captureOutput(t);
+  const asked = scriptPrompts(t, [
+    { to: BOB, amount: '4' },
+  ]);
+
+  await cli.handleSendTransaction();
+
+  // Nonce offered as default: nonces start at 1
+  assert.equal(asked.questions[0].find(q => q.name === 'nonce').default, 1);
+  assert.equal(server.transactions.length, 1);
+  assert.equal(server.transactions[0].nonce, 1);
+  assert.equal(server.transactions[0].status, 'confirmed');
+  assert.equal(server.balanceOf(BOB), parseAmount('4'));
+  assert.deepEqual(await nonceTracker.getPending(wallet.address), []);
+  assert.match(output(), /Hash: [0-9a-f]{64}/);
+});
+
+test('a sent transaction that cannot be tracked is reported as sent', async (t) => {
+  const { cli, server, walletManager, nonceTracker } = await createCLI(t);
+  const wallet = await walletManager.createWallet('main', 0, PASSWORD);
+  server.fund(wallet.address, '10');
+  t.mock.method(nonceTracker, 'track', async () => {
+    throw new Error('disk full');
+  });
+  const output = captureOutput(t);
+  scriptPrompts(t, [
+    { to: BOB, amount: '4' },
+  ]);
+
+  await cli.handleSendTransaction();
+
+  assert.equal(server.transactions.length, 1);
+  assert.equal(nonceTracker.track.mock.callCount(), 1);
+  assert.match(output(), /Transaction sent, but it could not be added to the pending list: disk full/);
+  assert.match(output(), /Hash: [0-9a-f]{64}/);
+  assert.doesNotMatch(output(), /Make sure the server is running/);
+});
+
+test('a rejected transaction shows the reason and releases the nonce', async (t) => {
+  const { cli, server, walletManager, nonceTracker } = await createCLI(t);
+  const wallet = await walletManager.createWallet('main', 0, PASSWORD);
+  const output = captureOutput(t);
+  scriptPrompts(t, [
+    { to: BOB, amount: '1' },
+  ]);
+
+  await cli.handleSendTransaction();
+
+  assert.equal(server.transactions.length, 0);
+  assert.deepEqual(await nonceTracker.getPending(wallet.address), []);
+  assert.match(output(), /The server rejected the request/);
+});
+
+test('watch-only wallets cannot send', async (t) => {
+  const { cli, walletManager } = await createCLI(t);
+  await walletManager.addWatchWallet('watched', BOB);
+  const output = captureOutput(t);
+  scriptPrompts(t, []);
+
+  await cli.handleSendTransaction();
+  assert.match(output(), /watch-only and cannot send/);
+});
+
+test('messages are sent, stored and counted as unread for the recipient', async (t) => {
+  const { cli, network, walletManager, messageStorage } = await createCLI(t);
+  const wallet = await walletManager.createWallet('main', 0, PASSWORD);
+
+  // Recipient online on its own connection
+  const bob = new ServerClient(network, FAST_CLIENT_OPTIONS);
+  t.after(() => bob.closeWebSocket());
+  const received = [];
+  bob.on('message', data => received.push(data.text));
+  await bob.registerAddress(BOB);
+
+  captureOutput(t);
+  scriptPrompts(t, [
+    { action: 'new' },
+    { to: BOB, text: 'hello bob' },
+    { action: 'back' },
+  ]);
+
+  await cli.handleMessages();
+
+  await waitFor(() => received.length > 0);
+  assert.deepEqual(received, ['hello bob']);
+  assert.deepEqual((await messageStorage.getMessages(wallet.address, BOB)).map(m => m.text), ['hello bob']);
+  assert.equal(await messageStorage.getUnreadCount(BOB), 1);
+  assert.equal(await messageStorage.getUnreadCount(wallet.address), 0);
+});
+
+test('the main menu shows unread messages and opening the dialog reads them', async (t) => {
+  const { cli, walletManager, messageStorage } = await createCLI(t);
+  const wallet = await walletManager.createWallet('main', 0, PASSWORD);
+  await messageStorage.addMessage(BOB, wallet.address, 'are you there?');
+  captureOutput(t);
+  const asked = scriptPrompts(t, [
+    { action: 'messages' },
+    { action: BOB },
+    { action: 'back' },
+    { action: 'back' },
+  ]);
+
+  assert.equal(await cli.showMainMenu(), 'messages');
+  const choices = asked.questions[0][0].choices.map(c => c.name);
+  assert.ok(choices.includes('💬 Messages (1 new)'));
+
+  await cli.handleMessages();
+  assert.equal(await messageStorage.getUnreadCount(wallet.address), 0);
+});
+
+test('switching networks moves every component of the client', async (t) => {
+  const { cli, client, walletManager, serverClient, messageStorage, nonceTracker } = await createCLI(t);
+  const other = await startMockNode(t);
+  client.config.networks.other = { ...other.network, name: 'other', label: 'Other' };
+  await walletManager.createWallet('main', 0, PASSWORD);
+  cli.syncAccountEvents();
+  assert.ok(cli.watchedAccount);
+  const unwatchAll = t.mock.method(client.accountEvents, 'unwatchAll');
+  scriptPrompts(t, [{ name: 'other' }]);
+  const output = captureOutput(t);
+
+  await cli.handleSwitchNetwork();
+
+  assert.equal(client.network.name, 'other');
+  assert.equal(serverClient.network.name, 'other');
+  assert.equal(walletManager.network, 'other');
+  assert.equal(nonceTracker.network, 'other');
+  assert.equal(messageStorage.network, 'other');
+  assert.equal(unwatchAll.mock.callCount(), 1);
+  assert.equal(cli.watchedAccount, null);
+  assert.match(output(), /Switched to Other \(other\)/);
+  assert.match(output(), /Wallet "main" belongs to local and was unloaded/);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import JsCrypto, { mnemonicToSeed, deriveHardened } from '../src/core/jsCrypto.js';
+import TEST_VECTORS, { BIP39_VECTORS, BIP32_VECTORS } from '../src/core/testVectors.js';
+import { InvalidMnemonicError, InvalidSeedIndexError } from '../src/core/errors.js';
+
+// secp256k1 group order / 2 (signatures must be low-S)
+const HALF_CURVE_ORDER = BigInt('0xFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEBAAEDCE6AF48A03BBFD25E8CD0364141') >> 1n;
+
+const crypto = new JsCrypto({});
+
+test('mnemonics give the BIP39 reference seeds', async () => {
+  for (const vector of BIP39_VECTORS) {
+    assert.equal((await mnemonicToSeed(vector.mnemonic, vector.passphrase)).toString('hex'), vector.seed);
+  }
+});
+
+test('hardened derivation gives the BIP32 reference keys', () => {
+  for (const vector of BIP32_VECTORS) {
+    assert.equal(deriveHardened(Buffer.from(vector.seed, 'hex'), vector.path).toString('hex'), vector.privateKey);
+  }
+});
+
+test('test vectors derive the expected keys and addresses', async () => {
+  for (const vector of TEST_VECTORS) {
+    for (const seedIndex of vector.seedIndexes) {
+      const keys = await crypto.restoreKeys(vector.mnemonic, vector.alphanumeric, seedIndex);
+      assert.equal(keys.privateKey, vector.expected.keys[seedIndex].privateKey, `private key #${seedIndex}`);
+      assert.equal(keys.publicKey, vector.expected.keys[seedIndex].publicKey, `address #${seedIndex}`);
+      assert.equal(keys.derivationPaths.mainPath, `m/44'/60'/0'/${seedIndex}'`);
+    }
+  }
+});
+
+test('the expected signatures verify and new signatures are low-S', async () => {
+  for (const vector of TEST_VECTORS) {
+    const { publicKey } = vector.expected.keys[0];
+    assert.equal(await crypto.verifySignature(vector.message, vector.expected.signature, publicKey), true);
+    assert.equal(await crypto.verifySignature({ ...vector.message, tampered: true }, vector.expected.signature, publicKey), false);
+    assert.equal(await crypto.verifySignature(vector.message, vector.expected.signature, vector.expected.keys[vector.seedIndexes[1]].publicKey), false);
+
+    const result = await crypto.signMessage(vector.message, vector.mnemonic, vector.alphanumeric, 0);
+    const [{ signature_compact: compact, der }] = result.signatures;
+    assert.equal(result.hash, vector.expected.messageHash);
+    assert.ok(BigInt(`0x${compact.slice(64)}`) <= HALF_CURVE_ORDER);
+    assert.equal(await crypto.verifySignature(vector.message, compact, publicKey), true);
+    assert.equal(await crypto.verifySignature(vector.message, der, publicKey), true);
+  }
+});
+
+test('invalid mnemonics and seed indexes are rejected', async () => {
+  const [vector] = TEST_VECTORS;
+  const wrongChecksum = vector.mnemonic.replace(/ art$/, ' abandon');
+  await assert.rejects(crypto.restoreKeys(wrongChecksum, vector.alphanumeric, 0), InvalidMnemonicError);
+  await assert.rejects(crypto.restoreKeys('not a mnemonic', vector.alphanumeric, 0), InvalidMnemonicError);
+  await assert.rejects(crypto.restoreKeys(vector.mnemonic, vector.alphanumeric, -1), InvalidSeedIndexError);
+});
+
+test('generated mnemonics are valid 24-word phrases', async () => {
+  const { mnemonic, alphanumericPart } = await crypto.generateMnemonic();
+  assert.equal(mnemonic.split(' ').length, 24);
+  assert.match(alphanumericPart, /^[A-Z0-9]{10}$/);
+  assert.doesNotThrow(() => crypto.validateMnemonic(mnemonic));
+});
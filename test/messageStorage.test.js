@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdir, readFile, writeFile } from 'fs/promises';
+import path from 'path';
+import MessageStorage from '../src/messaging/messageStorage.js';
+import { tempDir, fakeAddress } from './helpers.js';
+
+const ALICE = fakeAddress('alice');
+const BOB = fakeAddress('bob');
+const CAROL = fakeAddress('carol');
+
+/**
+ * Initialized storage in a temporary directory
+ * @param {Object} t - node:test context
+ * @param {Object} options - MessageStorage options
+ * @returns {Promise<MessageStorage>}
+ */
+async function createStorage(t, options = { network: 'local' }) {
+  const storage = new MessageStorage(await tempDir(t), options);
+  await storage.init();
+  return storage;
+}
+
+test('dialog id does not depend on the order of the participants', async (t) => {
+  const storage = await createStorage(t);
+
+  assert.equal(storage.getDialogPath(ALICE, BOB), storage.getDialogPath(BOB, ALICE));
+  assert.notEqual(storage.getDialogPath(ALICE, BOB), storage.getDialogPath(ALICE, CAROL));
+
+  await storage.addMessage(ALICE, BOB, 'hi');
+  await storage.addMessage(BOB, ALICE, 'hello');
+  assert.deepEqual(await readdir(storage.dialogsPath), [path.basename(storage.getDialogPath(ALICE, BOB))]);
+});
+
+test('dialog file names stay short and free of path characters', async (t) => {
+  const storage = await createStorage(t);
+  const long = `Px${'a'.repeat(130)}`;
+
+  const name = path.basename(storage.getDialogPath(long, `../${long}`), '.json');
+  assert.ok(name.length <= 200);
+  assert.match(name, /^[a-zA-Z0-9_]+$/);
+});
+
+test('messages are returned in timestamp order and limited to the latest', async (t) => {
+  const storage = await createStorage(t);
+  await storage.addMessage(ALICE, BOB, 'third', 3000);
+  await storage.addMessage(BOB, ALICE, 'first', 1000);
+  await storage.addMessage(ALICE, BOB, 'second', 2000);
+
+  const messages = await storage.getMessages(BOB, ALICE);
+  assert.deepEqual(messages.map(m => m.text), ['first', 'second', 'third']);
+  assert.deepEqual((await storage.getMessages(ALICE, BOB, 2)).map(m => m.text), ['second', 'third']);
+  assert.ok(messages.every(m => m.network === 'local'));
+});
+
+test('a dialog with yourself is listed once with yourself as the other participant', async (t) => {
+  const storage = await createStorage(t);
+  await storage.addMessage(ALICE, ALICE, 'note to self');
+
+  const dialogs = await storage.getDialogs(ALICE);
+  assert.equal(dialogs.length, 1);
+  assert.equal(dialogs[0].otherParticipant, ALICE);
+  assert.deepEqual(dialogs[0].participants, [ALICE, ALICE]);
+  assert.equal(dialogs[0].lastMessage.text, 'note to self');
+  assert.deepEqual(await storage.getDialogs(BOB), []);
+});
+
+test('unread counts only include messages to the address until they are read', async (t) => {
+  const storage = await createStorage(t);
+  await storage.addMessage(BOB, ALICE, 'one', 1000);
+  await storage.addMessage(BOB, ALICE, 'two', 2000);
+  await storage.addMessage(ALICE, BOB, 'reply', 3000);
+  await storage.addMessage(CAROL, ALICE, 'hey', 4000);
+
+  assert.equal(await storage.getUnreadCount(ALICE), 3);
+  assert.equal(await storage.getUnreadCount(BOB), 1);
+
+  const dialogs = await storage.getDialogs(ALICE);
+  // Most recent dialog first
+  assert.deepEqual(dialogs.map(d => [d.otherParticipant, d.unreadCount]), [[CAROL, 1], [BOB, 2]]);
+
+  await storage.markAsRead(ALICE, BOB, ALICE);
+  assert.equal(await storage.getUnreadCount(ALICE), 1);
+  assert.equal(await storage.getUnreadCount(BOB), 1);
+});
+
+test('messages of other networks are hidden', async (t) => {
+  const storage = await createStorage(t);
+  await storage.addMessage(BOB, ALICE, 'local message');
+
+  const other = new MessageStorage(storage.storagePath, { network: 'mainnet' });
+  assert.deepEqual(await other.getDialogs(ALICE), []);
+  assert.deepEqual(await other.getMessages(ALICE, BOB), []);
+  assert.equal(await other.getUnreadCount(ALICE), 0);
+
+  await other.addMessage(BOB, ALICE, 'mainnet message');
+  assert.deepEqual((await other.getMessages(ALICE, BOB)).map(m => m.text), ['mainnet message']);
+  assert.deepEqual((await storage.getMessages(ALICE, BOB)).map(m => m.text), ['local message']);
+});
+
+test('messages without a network belong to the legacy network', async (t) => {
+  const storage = await createStorage(t, {});
+  const dialogPath = storage.getDialogPath(ALICE, BOB);
+  await writeFile(dialogPath, JSON.stringify({
+    participants: [ALICE, BOB].sort(),
+    messages: [{ id: '1', from: BOB, to: ALICE, text: 'old', timestamp: 1000, read: false }],
+  }));
+
+  assert.equal(storage.network, 'testnet');
+  assert.equal(await storage.getUnreadCount(ALICE), 1);
+});
+
+test('contacts are recorded once per address and corrupted dialogs are skipped', async (t) => {
+  const storage = await createStorage(t);
+  await storage.addMessage(ALICE, BOB, 'hi');
+  await storage.addMessage(BOB, ALICE, 'hi back');
+  await writeFile(path.join(storage.dialogsPath, 'broken.json'), '{ not json');
+
+  const contacts = await storage.getContacts();
+  assert.deepEqual(contacts.map(c => c.address).sort(), [ALICE, BOB].sort());
+  assert.equal((await storage.getDialogs(ALICE)).length, 1);
+  assert.deepEqual(JSON.parse(await readFile(storage.contactsPath, 'utf-8')), contacts);
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chmod, readFile, writeFile } from 'fs/promises';
+import path from 'path';
+import RustCore from '../src/core/rustCore.js';
+import { tempDir } from './helpers.js';
+
+const MNEMONIC = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+
+/**
+ * Stand-in for platarium-cli whose worker always crashes on start
+ * Every invocation is appended to calls.log.
+ * @param {string} dir - Temporary directory
+ * @returns {Promise<Object>} { binary, calls() }
+ */
+async function fakeBinary(dir) {
+  const binary = path.join(dir, 'platarium-cli');
+  const log = path.join(dir, 'calls.log');
+  await writeFile(binary, `#!${process.execPath}
+const { appendFileSync } = require('fs');
+const args = process.argv.slice(2);
+appendFileSync(${JSON.stringify(log)}, args.join(' ') + '\\n');
+if (args[0] === '--help') {
+  console.log('Commands:\\n  worker\\n  generate-mnemonic');
+} else if (args[1] === '--help') {
+  console.log('Options:\\n  --json');
+} else if (args[0] === 'worker') {
+  console.error('worker crashed');
+  process.exit(1);
+} else if (args[0] === 'generate-mnemonic') {
+  console.log(JSON.stringify({ mnemonic: ${JSON.stringify(MNEMONIC)}, alphanumeric: 'ABC123' }));
+}
+`);
+  await chmod(binary, 0o755);
+  return {
+    binary,
+    calls: async () => (await readFile(log, 'utf-8')).trim().split('\n'),
+  };
+}
+
+/**
+ * RustCore using the fake binary
+ * @param {string} binary - Path to the fake platarium-cli
+ * @param {Object} rustCore - config.rustCore
+ * @returns {RustCore}
+ */
+function createCore(binary, rustCore = {}) {
+  const core = new RustCore({ rustCore: { skipVersionCheck: true, ...rustCore } });
+  core.binaryPath = binary;
+  return core;
+}
+
+test('a request that exhausts the worker restarts falls back to one process per call', async (t) => {
+  const { binary, calls } = await fakeBinary(await tempDir(t));
+  const core = createCore(binary);
+  t.after(() => core.close());
+  const warnings = [];
+  t.mock.method(console, 'warn', (...args) => warnings.push(args.join(' ')));
+
+  // Two recent crashes: the next one reaches the limit while the request is retried
+  await core.useWorker();
+  core.worker.crashes.push(Date.now(), Date.now());
+
+  assert.deepEqual(await core.generateMnemonic(), { mnemonic: MNEMONIC, alphanumericPart: 'ABC123' });
+  assert.equal(core.workerEnabled, false);
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /falling back to one process per call/);
+  assert.deepEqual((await calls()).filter(call => !call.includes('--help')), ['worker', 'generate-mnemonic --json']);
+
+  // Later requests no longer try the worker
+  await core.generateMnemonic();
+  assert.equal((await calls()).filter(call => call === 'worker').length, 1);
+});
+
+test('with the worker disabled every request runs its own process', async (t) => {
+  const { binary, calls } = await fakeBinary(await tempDir(t));
+  const core = createCore(binary, { worker: false });
+  t.after(() => core.close());
+
+  assert.deepEqual(await core.generateMnemonic(), { mnemonic: MNEMONIC, alphanumericPart: 'ABC123' });
+  assert.equal(core.worker, null);
+  assert.deepEqual((await calls()).filter(call => !call.includes('--help')), ['generate-mnemonic --json']);
+});
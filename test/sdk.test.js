@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { createPlatariumClient, PlatariumClient, loadConfig } from '../src/sdk.js';
+import { tempDir, fakeAddress, FakeRustCore, startMockNode } from './helpers.js';
+
+/**
+ * Environment without the user's configuration files
+ * @param {string} dir - Temporary directory
+ * @returns {Object} Environment variables
+ */
+function isolatedEnv(dir) {
+  return { XDG_CONFIG_HOME: path.join(dir, 'config'), XDG_DATA_HOME: path.join(dir, 'data') };
+}
+
+test('the client wires the components for the selected network and data directory', async (t) => {
+  const dir = await tempDir(t);
+  const { network } = await startMockNode(t);
+  const crypto = new FakeRustCore();
+  const client = await createPlatariumClient({
+    env: isolatedEnv(dir),
+    network: 'local',
+    flags: { restUrl: network.endpoints[0].rest, wsUrl: network.endpoints[0].websocket },
+    paths: { data: path.join(dir, 'service') },
+    crypto,
+  });
+  t.after(() => client.close());
+
+  assert.ok(client instanceof PlatariumClient);
+  assert.equal(client.network.name, 'local');
+  assert.equal(client.serverClient.restBaseUrl, network.endpoints[0].rest);
+  assert.equal(client.walletManager.rustCore, crypto);
+  assert.equal(client.walletManager.walletsDir, path.join(dir, 'service', 'wallets'));
+  assert.equal(client.messageStorage.storagePath, path.join(dir, 'service', 'messages'));
+  assert.equal(client.nonceTracker.storagePath, path.join(dir, 'service', 'transactions'));
+  assert.ok(client.accountEvents);
+
+  const wallet = await client.walletManager.createWallet('service', 0, 'correct horse');
+  assert.equal(await client.serverClient.getBalance(wallet.address), '0');
+});
+
+test('a loaded configuration can be passed in and adjusted', async (t) => {
+  const dir = await tempDir(t);
+  const { config } = await loadConfig({ env: isolatedEnv(dir) });
+  const client = await createPlatariumClient({
+    config: { ...config, notifications: { enabled: false } },
+    paths: { wallets: path.join(dir, 'keys') },
+    crypto: new FakeRustCore(),
+  });
+  t.after(() => client.close());
+
+  assert.equal(client.network.name, config.network);
+  assert.equal(client.accountEvents, null);
+  assert.equal(client.walletManager.walletsDir, path.join(dir, 'keys'));
+  assert.equal(client.messageStorage.storagePath, config.paths.messages);
+});
+
+test('switching networks moves every component and unloads the wallet', async (t) => {
+  const dir = await tempDir(t);
+  const client = await createPlatariumClient({ env: isolatedEnv(dir), network: 'local', crypto: new FakeRustCore() });
+  t.after(() => client.close());
+  await client.walletManager.createWallet('local wallet', 0, 'correct horse');
+
+  const network = client.setNetwork('testnet');
+  assert.equal(network.name, 'testnet');
+  assert.equal(client.serverClient.network.name, 'testnet');
+  assert.equal(client.walletManager.network, 'testnet');
+  assert.equal(client.nonceTracker.network, 'testnet');
+  assert.equal(client.messageStorage.network, 'testnet');
+  assert.equal(client.walletManager.getCurrentWallet(), null);
+
+  assert.throws(() => client.setNetwork('nope'), /Unknown network "nope"/);
+  assert.equal(client.network.name, 'testnet');
+});
+
+test('clients in one process keep their own token precision', async (t) => {
+  const dir = await tempDir(t);
+  const { config } = await loadConfig({ env: isolatedEnv(dir) });
+  const create = async (name, decimals) => {
+    const client = await createPlatariumClient({
+      config: { ...config, token: { decimals } },
+      network: 'local',
+      paths: { data: path.join(dir, name) },
+      crypto: new FakeRustCore(),
+    });
+    t.after(() => client.close());
+    await client.walletManager.createWallet(name, 0, 'correct horse');
+    return client;
+  };
+  const fine = await create('fine', 6);
+  const coarse = await create('coarse', 2);
+
+  assert.equal(fine.decimals, 6);
+  assert.equal(coarse.decimals, 2);
+  const transfer = (client) => client.walletManager.signTransaction({
+    from: client.walletManager.getCurrentWallet().address,
+    to: fakeAddress('bob'),
+    amount: '1.005000',
+    nonce: 1,
+  });
+  assert.equal((await transfer(fine)).amount, '1.005');
+  await assert.rejects(transfer(coarse), /more than 2 decimal places/);
+});
+
+test('an injected crypto backend is left open', async (t) => {
+  const dir = await tempDir(t);
+  const crypto = new FakeRustCore();
+  t.mock.method(crypto, 'close');
+  const client = await createPlatariumClient({ env: isolatedEnv(dir), network: 'local', crypto });
+
+  await client.close();
+  assert.equal(crypto.close.mock.callCount(), 0);
+});
+
+test('unknown networks are rejected', async (t) => {
+  const dir = await tempDir(t);
+  await assert.rejects(createPlatariumClient({ env: isolatedEnv(dir), network: 'nope', crypto: new FakeRustCore() }), /Unknown network "nope"/);
+});
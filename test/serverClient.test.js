@@ -0,0 +1,231 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'crypto';
+import ServerClient from '../src/api/serverClient.js';
+import { RequestError, ServerError, TimeoutError, NetworkError, TlsError } from '../src/api/errors.js';
+import { resolveNetwork } from '../src/core/networks.js';
+import { fakeAddress, startMockNode, waitFor, FAST_CLIENT_OPTIONS } from './helpers.js';
+
+const ALICE = fakeAddress('alice');
+const BOB = fakeAddress('bob');
+
+/**
+ * Server client for a network, closed after the test
+ * @param {Object} t - node:test context
+ * @param {Object} network - Network profile
+ * @param {Object} options - ServerClient options
+ * @returns {ServerClient}
+ */
+function createClient(t, network, options = FAST_CLIENT_OPTIONS) {
+  const client = new ServerClient(network, options);
+  t.after(() => client.closeWebSocket());
+  return client;
+}
+
+/**
+ * Signed-looking transfer (the mock does not check signatures in tests)
+ * @param {Object} fields - Overrides
+ * @returns {Object} Transaction
+ */
+function transfer(fields = {}) {
+  return { from: ALICE, to: BOB, amount: '2.5', nonce: 1, timestamp: Date.now(), type: 'transfer', signature: 'ab', ...fields };
+}
+
+/**
+ * Add the hash the mock node gives a transaction
+ * @param {Object} transaction - Transaction
+ * @returns {Object} Transaction with hash
+ */
+function withHash(transaction) {
+  const { from, to, amount, nonce, signature } = transaction;
+  return { ...transaction, hash: createHash('sha256').update(JSON.stringify({ from, to, amount, nonce, signature })).digest('hex') };
+}
+
+test('balances, transactions and nonces come from the server', async (t) => {
+  const { network } = await startMockNode(t, { balances: { [ALICE]: '10' } });
+  const client = createClient(t, network);
+
+  assert.equal(await client.getBalance(ALICE), '10');
+  assert.equal(await client.getNextNonce(ALICE), 1);
+
+  const result = await client.sendTransaction(transfer());
+  assert.equal(result.success, true);
+  const hash = result.transaction.hash;
+
+  assert.equal(await client.getBalance(ALICE), '7.5');
+  assert.equal(await client.getBalance(BOB), '2.5');
+  assert.equal((await client.getTransaction(hash)).status, 'confirmed');
+  assert.equal(await client.getNextNonce(ALICE), 2);
+  assert.deepEqual((await client.getTransactions(BOB)).map(tx => tx.hash), [hash]);
+});
+
+test('unknown transactions are null and rejected requests are typed', async (t) => {
+  const { network } = await startMockNode(t);
+  const client = createClient(t, network);
+
+  assert.equal(await client.getTransaction('00'.repeat(32)), null);
+  await assert.rejects(client.sendTransaction(transfer()), (error) => {
+    assert.ok(error instanceof RequestError);
+    assert.equal(error.code, 'request_rejected');
+    assert.equal(error.status, 400);
+    assert.match(error.message, /insufficient balance/);
+    return true;
+  });
+});
+
+test('GET requests are retried after server errors', async (t) => {
+  const { server, network } = await startMockNode(t, { balances: { [ALICE]: '1' } });
+  const client = createClient(t, network);
+
+  server.setFaults({ failNext: 2 });
+  assert.equal(await client.getBalance(ALICE), '1');
+
+  server.setFaults({ failNext: 5 });
+  await assert.rejects(client.getBalance(ALICE), ServerError);
+});
+
+test('slow responses time out', async (t) => {
+  const { server, network } = await startMockNode(t);
+  const client = createClient(t, network, { ...FAST_CLIENT_OPTIONS, requests: { ...FAST_CLIENT_OPTIONS.requests, retries: 0 } });
+
+  server.setFaults({ latency: 1000 });
+  await assert.rejects(client.getBalance(ALICE), TimeoutError);
+});
+
+test('a failed submission is repeated only when a hash lookup shows the node does not have it', async (t) => {
+  const { server, network } = await startMockNode(t, { balances: { [ALICE]: '10' } });
+  const client = createClient(t, network);
+
+  // Without a hash the outcome cannot be checked: the submission is not repeated
+  server.setFaults({ failNext: 1 });
+  await assert.rejects(client.sendTransaction(transfer()), ServerError);
+  assert.equal(server.transactions.length, 0);
+
+  // Rejected before processing and the hash is unknown: the transaction is sent again
+  server.setFaults({ failNext: 1 });
+  const result = await client.sendTransaction(withHash(transfer()));
+  assert.equal(result.success, true);
+  assert.equal(server.transactions.length, 1);
+
+  // The node has the hash now: the submission is not repeated
+  server.setFaults({ failNext: 1 });
+  await assert.rejects(client.sendTransaction(withHash(transfer())), ServerError);
+  assert.equal(server.transactions.length, 1);
+});
+
+test('rejected certificates fail at once, without retries or failover', async (t) => {
+  const client = createClient(t, resolveNetwork({
+    networks: {
+      local: {
+        rest: { baseUrl: 'https://127.0.0.1:9' },
+        websocket: { url: 'wss://127.0.0.1:9/ws/' },
+        endpoints: [{ rest: 'https://127.0.0.1:10', websocket: 'wss://127.0.0.1:10/ws/' }],
+      },
+    },
+  }, 'local'));
+  t.mock.method(client.http, 'request', async () => {
+    const error = new Error('certificate has expired');
+    error.code = 'CERT_HAS_EXPIRED';
+    throw error;
+  });
+
+  for (const request of [() => client.getBalance(ALICE), () => client.sendTransaction(withHash(transfer()))]) {
+    await assert.rejects(request(), (error) => {
+      assert.ok(error instanceof TlsError);
+      assert.equal(error.code, 'tls_error');
+      assert.match(error.message, /certificate has expired/);
+      return true;
+    });
+  }
+  assert.equal(client.http.request.mock.callCount(), 2);
+});
+
+test('unreachable endpoints fail over to the next one', async (t) => {
+  const { network } = await startMockNode(t, { balances: { [ALICE]: '3' } });
+  const failover = resolveNetwork({
+    networks: {
+      local: {
+        rest: { baseUrl: 'http://127.0.0.1:9' },
+        websocket: { url: 'ws://127.0.0.1:9/ws/' },
+        endpoints: network.endpoints,
+      },
+    },
+  }, 'local');
+  const client = createClient(t, failover);
+
+  assert.equal(await client.getBalance(ALICE), '3');
+  const status = client.pool.status();
+  assert.equal(status.active, network.endpoints[0].rest);
+  assert.equal(status.endpoints[0].healthy, false);
+  assert.equal(client.restBaseUrl, network.endpoints[0].rest);
+});
+
+test('nothing listening gives an unsent network error', async (t) => {
+  const client = createClient(t, resolveNetwork({
+    networks: { local: { rest: { baseUrl: 'http://127.0.0.1:9' }, websocket: { url: 'ws://127.0.0.1:9/ws/' } } },
+  }, 'local'));
+
+  await assert.rejects(client.sendTransaction(transfer()), (error) => {
+    assert.ok(error instanceof NetworkError);
+    assert.equal(error.unsent, true);
+    return true;
+  });
+});
+
+test('messages are delivered once between registered addresses', async (t) => {
+  const { network } = await startMockNode(t);
+  const alice = createClient(t, network);
+  const bob = createClient(t, network);
+  const received = [];
+  bob.on('message', data => received.push(data));
+
+  await alice.registerAddress(ALICE);
+  await bob.registerAddress(BOB);
+  assert.equal(alice.getConnectionState().state, 'open');
+
+  await alice.sendMessage(ALICE, BOB, 'hello bob');
+  await waitFor(() => received.length > 0);
+  // Give a duplicate delivery the chance to show up
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.deepEqual(received.map(m => [m.from, m.to, m.text]), [[ALICE, BOB, 'hello bob']]);
+
+  await assert.rejects(alice.sendMessage(ALICE, fakeAddress('nobody'), 'anyone?'), /offline/);
+});
+
+test('the WebSocket reconnects and registers the addresses again', async (t) => {
+  const { server, network } = await startMockNode(t);
+  const client = createClient(t, network);
+  const states = [];
+  client.on('connectionState', event => states.push(event.state));
+
+  await client.registerAddress(ALICE);
+  assert.equal(server.clients.get(ALICE)?.size, 1);
+
+  server.dropSockets();
+  await waitFor(() => states.includes('backing-off') && client.getConnectionState().state === 'open');
+  await waitFor(() => server.clients.get(ALICE)?.size === 1);
+
+  client.closeWebSocket();
+  assert.equal(client.getConnectionState().state, 'closed');
+});
+
+test('account subscriptions deliver transaction and balance events', async (t) => {
+  const { server, network } = await startMockNode(t, { balances: { [ALICE]: '5' } });
+  const client = createClient(t, network);
+  const events = [];
+  client.on('balance', data => events.push(['balance', data.address, data.balance]));
+  client.on('transaction', data => events.push(['transaction', data.to]));
+
+  await client.ensureConnected();
+  await client.subscribeAccount(BOB, ['transaction', 'balance']);
+  server.fund(BOB, '1');
+  await client.sendTransaction(transfer({ amount: '1' }));
+
+  await waitFor(() => events.length >= 3);
+  assert.deepEqual(events, [
+    ['balance', BOB, '1'],
+    ['transaction', BOB],
+    ['balance', BOB, '2'],
+  ]);
+
+});
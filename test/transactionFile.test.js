@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createUnsignedTransaction,
+  attachSignature,
+  toSignedTransaction,
+  parseTransactionFile,
+} from '../src/wallet/transactionFile.js';
+import { fakeAddress } from './helpers.js';
+
+const ALICE = fakeAddress('alice');
+const BOB = fakeAddress('bob');
+
+/**
+ * Serialized unsigned transaction file
+ * @param {Object} fields - Overrides
+ * @returns {Object} Transaction file object
+ */
+function unsignedFile(fields = {}) {
+  return createUnsignedTransaction({ network: 'local', from: ALICE, to: BOB, amount: '1.50', nonce: 3, ...fields });
+}
+
+test('files survive a round trip through JSON and can be signed', () => {
+  const file = parseTransactionFile(JSON.stringify(unsignedFile(), null, 2));
+  assert.equal(file.transaction.amount, '1.5');
+  assert.match(file.summary, /transfer of 1\.5 PLT from Px[0-9a-f]+ to Px[0-9a-f]+ on local \(nonce 3/);
+
+  const signed = parseTransactionFile(JSON.stringify(attachSignature(file, { ...file.transaction, signature: 'ab' })));
+  assert.deepEqual(toSignedTransaction(signed), { ...file.transaction, signature: 'ab' });
+});
+
+test('an edited transaction fails the checksum', () => {
+  const file = unsignedFile();
+  file.transaction.amount = '100';
+  assert.throws(() => parseTransactionFile(JSON.stringify(file)), /checksum mismatch/);
+});
+
+test('an edited summary is rejected', () => {
+  const file = unsignedFile();
+  file.summary = file.summary.replace('1.5 PLT', '0.001 PLT');
+  assert.throws(() => parseTransactionFile(JSON.stringify(file)), /summary does not match/);
+});
@@ -0,0 +1,204 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, writeFile, readdir, stat } from 'fs/promises';
+import path from 'path';
+import WalletManager from '../src/wallet/walletManager.js';
+import { NetworkMismatchError } from '../src/core/networks.js';
+import { tempDir, fakeAddress, FakeRustCore } from './helpers.js';
+
+const PASSWORD = 'correct horse';
+
+/**
+ * Wallet manager with a fake crypto backend and a temporary wallets directory
+ * @param {Object} t - node:test context
+ * @param {Object} config - Extra configuration
+ * @returns {Promise<WalletManager>}
+ */
+async function createManager(t, config = {}) {
+  const dir = await tempDir(t);
+  return new WalletManager({ network: 'local', ...config, paths: { wallets: dir } }, new FakeRustCore());
+}
+
+/**
+ * Read a wallet file as stored on disk
+ * @param {WalletManager} manager - Wallet manager
+ * @param {string} filename - Wallet filename
+ * @returns {Promise<Object>} Record
+ */
+async function readRecord(manager, filename) {
+  return JSON.parse(await readFile(path.join(manager.walletsDir, filename), 'utf-8'));
+}
+
+test('created wallets keep secrets only in the encrypted section', async (t) => {
+  const manager = await createManager(t);
+  const wallet = await manager.createWallet('main', 0, PASSWORD);
+
+  assert.equal(manager.getCurrentWallet(), wallet);
+  assert.equal(wallet.network, 'local');
+  assert.ok(wallet.mnemonic);
+
+  const text = await readFile(path.join(manager.walletsDir, wallet.filename), 'utf-8');
+  const record = JSON.parse(text);
+  assert.equal(record.address, wallet.address);
+  assert.ok(record.crypto);
+  assert.ok(!text.includes(wallet.mnemonic));
+  assert.ok(!text.includes(wallet.privateKey));
+});
+
+test('a wallet cannot be created without a password', async (t) => {
+  const manager = await createManager(t);
+  await assert.rejects(manager.createWallet('main', 0, ''), /password is required/);
+  assert.deepEqual(await readdir(manager.walletsDir), []);
+});
+
+test('loading decrypts the secrets and rejects a wrong password', async (t) => {
+  const manager = await createManager(t);
+  const created = await manager.createWallet('main', 0, PASSWORD);
+
+  const other = new WalletManager({ network: 'local', paths: { wallets: manager.walletsDir } }, new FakeRustCore());
+  await assert.rejects(other.loadWallet(created.filename, 'wrong password'));
+  assert.equal(other.getCurrentWallet(), null);
+
+  const loaded = await other.loadWallet(created.filename, PASSWORD);
+  assert.equal(loaded.address, created.address);
+  assert.equal(loaded.mnemonic, created.mnemonic);
+  assert.equal(loaded.alphanumeric, created.alphanumeric);
+});
+
+test('restoring the same mnemonic gives the same address', async (t) => {
+  const manager = await createManager(t);
+  const created = await manager.createWallet('main', 0, PASSWORD);
+  const restored = await manager.restoreWallet('copy', created.mnemonic, created.alphanumeric, 0, PASSWORD);
+  const other = await manager.restoreWallet('other index', created.mnemonic, created.alphanumeric, 1, PASSWORD);
+
+  assert.equal(restored.address, created.address);
+  assert.notEqual(other.address, created.address);
+  assert.equal(other.seedIndex, 1);
+});
+
+test('wallets are found by filename or unique name', async (t) => {
+  const manager = await createManager(t);
+  const first = await manager.createWallet('first', 0, PASSWORD);
+  await manager.createWallet('twin', 0, PASSWORD);
+  await manager.addWatchWallet('twin', fakeAddress('watched'));
+
+  assert.equal((await manager.findWallet('first')).filename, first.filename);
+  assert.equal((await manager.findWallet(first.filename.replace('.json', ''))).address, first.address);
+  await assert.rejects(manager.findWallet('twin'), /ambiguous/);
+  await assert.rejects(manager.findWallet('missing'), /Wallet not found/);
+});
+
+test('wallets created in the same millisecond get their own files', async (t) => {
+  const manager = await createManager(t);
+  await Promise.all([
+    ...[1, 2, 3].map(i => manager.addWatchWallet(`watched ${i}`, fakeAddress(`watched ${i}`))),
+    ...[1, 2, 3].map(i => manager.createWallet(`wallet ${i}`, 0, PASSWORD)),
+  ]);
+
+  const wallets = await manager.listWallets();
+  assert.equal(wallets.length, 6);
+  assert.equal(new Set(wallets.map(w => w.filename)).size, 6);
+});
+
+test('watch-only wallets reject invalid or duplicate addresses and cannot sign', async (t) => {
+  const manager = await createManager(t);
+  const address = fakeAddress('watched');
+
+  await assert.rejects(manager.addWatchWallet('bad', 'Px1234'), /Invalid address/);
+  const wallet = await manager.addWatchWallet('watched', address);
+  assert.equal(wallet.watchOnly, true);
+  await assert.rejects(manager.addWatchWallet('again', address), /already watched/);
+
+  await assert.rejects(
+    manager.signTransaction({ from: address, to: fakeAddress('x'), amount: '1', nonce: 1 }),
+    /watch-only/
+  );
+  await assert.rejects(manager.addAccount('second'), /watch-only/);
+});
+
+test('accounts are derived, labelled and selected', async (t) => {
+  const manager = await createManager(t);
+  const wallet = await manager.createWallet('main', 0, PASSWORD);
+
+  const account = await manager.addAccount('savings');
+  assert.equal(account.index, 1);
+  await manager.labelAccount(0, 'spending');
+  await manager.selectAccount(1);
+
+  assert.equal(manager.getCurrentWallet().address, account.address);
+  const accounts = await manager.listAccounts();
+  assert.deepEqual(accounts.map(a => [a.index, a.label, a.active]), [[0, 'spending', false], [1, 'savings', true]]);
+
+  // Metadata changes do not touch the encrypted secrets
+  const loaded = await new WalletManager({ network: 'local', paths: { wallets: manager.walletsDir } }, new FakeRustCore())
+    .loadWallet(wallet.filename, PASSWORD);
+  assert.equal(loaded.address, account.address);
+  assert.equal(loaded.mnemonic, wallet.mnemonic);
+  await assert.rejects(manager.selectAccount(5), /Account 5 not found/);
+});
+
+test('signing checks the nonce and the sender and signs the normalized amount', async (t) => {
+  const manager = await createManager(t);
+  const wallet = await manager.createWallet('main', 0, PASSWORD);
+  const to = fakeAddress('recipient');
+
+  await assert.rejects(manager.signTransaction({ from: wallet.address, to, amount: '1' }), /nonce/);
+  await assert.rejects(manager.signTransaction({ from: to, to, amount: '1', nonce: 1 }), /active account/);
+
+  const signed = await manager.signTransaction({ from: wallet.address, to, amount: '1.50', nonce: 3, timestamp: 1000 });
+  assert.equal(signed.amount, '1.5');
+  assert.equal(signed.type, 'transfer');
+  assert.equal(signed.from, wallet.address);
+  assert.ok(signed.signature);
+  assert.deepEqual(manager.rustCore.signed, [{ from: wallet.address, to, amount: '1.5', nonce: 3, timestamp: 1000, type: 'transfer' }]);
+  assert.ok(await manager.rustCore.verifySignature(manager.rustCore.signed[0], signed.signature, wallet.address));
+});
+
+test('wallets of another network are listed but cannot be loaded', async (t) => {
+  const manager = await createManager(t);
+  const wallet = await manager.createWallet('main', 0, PASSWORD);
+
+  const mainnet = new WalletManager({ network: 'mainnet', paths: { wallets: manager.walletsDir } }, new FakeRustCore());
+  assert.deepEqual((await mainnet.listWallets()).map(w => w.network), ['local']);
+  await assert.rejects(mainnet.loadWallet(wallet.filename, PASSWORD), NetworkMismatchError);
+
+  manager.setNetwork('mainnet');
+  assert.equal(manager.getCurrentWallet(), null);
+});
+
+test('legacy plaintext wallets are migrated with a backup', async (t) => {
+  const manager = await createManager(t);
+  const keys = await manager.rustCore.restoreKeys('legacy words', 'code', 0);
+  await writeFile(path.join(manager.walletsDir, 'wallet_1.json'), JSON.stringify({
+    name: 'old',
+    address: keys.publicKey,
+    publicKey: keys.publicKey,
+    privateKey: keys.privateKey,
+    mnemonic: 'legacy words',
+    alphanumeric: 'code',
+    seedIndex: 0,
+  }), { mode: 0o644 });
+  await writeFile(path.join(manager.walletsDir, 'broken.json'), 'not json');
+
+  const { wallets, corrupted } = await manager.scanWallets();
+  assert.deepEqual(wallets.map(w => [w.name, w.legacy, w.network]), [['old', true, 'testnet']]);
+  assert.deepEqual(corrupted.map(c => c.filename), ['broken.json']);
+
+  const result = await manager.migrateWallets({ password: PASSWORD });
+  assert.deepEqual(result.migrated.map(m => m.filename), ['wallet_1.json']);
+  assert.equal((await readdir(path.join(manager.walletsDir, 'backups'))).length, 1);
+  assert.equal(path.dirname(result.migrated[0].backup), path.join(manager.walletsDir, 'backups'));
+  if (process.platform !== 'win32') {
+    // Both the rewritten file and the plaintext backup are private
+    assert.equal((await stat(path.join(manager.walletsDir, 'wallet_1.json'))).mode & 0o777, 0o600);
+    assert.equal((await stat(result.migrated[0].backup)).mode & 0o777, 0o600);
+  }
+
+  const record = await readRecord(manager, 'wallet_1.json');
+  assert.ok(record.crypto);
+  assert.equal(record.mnemonic, undefined);
+
+  const again = await manager.migrateWallets({ password: PASSWORD });
+  assert.deepEqual(again.migrated, []);
+  assert.equal(again.skipped[0].reason, 'already version 1');
+});